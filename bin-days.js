@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+
+/**
+ * Ad-hoc lookups and ops tasks, run locally against your own Chrome
+ *
+ * Usage:
+ *   node bin-days.js <command> [options]
+ *   node bin-days.js <command> --help
+ *
+ * Exit status: 0 on success, 1 when the task failed, 2 on a usage error.
+ */
+
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const { DateTime } = require('luxon');
+const { classifyBin } = require('./lib/bin-types');
+const { PROVIDER_IDS, DEFAULT_PROVIDER, getProvider } = require('./lib/providers');
+
+class UsageError extends Error {}
+
+const COMMANDS = {
+  lookup: {
+    usage: 'lookup <address> [--format table|json|ics] [--uprn <value>] [--search <text>] [--provider <id>]',
+    description: 'Scrape the collections for an address and print them',
+    options: {
+      format: { type: 'string', default: 'table' },
+      uprn: { type: 'string' },
+      search: { type: 'string' },
+      provider: { type: 'string' }
+    },
+    run: lookup
+  },
+  addresses: {
+    usage: 'addresses <search> [--label <label>] [--provider <id>]',
+    description: 'List the address options for a search, with the value to pin as uprn',
+    options: {
+      label: { type: 'string' },
+      provider: { type: 'string' }
+    },
+    run: addresses
+  },
+  notify: {
+    usage: 'notify [--address <label>] [--dry-run] [--out <dir>] [--force-refresh] [--digest]',
+    description: 'Run the reminder (or weekly digest) for configured addresses now, whatever their send time',
+    options: {
+      address: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      out: { type: 'string' },
+      'force-refresh': { type: 'boolean', default: false },
+      digest: { type: 'boolean', default: false }
+    },
+    run: notifyNow
+  },
+  'test-email': {
+    usage: 'test-email <to>',
+    description: 'Send a test email through the configured Gmail account',
+    options: {},
+    run: testEmail
+  }
+};
+
+function helpText(name) {
+  if (name) {
+    const command = COMMANDS[name];
+    return `Usage: bin-days ${command.usage}\n\n${command.description}.\n`;
+  }
+  const width = Math.max(...Object.keys(COMMANDS).map(n => n.length));
+  return [
+    'Usage: bin-days <command> [options]',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([n, c]) => `  ${n.padEnd(width)}  ${c.description}`),
+    '',
+    'Run "bin-days <command> --help" for its options. Uses your local Chrome (LOCAL_CHROME=1).',
+    `Councils (--provider): ${PROVIDER_IDS.join(', ')}; the default is ${DEFAULT_PROVIDER}.`,
+    'Set LOG_LEVEL=info to see the handler logs.',
+    ''
+  ].join('\n');
+}
+
+function formatTable(collections) {
+  if (collections.length === 0) return 'No collections found\n';
+  const rows = collections.map(c => [
+    DateTime.fromISO(c.localDate).toFormat('ccc d LLL yyyy'),
+    Array.from(new Set(c.bins.map(bin => classifyBin(bin).name))).join(', ')
+  ]);
+  const width = Math.max(4, ...rows.map(r => r[0].length));
+  return [['Date', 'Bins'], ...rows].map(([date, bins]) => `${date.padEnd(width)}  ${bins}`).join('\n') + '\n';
+}
+
+function checkProvider(id) {
+  if (id !== undefined && !getProvider(id)) throw new UsageError(`unknown --provider ${id} (one of ${PROVIDER_IDS.join(', ')})`);
+}
+
+function printScrapeError(error, io) {
+  io.stderr.write(`✗ ${error.stage ? `${error.stage}: ` : ''}${error.message}\n`);
+  for (const candidate of error.diagnostics?.candidates || []) {
+    io.stderr.write(`    ${candidate}\n`);
+  }
+}
+
+async function lookup({ positionals, values }, io) {
+  const [label] = positionals;
+  if (!label) throw new UsageError('lookup needs an address');
+  if (!['table', 'json', 'ics'].includes(values.format)) throw new UsageError(`unsupported --format ${values.format}`);
+  checkProvider(values.provider);
+  const handler = require('./handler');
+  const { buildCalendar } = require('./lib/ics');
+
+  const browser = handler.lazyBrowser();
+  let result;
+  try {
+    result = await handler.scrapeCollections(browser, { label, uprn: values.uprn, search: values.search, provider: values.provider });
+  } catch (error) {
+    printScrapeError(error, io);
+    return 1;
+  } finally {
+    await browser.close();
+  }
+
+  if (values.format === 'json') {
+    io.stdout.write(`${JSON.stringify({ address: label, collections: result.collections }, null, 2)}\n`);
+  } else if (values.format === 'ics') {
+    const addressHash = crypto.createHash('sha256').update(label).digest('hex');
+    io.stdout.write(buildCalendar(result.collections, { label, addressHash, timezone: process.env.TZ }));
+  } else {
+    io.stdout.write(formatTable(result.collections));
+  }
+  return 0;
+}
+
+async function addresses({ positionals, values }, io) {
+  const [search] = positionals;
+  if (!search) throw new UsageError('addresses needs a search string');
+  const label = values.label || search;
+  checkProvider(values.provider);
+  const handler = require('./handler');
+  const { rankOptions, selectAddressOption } = require('./lib/address-match');
+
+  const browser = handler.lazyBrowser();
+  let options;
+  try {
+    options = await handler.listAddressOptions(browser, search, { provider: values.provider });
+  } catch (error) {
+    printScrapeError(error, io);
+    return 1;
+  } finally {
+    await browser.close();
+  }
+  if (options.length === 0) {
+    io.stdout.write(`No address options for "${search}"\n`);
+    return 1;
+  }
+
+  io.stdout.write(`${options.length} option${options.length === 1 ? '' : 's'} for "${search}":\n`);
+  for (const option of rankOptions(options, label)) {
+    io.stdout.write(`  ${option.value.padEnd(14)} ${option.score.toFixed(2)}  ${option.text}\n`);
+  }
+  try {
+    const chosen = selectAddressOption(options, { label, search });
+    io.stdout.write(`\n✓ label "${label}" selects ${chosen.value} (${chosen.text})\n`);
+  } catch (error) {
+    io.stdout.write(`\n✗ label "${label}": ${error.message}\n`);
+    io.stdout.write('  Pin the right option with "uprn" (the value above) or "optionText" in config/recipients.json\n');
+  }
+  return 0;
+}
+
+async function notifyNow({ positionals, values }, io) {
+  if (positionals.length > 0) throw new UsageError(`unexpected argument ${positionals[0]}`);
+  const handler = require('./handler');
+  const event = {
+    forceNotify: true,
+    ...(values.address ? { address: values.address } : {}),
+    ...(values['dry-run'] || values.out ? { dryRun: true, previewDir: values.out || 'previews' } : {}),
+    ...(values['force-refresh'] ? { forceRefresh: true } : {}),
+    ...(values.digest ? { mode: 'digest' } : {})
+  };
+  let summary;
+  try {
+    summary = JSON.parse((await handler.daily(event)).body);
+  } catch (error) {
+    io.stderr.write(`✗ ${error.message}\n`);
+    return 1;
+  }
+
+  for (const n of summary.notifications) {
+    const what = n.kind === 'reminder' ? `reminder for ${n.localDate} (${n.daysBefore}d before)` : n.kind;
+    const subjects = n.subjects ? ` - ${n.subjects.join(' / ')}` : '';
+    io.stdout.write(`${summary.dryRun ? '○' : '✓'} ${what}: ${n.delivered.length} ${summary.dryRun ? 'composed' : 'delivered'}, ${n.failed.length} failed${subjects}\n`);
+  }
+  for (const f of summary.scrapeFailures) {
+    io.stderr.write(`✗ ${f.addressHash.slice(0, 12)}: ${f.stage} - ${f.error}\n`);
+  }
+  if (summary.notifications.length === 0 && summary.scrapeFailures.length === 0) {
+    io.stdout.write('Nothing to send\n');
+  }
+  if (summary.dryRun) {
+    const files = summary.notifications.reduce((n, x) => n + x.previews.length, 0) + (summary.alert?.preview ? 1 : 0);
+    io.stdout.write(`Wrote ${files} preview${files === 1 ? '' : 's'} to ${summary.previewDir}\n`);
+  }
+  return summary.failed > 0 || summary.scrapeFailures.length > 0 ? 1 : 0;
+}
+
+async function testEmail({ positionals }, io) {
+  const [to] = positionals;
+  if (!to) throw new UsageError('test-email needs a recipient address');
+  const email = require('./lib/notifiers/email');
+  if (!email.matches(to)) throw new UsageError(`${to} is not an email address`);
+
+  // sendEmail only logs when credentials are missing, which would look like success here
+  const credentials = await email.getGmailCredentials();
+  const missing = Object.entries(credentials).filter(([, v]) => !v).map(([k]) => k);
+  if (missing.length > 0) {
+    io.stderr.write(`✗ Gmail credentials missing: ${missing.join(', ')} (see CREDENTIALS.md)\n`);
+    return 1;
+  }
+  try {
+    await email.send(to, {
+      subject: 'Gravesham bins test email',
+      text: 'This is a test from the bin-days CLI.',
+      html: '<p>This is a test from the bin-days CLI.</p>'
+    });
+  } catch (error) {
+    io.stderr.write(`✗ ${error.message}\n`);
+    return 1;
+  }
+  io.stdout.write(`✓ Sent to ${to}\n`);
+  return 0;
+}
+
+async function main(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+  const [name, ...rest] = argv;
+  if (!name || name === '--help' || name === '-h' || name === 'help') {
+    io.stdout.write(helpText());
+    return name ? 0 : 2;
+  }
+  const command = COMMANDS[name];
+  if (!command) {
+    io.stderr.write(`Unknown command "${name}"\n\n${helpText()}`);
+    return 2;
+  }
+  try {
+    const args = parseArgs({
+      args: rest,
+      options: { ...command.options, help: { type: 'boolean', short: 'h', default: false } },
+      allowPositionals: true
+    });
+    if (args.values.help) {
+      io.stdout.write(helpText(name));
+      return 0;
+    }
+    return await command.run(args, io);
+  } catch (error) {
+    if (!(error instanceof UsageError) && !/^ERR_PARSE_ARGS/.test(error.code || '')) throw error;
+    io.stderr.write(`${error.message}\n\n${helpText(name)}`);
+    return 2;
+  }
+}
+
+if (require.main === module) {
+  process.env.LOCAL_CHROME = process.env.LOCAL_CHROME || '1';
+  process.env.TZ = process.env.TZ || 'Europe/London';
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+  // Exit explicitly: AWS SDK clients can keep sockets open after the work is done
+  main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch((error) => {
+      console.error(`✗ ${error.stack || error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { main, formatTable };
@@ -4,289 +4,970 @@ const fs = require('fs');
 const path = require('path');
 const chromium = require('@sparticuz/chromium');
 const puppeteer = require('puppeteer-core');
-const { DynamoDBClient, UpdateItemCommand, GetItemCommand } = require('@aws-sdk/client-dynamodb');
-const { SSMClient, GetParametersCommand } = require('@aws-sdk/client-ssm');
 const axios = require('axios');
-const { google } = require('googleapis');
+const { normalizeRecipient, notify, getChannel } = require('./lib/notifiers');
+const { buildCalendar, writeCalendarFile } = require('./lib/ics');
+const { ScrapeError, ConfigError, isTransientError, isRetryableSendError } = require('./lib/errors');
+const { validateConfig } = require('./lib/config-schema');
+const { parseDateToLocal } = require('./lib/collections');
+const { providerFor } = require('./lib/providers');
+const { wasNotifiedForDate, markNotified, getCachedSchedule, saveCachedSchedule, getLastSnapshot, wasDigestSent, markDigestSent, getAcknowledgement, markAcknowledged, getLastAcknowledgement, getRota, saveRota, countEvent, stateKey } = require('./lib/state');
+const { assignDuty, swapPartners, swapDuty, dutyNote, isOnDuty } = require('./lib/rota');
+const { diffSchedules } = require('./lib/schedule-diff');
+const { mapWithConcurrency, withTimeout } = require('./lib/concurrency');
+const { buildScrapeAlert, sendScrapeAlert } = require('./lib/alerts');
+const { renderTemplate, resolveTemplates, escapeHtml } = require('./lib/templates');
+const { BIN_TYPE_IDS, classifyBin, unknownBins, wantsBin, filterCollections, binDisplayNames, binChipsHtml, collectionData } = require('./lib/bin-types');
+const { createLinkBuilder, getLinkSecret, verifyToken } = require('./lib/signed-links');
+const { subscriptionId, getSubscription, saveSubscription, setSubscriptionStatus, listSubscriptions, mergeSubscriptions } = require('./lib/subscriptions');
+const { digestWeek, digestWindow, digestRecipients, buildDigestMessage } = require('./lib/digest');
+const { createPreviewWriter } = require('./lib/previews');
+const { logger, setRunContext } = require('./lib/logger');
+const { putMetric, flushMetrics } = require('./lib/metrics');
 
-const dynamo = new DynamoDBClient({});
-const ssm = new SSMClient({});
-
-const CONFIG_PATH = path.join(__dirname, 'config', 'recipients.json');
+// CONFIG_PATH points local runs and tests at another file
+function configPath() {
+  return process.env.CONFIG_PATH || path.join(__dirname, 'config', 'recipients.json');
+}
 
 // Helpers
 async function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
 
-async function getGmailCredentials() {
+// Orchestration: exported Lambda handler
+exports.daily = async (event, context) => {
+  const mode = event?.mode === 'digest' ? 'digest' : 'daily';
+  setRunContext({ fn: mode, runId: context?.awsRequestId || crypto.randomUUID() });
   try {
-    const serviceName = 'gravesham-bin-days'; // Use consistent service name
-    const paramNames = [
-      `/${serviceName}/gmail-client-id`,
-      `/${serviceName}/gmail-client-secret`, 
-      `/${serviceName}/gmail-refresh-token`,
-      `/${serviceName}/gmail-sender`
-    ];
-    
-    const command = new GetParametersCommand({
-      Names: paramNames,
-      WithDecryption: true
-    });
-    
-    const response = await ssm.send(command);
-    const params = {};
-    
-    response.Parameters?.forEach(param => {
-      const key = param.Name.split('/').pop();
-      params[key] = param.Value;
-    });
-    
-    return {
-      clientId: params['gmail-client-id'],
-      clientSecret: params['gmail-client-secret'],
-      refreshToken: params['gmail-refresh-token'],
-      sender: params['gmail-sender']
-    };
+    return mode === 'digest' ? await runDigest(event, context) : await runDaily(event, context);
+  } finally {
+    flushMetrics();
+  }
+};
+
+// Config with stored subscriptions merged in, plus the signed link builder (null when not configured).
+// event.address limits the run to the address with that label.
+async function prepareRun(event) {
+  let config;
+  try {
+    config = loadConfig(configPath());
+    logger.info('Loaded config', { addresses: config.addresses.length, timezone: config.timezone });
   } catch (error) {
-    console.log('Failed to fetch Gmail credentials from Parameter Store:', error.message);
-    // Fallback to environment variables for local development
-    return {
-      clientId: process.env.GMAIL_CLIENT_ID,
-      clientSecret: process.env.GMAIL_CLIENT_SECRET,
-      refreshToken: process.env.GMAIL_REFRESH_TOKEN,
-      sender: process.env.GMAIL_SENDER
-    };
+    logger.error('Failed to load config', { err: error, problems: error.problems });
+    throw error;
   }
-}
-async function saveScreenshot(page, label) {
+
+  if (process.env.SUBSCRIPTIONS_TABLE) {
+    try {
+      const subscriptions = await listSubscriptions();
+      config = { ...config, addresses: mergeSubscriptions(config.addresses, subscriptions, normalizeRecipient) };
+      logger.info('Merged stored subscriptions', { subscriptions: subscriptions.length, addresses: config.addresses.length });
+    } catch (error) {
+      logger.error('Failed to load subscriptions, using recipients.json only', { err: error });
+    }
+  }
+
+  if (event?.address) {
+    const wanted = String(event.address).trim().toLowerCase();
+    const addresses = config.addresses.filter(a => a.label.trim().toLowerCase() === wanted);
+    if (addresses.length === 0) {
+      throw new ConfigError(configPath(), [{ path: '$.addresses', message: `has no address labelled ${JSON.stringify(event.address)}` }]);
+    }
+    config = { ...config, addresses };
+  }
+
+  let links = null;
   try {
-    const file = path.join(__dirname, `debug-${Date.now()}-${label}.png`);
-    await page.screenshot({ path: file, fullPage: true });
-    console.log(`Saved screenshot: ${file}`);
-  } catch (err) {
-    // ignore in lambda if not supported
+    links = await createLinkBuilder();
+    if (!links) logger.warn('PUBLIC_BASE_URL or link signing secret not set - emails will not carry unsubscribe links');
+  } catch (error) {
+    logger.error('Failed to set up signed links', { err: error });
   }
+  return { config, links };
 }
-async function saveFrameHtml(frame, label) {
-  try {
-    const html = await frame.evaluate(() => document.documentElement.outerHTML);
-    const file = path.join(__dirname, `debug-${Date.now()}-${label}.html`);
-    fs.writeFileSync(file, html, 'utf-8');
-    console.log(`Saved html: ${file}`);
-  } catch (_) {}
-}
-async function clickByText(frame, texts) {
-  const arr = Array.isArray(texts) ? texts : [texts];
-  return frame.evaluate((labels) => {
-    const norm = (s) => (s || '').trim().toLowerCase();
-    const matches = (el, wanted) => norm(el.textContent) === wanted || norm(el.textContent).includes(wanted);
-    const clickable = Array.from(document.querySelectorAll('button, a, [role="button"], .btn, .af-action, .af-button, div, span'));
-    for (const wantedRaw of labels) {
-      const wanted = norm(wantedRaw);
-      const el = clickable.find(node => matches(node, wanted));
-      if (el) {
-        el.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
-        el.dispatchEvent(new MouseEvent('click', { bubbles: true }));
-        return true;
-      }
-    }
-    return false;
-  }, arr);
+
+// Time kept back from the Lambda timeout for sending and recording deliveries once schedules are loaded
+const SEND_RESERVE_MS = 60 * 1000;
+// A scrape given less time than this would only time out
+const MIN_SCRAPE_MS = 10 * 1000;
+
+// When scraping must stop for the run to finish inside the function timeout; no limit
+// outside Lambda (the command line)
+function scrapeDeadline(context) {
+  if (typeof context?.getRemainingTimeInMillis !== 'function') return Infinity;
+  return Date.now() + context.getRemainingTimeInMillis() - SEND_RESERVE_MS;
 }
 
-// Orchestration: exported Lambda handler
-exports.daily = async (event) => {
-  console.log('=== Daily bin check starting ===');
-  console.log('Event:', JSON.stringify(event, null, 2));
-  console.log('Environment variables:', {
-    SOURCE_URL: !!process.env.SOURCE_URL,
-    STATE_TABLE: process.env.STATE_TABLE,
-    TZ: process.env.TZ,
-    MESSAGE_SUFFIX: process.env.MESSAGE_SUFFIX,
-    AWS_REGION: process.env.AWS_REGION
-  });
-  
-  let config;
+function scrapeOptions(config) {
+  return {
+    concurrency: config.scrape?.concurrency ?? 2,
+    timeoutMs: (config.scrape?.timeoutSeconds ?? 90) * 1000,
+    attempts: config.scrape?.attempts ?? 2,
+    retryDelayMs: (config.scrape?.retryDelaySeconds ?? 5) * 1000
+  };
+}
+
+async function loadSchedules(addresses, { config, now, browser, forceRefresh, detectChanges = true, saveCache = true, deadline = Infinity, coverUntil = null }) {
+  const { concurrency, ...options } = scrapeOptions(config);
+  const cacheMaxAgeHours = config.cache?.maxAgeHours ?? 48;
+  logger.info('Loading schedules', { addresses: addresses.length, concurrency, timeoutMs: options.timeoutMs, cacheMaxAgeHours });
+  return mapWithConcurrency(addresses, concurrency, address => loadSchedule(address, {
+    config, now, browser, forceRefresh, cacheMaxAgeHours, detectChanges, saveCache, deadline, coverUntil, ...options
+  }));
+}
+
+// Records failed scrapes in the run summary and alerts the admin about them
+// previews is the dry-run preview writer (null on a real run)
+async function reportScrapeFailures(schedules, config, summary, { previews = null } = {}) {
+  const failures = schedules.filter(s => s.error).map(s => ({
+    label: s.address.label,
+    addressHash: s.addressHash,
+    stage: s.error.stage || 'unknown',
+    message: s.error.message,
+    attempts: s.attempts,
+    diagnostics: s.error.diagnostics || null
+  }));
+  summary.scrapeFailures = failures.map(({ addressHash, stage, attempts, message }) => ({ addressHash, stage, attempts, error: message }));
+  failures.forEach(f => putMetric('ScrapeFailures', 1, 'Count', { Stage: f.stage }));
+  if (failures.length === 0) return;
+  if (previews) {
+    if (!config.alerts?.to) return;
+    try {
+      const file = await previews.for('alert')(normalizeRecipient(config.alerts.to), buildScrapeAlert(failures));
+      summary.alert = { sent: false, dryRun: true, preview: file };
+      logger.info('Dry run - admin alert written, not sent', { failures: failures.length, file });
+    } catch (error) {
+      logger.error('Failed to write admin alert preview', { err: error });
+    }
+    return;
+  }
   try {
-    config = loadConfig(CONFIG_PATH);
-    console.log(`✓ Loaded config for ${config.addresses.length} addresses`);
-    console.log('Config timezone:', config.timezone);
+    summary.alert = await sendScrapeAlert(failures, config.alerts);
+    if (summary.alert.sent) logger.info('Sent admin alert', { failures: summary.alert.alerted });
   } catch (error) {
-    console.error('✗ Failed to load config:', error);
-    throw error;
+    logger.error('Failed to send admin alert', { err: error });
+    summary.alert = { sent: false, error: error.message };
   }
-  
-  const sourceUrl = process.env.SOURCE_URL;
+}
+
+async function runDaily(event, context) {
+  logger.info('Daily bin check starting', {
+    eventKeys: Object.keys(event || {}),
+    sourceUrlSet: !!process.env.SOURCE_URL,
+    stateTable: process.env.STATE_TABLE,
+    tz: process.env.TZ,
+    region: process.env.AWS_REGION
+  });
+
+  const { config, links } = await prepareRun(event);
   const dadJokePromise = fetchDadJokeWithTimeout(5000).then((joke) => {
-    if (joke) console.log('Dad joke fetched successfully');
-    else console.log('Dad joke fetch completed but no joke returned');
+    logger.debug('Dad joke fetch completed', { found: !!joke });
     return joke;
   }).catch((err) => {
-    console.warn('Dad joke fetch failed:', err.message);
+    logger.warn('Dad joke fetch failed', { err });
     return null;
   });
   const now = DateTime.now().setZone(config.timezone || process.env.TZ || 'Europe/London');
-  const tomorrow = now.plus({ days: 1 }).toISODate();
   const forceNotify = getForceNotify(event);
-  
-  console.log(`Current time (${config.timezone || process.env.TZ || 'Europe/London'}): ${now.toISO()}`);
-  console.log(`Tomorrow's date: ${tomorrow}`);
-  console.log(`Force notify mode: ${forceNotify}`);
+  const forceRefresh = getForceRefresh(event);
+  const dryRun = getDryRun(event);
+  const previews = dryRun ? createPreviewWriter(getPreviewDir(event)) : null;
+  logger.info('Run settings', { now: now.toISO(), forceNotify, forceRefresh, dryRun, previewDir: previews?.dir });
 
-  console.log('Launching browser...');
-  const browser = await launchBrowser();
-  console.log('✓ Browser launched successfully');
+  const dueAddresses = config.addresses.filter((address) => {
+    if (forceNotify) return true;
+    const settings = resolveNotifySettings(config, address);
+    const due = dueReminders(now, address, settings).size > 0;
+    if (!due) logger.debug('Address not due yet', { addressHash: sha256(address.label), atLocalTimes: Array.from(new Set(settings.reminders.map(r => r.atLocalTime))) });
+    return due;
+  });
+  const summary = { runAt: now.toISO(), ...(previews ? { dryRun, previewDir: previews.dir } : {}), delivered: 0, failed: 0, scrapeFailures: [], notifications: [] };
+  if (dueAddresses.length === 0) {
+    logger.info('No addresses due at this time');
+    return { statusCode: 200, body: JSON.stringify(summary) };
+  }
+
+  const browser = lazyBrowser();
   let dadJoke;
   let dadJokeResolved = false;
   try {
-    for (let i = 0; i < config.addresses.length; i++) {
-      const address = config.addresses[i];
+    // A dry run leaves the cache alone, so the next real run still announces any changes it previewed
+    const schedules = await loadSchedules(dueAddresses, { config, now, browser, forceRefresh, saveCache: !dryRun, deadline: scrapeDeadline(context) });
+    await reportScrapeFailures(schedules, config, summary, { previews });
+
+    for (let i = 0; i < schedules.length; i++) {
+      const { address, settings, addressHash, result, changes, error } = schedules[i];
       const { label, recipients } = address;
-      console.log(`\n--- Processing address ${i + 1}/${config.addresses.length}: ${label} ---`);
-      console.log(`Recipients: ${recipients.join(', ')}`);
-      
-      let result;
-      try {
-        console.log('Starting scrape...');
-        result = await scrapeNextCollections(browser, sourceUrl, label);
-        console.log(`✓ Scraped ${result.collections.length} collections:`, result.collections);
-      } catch (error) {
-        console.error(`✗ Failed to scrape collections for ${label}:`, error);
-        continue;
-      }
-      
-      const hasTomorrow = result.collections.some(c => c.localDate === tomorrow);
-      console.log(`Has collection tomorrow (${tomorrow}): ${hasTomorrow}`);
+      const log = logger.child({ addressHash });
+      log.info('Processing address', { index: i + 1, of: schedules.length, recipients: recipients.length, lookaheadDays: settings.lookaheadDays });
+      if (error) continue;
 
-      if (!forceNotify && !hasTomorrow) {
-        console.log('Skipping - no collection tomorrow and not in force mode');
-        continue;
+      if (changes.length > 0) {
+        log.info('Announcing schedule changes', { changes });
+        for (const group of groupByBinTypes(recipients)) {
+          const relevant = changes.filter(c => wantsBin(group.binTypes, c.bin));
+          if (relevant.length === 0) continue;
+          const outcome = await sendToRecipients(
+            group.recipients,
+            buildChangeMessage({ label, addressHash, changes: relevant, messageSuffix: settings.messageSuffix }),
+            { personalize: unsubscribeLinks(links, label), dryRun, preview: previews?.for(`change-${addressHash.slice(0, 8)}`) }
+          );
+          recordOutcome(summary, { kind: 'change', addressHash, changes: relevant.length }, outcome);
+        }
       }
 
-      const addressHash = sha256(label);
-      console.log(`Address hash: ${addressHash}`);
-      
-      let alreadyNotified = false;
-      if (!forceNotify) {
+      const ics = buildCalendar(result.collections, { label, addressHash, timezone: now.zoneName });
+      const feedDir = process.env.ICS_FEED_DIR || config.calendar?.feedDir;
+      if (feedDir) {
         try {
-          alreadyNotified = await wasNotifiedForDate(addressHash, tomorrow);
-          console.log(`Already notified check: ${alreadyNotified}`);
+          const file = writeCalendarFile(path.resolve(feedDir), addressHash, ics);
+          log.info('Wrote calendar feed', { file });
         } catch (error) {
-          console.error('Failed to check notification status:', error);
-        }
-        if (alreadyNotified) {
-          console.log('Skipping - already notified for this date');
-          continue;
+          log.error('Failed to write calendar feed', { err: error });
         }
       }
 
-      let announceDate = tomorrow;
-      if (forceNotify && !hasTomorrow) {
+      const collectionDates = new Set(result.collections.map(c => c.localDate));
+      const due = dueReminders(now, address, settings, { force: forceNotify });
+      let reminders = Array.from(due.keys())
+        .sort((a, b) => a - b)
+        .map(daysBefore => ({ daysBefore, localDate: now.plus({ days: daysBefore }).toISODate(), targets: due.get(daysBefore) }))
+        .filter(r => collectionDates.has(r.localDate));
+      log.info('Collections within due reminders', { reminders: reminders.map(r => ({ localDate: r.localDate, daysBefore: r.daysBefore })) });
+
+      if (forceNotify && reminders.length === 0) {
         const upcoming = result.collections
-          .map(c => ({ ...c, dt: DateTime.fromISO(c.localDate) }))
+          .map(c => ({ ...c, dt: DateTime.fromISO(c.localDate, { zone: now.zone }) }))
           .filter(c => c.dt.isValid && c.dt >= now.startOf('day'))
           .sort((a, b) => a.dt - b.dt);
-        if (upcoming.length > 0) announceDate = upcoming[0].localDate;
+        if (upcoming.length > 0) {
+          const daysBefore = Math.round(upcoming[0].dt.diff(now.startOf('day'), 'days').days);
+          const targets = recipients.map(entry => ({ entry, reminder: { daysBefore, messageSuffix: settings.messageSuffix } }));
+          reminders = [{ daysBefore, localDate: upcoming[0].localDate, targets }];
+        }
       }
 
-      const binsForAnnounce = result.collections.filter(c => c.localDate === announceDate).flatMap(c => c.bins);
-      const uniqueBins = Array.from(new Set(binsForAnnounce));
-
-      const isTomorrow = announceDate === tomorrow;
-      const messageSuffix = config.notify?.messageSuffix || process.env.MESSAGE_SUFFIX || '';
-      
-      // Format date in UK style: "11th September 2025"
-      const formatUKDate = (dateStr) => {
-        const dt = DateTime.fromISO(dateStr);
-        if (!dt.isValid) return dateStr;
-        
-        const day = dt.day;
-        const suffix = day === 1 || day === 21 || day === 31 ? 'st' :
-                      day === 2 || day === 22 ? 'nd' :
-                      day === 3 || day === 23 ? 'rd' : 'th';
-        
-        return `${day}${suffix} ${dt.toFormat('MMMM yyyy')}`;
-      };
-      
-      const ukFormattedDate = formatUKDate(announceDate);
-      const whenText = isTomorrow ? 'tomorrow' : `on ${ukFormattedDate}`;
-      const announceDetails = result.collections.filter(c => c.localDate === announceDate).map(c => c.bins.join(', ')).join(' | ');
-      if (!dadJokeResolved) {
-        dadJoke = await dadJokePromise;
-        dadJokeResolved = true;
+      if (reminders.length === 0) {
+        log.info('Skipping - no collection within lookahead and not in force mode');
+        continue;
       }
 
-      const binsText = announceDetails || uniqueBins.join(' + ');
-      const summaryLine = `Collection ${whenText} for ${label} (${ukFormattedDate}): ${binsText}`;
-      const textParts = [summaryLine, messageSuffix];
-      if (dadJoke) textParts.push(`Dad joke of the day: ${dadJoke}`);
-      const msg = textParts.filter(Boolean).join('\n\n').trim();
-      const htmlBody = buildHtmlEmailBody(summaryLine, messageSuffix, result.tableHtml, dadJoke);
-      const subject = `${binsText} collection on ${ukFormattedDate} - ${label}`;
-
-      console.log(`Email subject: ${subject}`);
-      console.log(`Email body: ${msg}`);
-      if (result.tableHtml) {
-        console.log(`Including HTML table (${result.tableHtml.length} chars) in email body`);
-      }
-      if (dadJoke) {
-        console.log(`Including dad joke in email: ${dadJoke}`);
-      }
-      
-      const emailLike = (v) => /.+@.+\..+/.test(String(v || ''));
-      const toList = recipients.filter(emailLike);
-      console.log(`Valid email recipients: ${toList.join(', ')}`);
-      
-      if (toList.length === 0) {
-        console.log('⚠️ No valid email addresses found in recipients');
-      } else {
-        console.log(`Sending emails to ${toList.length} recipients...`);
-        
-        for (let j = 0; j < toList.length; j++) {
-          const email = toList[j];
-          console.log(`Sending email ${j + 1}/${toList.length} to: ${email}`);
+      for (const { daysBefore, localDate, targets } of reminders) {
+        const binsOnDate = result.collections.filter(c => c.localDate === localDate).flatMap(c => c.bins);
+        const wantedTargets = targets.filter(t => binsOnDate.some(bin => wantsBin(normalizeRecipient(t.entry).binTypes, bin)));
+        const wanted = wantedTargets.map(t => t.entry);
+        if (wanted.length === 0) {
+          log.info('Skipping - no recipient wants these bins', { localDate, bins: binsOnDate });
+          continue;
+        }
+
+        let previous = null;
+        if (!forceNotify) {
+          try {
+            previous = await wasNotifiedForDate(addressHash, localDate, daysBefore);
+            log.debug('Previous deliveries', { localDate, daysBefore, recorded: previous ? Object.keys(previous.deliveries).length : 0 });
+          } catch (error) {
+            log.error('Failed to check notification status', { err: error, localDate, daysBefore });
+          }
+          if (previous?.legacy) {
+            log.info('Skipping - already notified for this reminder', { localDate, daysBefore });
+            continue;
+          }
+        }
+
+        let done = null;
+        let lastDone = null;
+        if (!forceNotify) {
           try {
-            await sendEmail(email, subject, msg, htmlBody);
-            console.log(`✓ Email sent successfully to ${email}`);
+            [done, lastDone] = await Promise.all([getAcknowledgement(addressHash, localDate), getLastAcknowledgement(addressHash)]);
           } catch (error) {
-            console.error(`✗ Failed to send email to ${email}:`, error.message);
-            console.error('Error stack:', error.stack);
+            log.error('Failed to check acknowledgements', { err: error, localDate });
+          }
+          if (done && settings.afterDone === 'skip') {
+            log.info('Skipping - bins already marked as out', { localDate, daysBefore });
+            continue;
           }
         }
+
+        let rota = null;
+        if (address.rota) {
+          try {
+            rota = await assignRota(addressHash, address.rota, localDate, binsOnDate, { save: !dryRun });
+          } catch (error) {
+            log.error('Failed to assign the rota', { err: error, localDate });
+          }
+        }
+        const duty = rota?.duty || null;
+
+        const deliveries = { ...(previous?.deliveries || {}) };
+        const alreadyDelivered = (recipient) => !forceNotify && deliveries[recipientKey(recipient)]?.status === 'delivered';
+        if (previous && wanted.map(normalizeRecipient).every(r => !r.channel || alreadyDelivered(r))) {
+          log.info('Skipping - all recipients already notified for this reminder', { localDate, daysBefore });
+          continue;
+        }
+
+        if (!dadJokeResolved) {
+          dadJoke = await dadJokePromise;
+          dadJokeResolved = true;
+        }
+
+        const attachments = config.calendar?.attachToEmail === false
+          ? []
+          : [{ filename: 'bin-days.ics', contentType: 'text/calendar; charset=utf-8; method=PUBLISH', content: ics }];
+        const templates = resolveTemplates(config, address);
+        // Recipients filtering on binTypes get a message about their bins only, without the council table;
+        // each reminder can carry its own suffix ("Put the bins out now" on the morning itself)
+        const suffixes = new Map(wantedTargets.map(t => [recipientKey(normalizeRecipient(t.entry)), t.reminder.messageSuffix]));
+        const messages = new Map();
+        // The member on duty gets their own message; everyone else shares the one naming them
+        const messageFor = (binTypes, messageSuffix = settings.messageSuffix, member = '') => {
+          const key = `${binTypesKey(binTypes)}|${messageSuffix}|${member}`;
+          if (!messages.has(key)) {
+            const reminder = buildReminderMessage({
+              label,
+              addressHash,
+              collections: filterCollections(result.collections, binTypes),
+              localDate,
+              daysBefore,
+              messageSuffix,
+              tableHtml: Array.isArray(binTypes) ? null : result.tableHtml,
+              dadJoke,
+              done: done ? doneNote(done, now.zone) : '',
+              lastDone: lastDone && lastDone.localDate < localDate ? lastDoneNote(lastDone) : '',
+              duty,
+              member,
+              templates
+            });
+            messages.set(key, { ...reminder, messageSuffix, attachments });
+          }
+          return messages.get(key);
+        };
+
+        const message = messageFor(null);
+        log.info('Sending reminder', { localDate, daysBefore, tableHtmlChars: result.tableHtml?.length || 0, dadJoke: !!dadJoke });
+
+        const withUnsubscribe = unsubscribeLinks(links, label);
+        const withDoneLink = done ? (_, m) => m : doneLinks(links, { label, localDate });
+        const withSwapLink = rota ? swapLinks(links, { label, localDate, state: rota.state }) : (_, m) => m;
+        const memberOnDuty = (recipient) => (isOnDuty(duty, recipient.name) ? recipient.name : '');
+        const outcome = await sendToRecipients(wanted, message, {
+          skip: alreadyDelivered,
+          personalize: (recipient) => withUnsubscribe(recipient, withDoneLink(recipient, withSwapLink(recipient,
+            messageFor(recipient.binTypes, suffixes.get(recipientKey(recipient)), memberOnDuty(recipient))))),
+          dryRun,
+          preview: previews?.for(`reminder-${localDate}-${daysBefore}d-${addressHash.slice(0, 8)}`)
+        });
+        recordOutcome(summary, { kind: 'reminder', addressHash, localDate, daysBefore }, outcome);
+
+        if (!forceNotify && !dryRun) {
+          const at = new Date().toISOString();
+          for (const { recipient, attempts, error } of [...outcome.delivered, ...outcome.failed]) {
+            const key = recipientKey(recipient);
+            deliveries[key] = {
+              channel: recipient.channel,
+              status: error ? 'failed' : 'delivered',
+              attempts: (deliveries[key]?.attempts || 0) + attempts,
+              ...(error ? { lastError: error.message } : {}),
+              at
+            };
+          }
+          try {
+            await markNotified(addressHash, localDate, daysBefore, { collections: result.collections }, deliveries);
+            log.info('Recorded deliveries', { localDate, daysBefore, delivered: outcome.delivered.length, failed: outcome.failed.length });
+          } catch (error) {
+            log.error('Failed to mark as notified', { err: error, localDate, daysBefore });
+          }
+        }
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+  
+  logger.info('Daily bin check completed', { delivered: summary.delivered, failed: summary.failed, scrapeFailures: summary.scrapeFailures.length });
+  return { statusCode: 200, body: JSON.stringify(summary) };
+}
+
+// Weekly digest: invoked by its own schedule with { mode: 'digest' }
+async function runDigest(event, context) {
+  logger.info('Weekly digest starting', { eventKeys: Object.keys(event || {}) });
+  const { config, links } = await prepareRun(event);
+  const now = DateTime.now().setZone(config.timezone || process.env.TZ || 'Europe/London');
+  const forceNotify = getForceNotify(event);
+  const forceRefresh = getForceRefresh(event);
+  const dryRun = getDryRun(event);
+  const previews = dryRun ? createPreviewWriter(getPreviewDir(event)) : null;
+  const weeks = config.digest?.weeks ?? 2;
+  const week = digestWeek(now);
+  const range = digestWindow(now, weeks);
+  const summary = { runAt: now.toISO(), mode: 'digest', week, ...(previews ? { dryRun, previewDir: previews.dir } : {}), delivered: 0, failed: 0, scrapeFailures: [], notifications: [] };
+  logger.info('Digest settings', { now: now.toISO(), week, ...range, forceNotify, forceRefresh, dryRun });
+
+  if (config.digest?.enabled !== true) {
+    logger.info('Weekly digest is not enabled in config');
+    return { statusCode: 200, body: JSON.stringify(summary) };
+  }
+  const addresses = config.addresses.filter(a => a.recipients.some(r => normalizeRecipient(r).digest !== false));
+  if (addresses.length === 0) {
+    logger.info('No recipients want the weekly digest');
+    return { statusCode: 200, body: JSON.stringify(summary) };
+  }
+
+  const browser = lazyBrowser();
+  try {
+    // The digest covers weeks ahead, so a cache only checked for the reminder lookahead may fall short
+    const schedules = await loadSchedules(addresses, { config, now, browser, forceRefresh, detectChanges: false, saveCache: false, deadline: scrapeDeadline(context), coverUntil: range.until });
+    await reportScrapeFailures(schedules, config, summary, { previews });
+
+    const messageSuffix = resolveNotifySettings(config, {}).messageSuffix;
+    for (const { recipient, sections } of digestRecipients(schedules, range)) {
+      const key = recipientKey(recipient);
+      const log = logger.child({ recipient: key, channel: recipient.channel });
+      if (sections.every(s => !s.collections)) {
+        log.warn('Skipping digest - no schedule could be loaded for any address', { addresses: sections.length });
+        continue;
+      }
+      if (!forceNotify) {
+        try {
+          if (await wasDigestSent(key, week)) {
+            log.info('Skipping - digest already sent this week', { week });
+            continue;
+          }
+        } catch (error) {
+          log.error('Failed to check digest status', { err: error, week });
+        }
       }
 
-      if (!forceNotify && isTomorrow) {
+      const message = buildDigestMessage({ sections, ...range, weeks, messageSuffix });
+      const outcome = await sendToRecipients([recipient], message, {
+        personalize: unsubscribeLinks(links, sections.map(s => s.label)),
+        dryRun,
+        preview: previews?.for(`digest-${week}`)
+      });
+      recordOutcome(summary, { kind: 'digest', week, addresses: sections.map(s => s.addressHash) }, outcome);
+
+      if (!forceNotify && !dryRun && outcome.delivered.length > 0) {
         try {
-          await markNotified(addressHash, tomorrow, {
-            collections: result.collections,
-            tableHtml: result.tableHtml
-          });
-          console.log(`✓ Marked as notified for ${tomorrow}`);
+          const expiresAt = Math.floor(now.plus({ weeks: 5 }).toSeconds());
+          await markDigestSent(key, week, new Date().toISOString(), expiresAt);
         } catch (error) {
-          console.error('Failed to mark as notified:', error);
+          log.error('Failed to record digest', { err: error, week });
         }
       }
     }
   } finally {
-    console.log('Closing browser...');
     await browser.close();
-    console.log('✓ Browser closed');
   }
-  
-  console.log('=== Daily bin check completed successfully ===');
-  return { statusCode: 200, body: 'ok' };
+
+  logger.info('Weekly digest completed', { delivered: summary.delivered, failed: summary.failed, scrapeFailures: summary.scrapeFailures.length });
+  return { statusCode: 200, body: JSON.stringify(summary) };
+}
+
+// HTTP lookup: GET /collections?address=...&format=json|ics (API Gateway v1/v2 or Function URL events).
+// The URL is public, so it never scrapes: it serves the schedule the daily run last cached
+// for a configured address.
+exports.collections = async (event, context) => {
+  setRunContext({ fn: 'collections', runId: context?.awsRequestId || crypto.randomUUID() });
+  const method = event?.requestContext?.http?.method || event?.httpMethod || 'GET';
+  const query = event?.queryStringParameters || {};
+  const wanted = String(query.address || '').trim();
+  const format = String(query.format || 'json').toLowerCase();
+  logger.info('Collections lookup', { method, format });
+
+  if (method !== 'GET') {
+    return jsonResponse(405, { error: 'Method not allowed' }, { Allow: 'GET' });
+  }
+  if (!wanted) {
+    return jsonResponse(400, { error: 'Missing required query parameter: address' });
+  }
+  if (format !== 'json' && format !== 'ics') {
+    return jsonResponse(400, { error: `Unsupported format: ${format}` });
+  }
+
+  let config;
+  let address;
+  let addressHash;
+  let cached;
+  try {
+    config = loadConfig(configPath());
+    address = configuredLabel(config, wanted);
+    if (!address) return jsonResponse(404, { error: 'Address not found' });
+    addressHash = sha256(address);
+    cached = await getCachedSchedule(addressHash);
+  } catch (error) {
+    logger.error('Lookup failed', { err: error });
+    return jsonResponse(500, { error: 'Internal error' });
+  }
+  if (!cached) {
+    logger.info('No cached schedule yet', { addressHash });
+    return jsonResponse(503, { error: 'No schedule has been fetched for this address yet; try again after the next daily run' }, { 'Retry-After': '3600' });
+  }
+  logger.info('Served cached collections', { addressHash, collections: cached.collections.length, scrapedAt: cached.scrapedAt });
+
+  const zone = config.timezone || process.env.TZ || 'Europe/London';
+  if (format === 'ics') {
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'text/calendar; charset=utf-8' },
+      body: buildCalendar(cached.collections, { label: address, addressHash, timezone: zone })
+    };
+  }
+  return jsonResponse(200, {
+    address,
+    addressHash,
+    timezone: zone,
+    fetchedAt: cached.scrapedAt,
+    collections: cached.collections
+  });
 };
 
-function getForceNotify(event) {
-  if (process.env.FORCE_NOTIFY && /^(1|true|yes)$/i.test(process.env.FORCE_NOTIFY)) return true;
-  if (event && (event.forceNotify === true || /^(1|true|yes)$/i.test(String(event.forceNotify || '')))) return true;
+// Self-service subscriptions (Function URL):
+//   POST /subscribe          { address, to, channel?, preferences? } -> sends a confirm link
+//   GET  /confirm?token=     confirmation page; POST activates the pending subscription
+//   GET  /unsubscribe?token= confirmation page; POST performs it (also RFC 8058 one-click)
+//   GET  /done?token=        "bins are out" page; POST records it for the collection
+//   GET  /swap?token=        rota swap page; POST hands the turn to the next member
+exports.subscriptions = async (event, context) => {
+  setRunContext({ fn: 'subscriptions', runId: context?.awsRequestId || crypto.randomUUID() });
+  const method = event?.requestContext?.http?.method || event?.httpMethod || 'GET';
+  const route = String(event?.rawPath || event?.path || '/').replace(/\/+$/, '').split('/').pop();
+  const token = event?.queryStringParameters?.token;
+  logger.info('Subscriptions request', { method, route });
+
+  const secret = await getLinkSecret();
+  if (!secret) {
+    logger.error('Link signing secret is not configured');
+    return jsonResponse(500, { error: 'Subscriptions are not configured' });
+  }
+
+  try {
+    if (route === 'subscribe' && method === 'POST') {
+      return await handleSubscribe(parseBody(event));
+    }
+    if (route === 'confirm' && (method === 'GET' || method === 'POST')) {
+      const payload = verifyToken(token, secret, 'confirm');
+      if (!payload) return htmlResponse(400, 'Link expired', 'This confirmation link is invalid or has expired.');
+      if (method === 'GET') {
+        // Link scanners prefetch GETs, so only a POST actually subscribes
+        return htmlResponse(200, 'Confirm subscription', `Start bin day reminders for ${payload.a}?`,
+          `<form method="post"><button type="submit">Confirm</button></form>`);
+      }
+      await setSubscriptionStatus(subscriptionId(payload.a, payload.c, payload.t), 'active');
+      return htmlResponse(200, 'Subscribed', `You will now get bin day reminders for ${payload.a}.`);
+    }
+    if (route === 'unsubscribe' && (method === 'GET' || method === 'POST')) {
+      const payload = verifyToken(token, secret, 'unsubscribe');
+      if (!payload) return htmlResponse(400, 'Invalid link', 'This unsubscribe link is invalid.');
+      if (method === 'GET') {
+        // Link scanners prefetch GETs, so only a POST actually unsubscribes
+        return htmlResponse(200, 'Unsubscribe', `Stop bin day reminders for ${payload.a}?`,
+          `<form method="post"><button type="submit">Unsubscribe</button></form>`);
+      }
+      await saveSubscription({ addressLabel: payload.a, channel: payload.c, to: payload.t, status: 'unsubscribed', source: 'unsubscribe-link' });
+      return htmlResponse(200, 'Unsubscribed', `You will no longer get bin day reminders for ${payload.a}.`);
+    }
+    if (route === 'done' && (method === 'GET' || method === 'POST')) {
+      const payload = verifyToken(token, secret, 'done');
+      if (!payload) return htmlResponse(400, 'Link expired', 'This link is invalid or the collection has passed.');
+      return await handleDone(payload, method);
+    }
+    if (route === 'swap' && (method === 'GET' || method === 'POST')) {
+      const payload = verifyToken(token, secret, 'swap');
+      if (!payload) return htmlResponse(400, 'Link expired', 'This link is invalid or the collection has passed.');
+      return await handleSwap(payload, method);
+    }
+    return jsonResponse(404, { error: 'Not found' });
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return htmlResponse(404, 'Not found', 'This subscription no longer exists.');
+    }
+    logger.error('Subscription request failed', { err: error });
+    return jsonResponse(500, { error: 'Internal error' });
+  }
+};
+
+const SUBSCRIBE_CHANNELS = ['email', 'sms'];
+
+// Subscribe requests a day, per recipient and per address, so the public form cannot
+// be used to send texts in bulk
+const SUBSCRIBE_LIMITS = { recipient: 3, address: 20 };
+
+// Assigns the collection on localDate unless it already has someone. Returns { duty, state }.
+async function assignRota(addressHash, rotaConfig, localDate, bins, { save = true } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    const { rota, version } = await getRota(addressHash);
+    const next = assignDuty(rota, rotaConfig, localDate, bins);
+    if (!next.changed || !save) return next;
+    try {
+      await saveRota(addressHash, next.state, version);
+      return next;
+    } catch (error) {
+      // A swap was saved in between; assign again from what it left
+      if (error.name !== 'ConditionalCheckFailedException' || attempt === 3) throw error;
+    }
+  }
+}
+
+// payload is { a: address label, d: collection date, m: rota member on duty }
+async function handleSwap(payload, method) {
+  const addressHash = sha256(payload.a);
+  const when = DateTime.fromISO(payload.d).toFormat('cccc d LLLL');
+  const { rota, version } = await getRota(addressHash);
+  const partners = Array.from(new Set(swapPartners(rota, payload.d, payload.m).map(p => p.with)));
+  if (partners.length === 0) {
+    return htmlResponse(200, 'Nothing to swap', `${payload.m} is not on bin duty for ${when}, or there is nobody to swap with.`);
+  }
+  const names = partners.join(' and ');
+  if (method === 'GET') {
+    return htmlResponse(200, 'Swap turns?', `Hand your bin duty for ${when} to ${names}? You take their next turn instead.`,
+      `<form method="post"><button type="submit">Swap turns</button></form>`);
+  }
+  try {
+    await saveRota(addressHash, swapDuty(rota, payload.d, payload.m).state, version);
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') throw error;
+    return htmlResponse(409, 'Rota changed', 'The rota changed while you were swapping. Open the link again to see who is on duty.');
+  }
+  logger.info('Rota turns swapped', { addressHash, localDate: payload.d });
+  return htmlResponse(200, 'Swapped', `${names} now has bin duty for ${when}, and you take their next turn. Reminders from now on name them.`);
+}
+
+// payload is { a: address label, d: collection date, b: recipient name }
+async function handleDone(payload, method) {
+  const addressHash = sha256(payload.a);
+  const when = DateTime.fromISO(payload.d).toFormat('cccc d LLLL');
+  const handledBy = (ack) => `${ack.by || 'Someone'} already put the bins out for ${when}.`;
+  if (method === 'GET') {
+    // As with unsubscribe, only a POST records anything, so link scanners cannot
+    const existing = await getAcknowledgement(addressHash, payload.d);
+    if (existing) return htmlResponse(200, 'Already done', handledBy(existing));
+    return htmlResponse(200, 'Bins out?', `Let everyone at ${payload.a} know the bins are out for ${when}.`,
+      `<form method="post"><button type="submit">Done - bins are out</button></form>`);
+  }
+  const at = new Date().toISOString();
+  const expiresAt = Math.floor(DateTime.fromISO(payload.d).plus({ days: 30 }).toSeconds());
+  const ack = await markAcknowledged(addressHash, payload.d, payload.b || '', at, expiresAt);
+  if (!ack.first) return htmlResponse(200, 'Already done', handledBy(ack));
+  logger.info('Bins marked as out', { addressHash, localDate: payload.d });
+  return htmlResponse(200, 'Thanks', `Recorded that the bins are out for ${when}.`);
+}
+
+async function handleSubscribe(body) {
+  const wanted = String(body?.address || '').trim();
+  const recipient = normalizeRecipient(body?.channel ? { to: body.to, channel: body.channel } : body?.to);
+  if (!wanted) {
+    return jsonResponse(400, { error: 'Missing required field: address' });
+  }
+  // Each address is a scrape on every run, so only configured ones can be subscribed to
+  const address = configuredLabel(loadConfig(configPath()), wanted);
+  if (!address) {
+    return jsonResponse(400, { error: 'Field "address" must be one of the configured addresses' });
+  }
+  // Webhooks come from recipients.json only, so the public form cannot make the function POST to
+  // any URL: it takes no webhook channel, and only binTypes are kept from its preferences
+  if (!SUBSCRIBE_CHANNELS.includes(recipient.channel) || !getChannel(recipient.channel).matches(recipient.to)) {
+    return jsonResponse(400, { error: 'Field "to" must be an email address or phone number' });
+  }
+  const binTypes = body?.preferences?.binTypes;
+  if (binTypes !== undefined && !(Array.isArray(binTypes) && binTypes.every(t => BIN_TYPE_IDS.includes(t)))) {
+    return jsonResponse(400, { error: `preferences.binTypes must be a list of: ${BIN_TYPE_IDS.join(', ')}` });
+  }
+  // Only known preferences are stored; anything else in the body is ignored
+  const preferences = binTypes ? { binTypes } : undefined;
+
+  const existing = await getSubscription(subscriptionId(address, recipient.channel, recipient.to));
+  if (existing?.status === 'active') {
+    return jsonResponse(200, { status: 'active' });
+  }
+
+  const links = await createLinkBuilder();
+  if (!links) {
+    return jsonResponse(500, { error: 'PUBLIC_BASE_URL is not configured' });
+  }
+  const day = DateTime.utc().toISODate();
+  const expiresAt = Math.floor(Date.now() / 1000) + 2 * 24 * 3600;
+  const [sentToRecipient, sentForAddress] = await Promise.all([
+    countEvent(stateKey(recipientKey(recipient), 'subscribe', day), expiresAt),
+    countEvent(stateKey(sha256(address), 'subscribe', day), expiresAt)
+  ]);
+  if (sentToRecipient > SUBSCRIBE_LIMITS.recipient || sentForAddress > SUBSCRIBE_LIMITS.address) {
+    logger.warn('Subscribe request rate limited', { addressHash: sha256(address), recipient: recipientKey(recipient), sentToRecipient, sentForAddress });
+    return jsonResponse(429, { error: 'Too many subscription requests, try again tomorrow' });
+  }
+  await saveSubscription({ addressLabel: address, channel: recipient.channel, to: recipient.to, status: 'pending', preferences });
+  const exp = Math.floor(Date.now() / 1000) + 7 * 24 * 3600;
+  const url = links('/confirm', { act: 'confirm', a: address, c: recipient.channel, t: recipient.to, exp });
+  await notify(recipient, {
+    subject: `Confirm bin day reminders for ${address}`,
+    text: `Someone asked to send bin day reminders for ${address} to this ${recipient.channel === 'sms' ? 'number' : 'address'}. Confirm within 7 days: ${url}`,
+    html: `<p>Someone asked to send bin day reminders for ${escapeHtml(address)} to this address.</p><p><a href="${escapeHtml(url)}">Confirm subscription</a> (valid for 7 days)</p>`,
+    summaryLine: `Confirm bin day reminders for ${address}: ${url}`,
+    smsText: `Confirm bin day reminders within 7 days: ${url}`
+  });
+  return jsonResponse(202, { status: 'pending' });
+}
+
+function parseBody(event) {
+  if (!event?.body) return {};
+  const raw = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+  const contentType = String(event.headers?.['content-type'] || event.headers?.['Content-Type'] || '');
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return Object.fromEntries(new URLSearchParams(raw));
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (_) {
+    return {};
+  }
+}
+
+function htmlResponse(statusCode, title, message, extraHtml = '') {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'text/html; charset=utf-8' },
+    body: `<!doctype html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width"><title>${escapeHtml(title)}</title></head><body><h1>${escapeHtml(title)}</h1><p>${escapeHtml(message)}</p>${extraHtml}</body></html>`
+  };
+}
+
+// The configured label for an address typed by a member of the public, or undefined
+function configuredLabel(config, wanted) {
+  const key = String(wanted || '').trim().toLowerCase();
+  return config.addresses.map(a => a.label).find(label => label.trim().toLowerCase() === key);
+}
+
+function jsonResponse(statusCode, body, headers = {}) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  };
+}
+
+function getEventFlag(event, name, envName) {
+  if (process.env[envName] && /^(1|true|yes)$/i.test(process.env[envName])) return true;
+  if (event && (event[name] === true || /^(1|true|yes)$/i.test(String(event[name] || '')))) return true;
   return false;
 }
 
+function getForceNotify(event) {
+  return getEventFlag(event, 'forceNotify', 'FORCE_NOTIFY');
+}
+
+function getForceRefresh(event) {
+  return getEventFlag(event, 'forceRefresh', 'FORCE_REFRESH');
+}
+
+// Composes every message and writes it to the preview directory instead of sending it;
+// no deliveries are recorded
+function getDryRun(event) {
+  return getEventFlag(event, 'dryRun', 'DRY_RUN');
+}
+
+function getPreviewDir(event) {
+  const dir = event?.previewDir || process.env.PREVIEW_DIR;
+  return dir ? path.resolve(dir) : undefined;
+}
+
+// A cached schedule is reused while it is younger than maxAgeHours and still
+// lists a collection on or after coverUntil (otherwise we cannot tell "no
+// collection" from "the cache ran out").
+function isCachedScheduleUsable(cached, { now, maxAgeHours, coverUntil }) {
+  if (!cached || !Array.isArray(cached.collections)) return false;
+  const scrapedAt = DateTime.fromISO(cached.scrapedAt);
+  if (!scrapedAt.isValid || now.diff(scrapedAt, 'hours').hours >= maxAgeHours) return false;
+  return cached.collections.some(c => c.localDate >= coverUntil);
+}
+
+// Merges the global notify block with per-address overrides
+function resolveNotifySettings(config, address) {
+  const notify = { ...(config.notify || {}), ...(address.notify || {}) };
+  const atLocalTime = notify.atLocalTime || '12:00';
+  const messageSuffix = notify.messageSuffix || process.env.MESSAGE_SUFFIX || '';
+  const lookahead = notify.daysLookahead ?? 1;
+  const defaults = { atLocalTime, messageSuffix };
+  const reminders = Array.isArray(notify.reminders)
+    ? notify.reminders.map(r => reminderEntry(r, defaults))
+    : (Array.isArray(lookahead)
+      ? Array.from(new Set(lookahead.map(Number)))
+      : Array.from({ length: Math.max(0, Number(lookahead)) }, (_, i) => i + 1)
+    ).map(daysBefore => ({ daysBefore, atLocalTime, messageSuffix }));
+  // Every offset any recipient uses, so the cached schedule is checked far enough ahead
+  const offsets = [
+    ...reminders,
+    ...(address.recipients || []).flatMap(r => (Array.isArray(r?.reminders) ? r.reminders : []))
+  ].map(r => Number(r.daysBefore));
+  return {
+    atLocalTime,
+    windowMinutes: Number(notify.windowMinutes) || 180,
+    afterDone: notify.afterDone || 'skip',
+    lookaheadDays: Array.from(new Set(offsets)).sort((a, b) => a - b),
+    reminders,
+    messageSuffix
+  };
+}
+
+function reminderEntry(reminder, defaults) {
+  return {
+    daysBefore: Number(reminder.daysBefore),
+    atLocalTime: reminder.atLocalTime || defaults.atLocalTime,
+    messageSuffix: reminder.messageSuffix ?? defaults.messageSuffix
+  };
+}
+
+// A recipient's own reminders replace the address's; times and suffix default to the address's
+function remindersFor(recipient, settings) {
+  if (!Array.isArray(recipient.reminders)) return settings.reminders;
+  return recipient.reminders.map(r => reminderEntry(r, settings));
+}
+
+// The schedule fires hourly; an address is due in the window starting at its send time,
+// so later runs in the window retry recipients whose delivery failed
+function isSendTimeDue(now, settings) {
+  const [hour, minute] = settings.atLocalTime.split(':').map(Number);
+  const sendAt = now.set({ hour, minute, second: 0, millisecond: 0 });
+  return now >= sendAt && now < sendAt.plus({ minutes: settings.windowMinutes });
+}
+
+// Map of daysBefore -> [{ entry, reminder }] for the recipients with a reminder due now;
+// with force every reminder counts as due
+function dueReminders(now, address, settings, { force = false } = {}) {
+  const due = new Map();
+  for (const entry of address.recipients) {
+    for (const reminder of remindersFor(normalizeRecipient(entry), settings)) {
+      if (!force && !isSendTimeDue(now, { atLocalTime: reminder.atLocalTime, windowMinutes: settings.windowMinutes })) continue;
+      if (!due.has(reminder.daysBefore)) due.set(reminder.daysBefore, []);
+      due.get(reminder.daysBefore).push({ entry, reminder });
+    }
+  }
+  return due;
+}
+
+// Format date in UK style: "11th September 2025"
+function formatUKDate(dateStr) {
+  const dt = DateTime.fromISO(dateStr);
+  if (!dt.isValid) return dateStr;
+
+  const day = dt.day;
+  const suffix = day === 1 || day === 21 || day === 31 ? 'st' :
+                day === 2 || day === 22 ? 'nd' :
+                day === 3 || day === 23 ? 'rd' : 'th';
+
+  return `${day}${suffix} ${dt.toFormat('MMMM yyyy')}`;
+}
+
+function formatChangeDate(dateStr) {
+  const dt = DateTime.fromISO(dateStr);
+  return dt.isValid ? `${dt.toFormat('cccc')} ${formatUKDate(dateStr)}` : dateStr;
+}
+
+function describeChange(change) {
+  const bin = classifyBin(change.bin).name;
+  if (change.kind === 'moved') return `${bin} moved from ${formatChangeDate(change.from)} to ${formatChangeDate(change.to)}`;
+  if (change.kind === 'removed') return `${bin} no longer collected on ${formatChangeDate(change.from)}`;
+  return `${bin} now also collected on ${formatChangeDate(change.to)}`;
+}
+
+function buildChangeMessage({ label, addressHash, changes, messageSuffix }) {
+  const lines = changes.map(describeChange);
+  const summaryLine = `Bin collection change for ${label}: ${lines.join('; ')}`;
+  const text = [
+    `Your collection schedule for ${label} has changed:`,
+    lines.map(l => `- ${l}`).join('\n'),
+    messageSuffix
+  ].filter(Boolean).join('\n\n');
+  const rows = changes.map(c => `<tr><td>${escapeHtml(classifyBin(c.bin).name)}</td><td>${c.from ? escapeHtml(formatChangeDate(c.from)) : 'No collection'}</td><td>${c.to ? escapeHtml(formatChangeDate(c.to)) : 'No collection'}</td></tr>`);
+  const html = [
+    `<p>Your collection schedule for ${escapeHtml(label)} has changed:</p>`,
+    `<table><tr><th>Bin</th><th>Was</th><th>Now</th></tr>${rows.join('')}</table>`,
+    messageSuffix ? `<p>${escapeHtml(messageSuffix).replace(/\n/g, '<br>')}</p>` : ''
+  ].filter(Boolean).join('\n');
+  return {
+    subject: `Your bin collection has changed - ${label}`,
+    text,
+    html,
+    summaryLine,
+    messageSuffix,
+    data: {
+      kind: 'change',
+      addressHash,
+      address: label,
+      changes: changes.map(c => ({ change: c.kind, bin: classifyBin(c.bin), from: c.from || null, to: c.to || null }))
+    }
+  };
+}
+
+function relativeDayText(daysBefore, ukFormattedDate) {
+  if (daysBefore === 0) return 'today';
+  if (daysBefore === 1) return 'tomorrow';
+  return `on ${ukFormattedDate}`;
+}
+
+// ack is { localDate, by, at } from the state table
+function doneNote(ack, zone) {
+  const at = DateTime.fromISO(ack.at, { zone });
+  return `Already handled - ${ack.by || 'someone'} put the bins out (${at.toFormat('ccc h:mm')}${at.toFormat('a').toLowerCase()})`;
+}
+
+function lastDoneNote(ack) {
+  return `Last collection (${DateTime.fromISO(ack.localDate).toFormat('ccc d LLL')}): bins put out by ${ack.by || 'someone'}.`;
+}
+
+// duty is the rota assignment for the date ({ turn: member }), member the recipient's rota name
+function buildReminderMessage({ label, addressHash, collections, localDate, daysBefore, messageSuffix, tableHtml, dadJoke, done = '', lastDone = '', duty = null, member = '', templates = resolveTemplates({}, {}) }) {
+  const forDate = collections.filter(c => c.localDate === localDate);
+  const uniqueBins = Array.from(new Set(forDate.flatMap(c => c.bins)));
+  const ukFormattedDate = formatUKDate(localDate);
+  const announceDetails = forDate.map(c => binDisplayNames(c.bins).join(', ')).join(' | ');
+  const dt = DateTime.fromISO(localDate);
+
+  const vars = {
+    bins: announceDetails || binDisplayNames(uniqueBins).join(' + '),
+    rawBins: forDate.map(c => c.bins.join(', ')).join(' | '),
+    chips: binChipsHtml(uniqueBins, escapeHtml),
+    date: ukFormattedDate,
+    weekday: dt.isValid ? dt.toFormat('cccc') : '',
+    isoDate: localDate,
+    when: relativeDayText(daysBefore, ukFormattedDate),
+    today: daysBefore === 0 ? 'today' : '',
+    done,
+    lastDone,
+    rota: dutyNote(duty, member),
+    onDuty: isOnDuty(duty, member) ? 'yes' : '',
+    label,
+    suffix: (messageSuffix || '').trim(),
+    joke: dadJoke || '',
+    table: tableHtml || '',
+    extras: templates.extras
+  };
+  vars.summary = renderTemplate(templates.summary, vars);
+  return {
+    subject: renderTemplate(templates.subject, vars).replace(/\s*\n\s*/g, ' '),
+    text: renderTemplate(templates.text, vars),
+    html: renderTemplate(templates.html, vars, { html: true }) || null,
+    summaryLine: vars.summary,
+    data: {
+      kind: 'reminder',
+      addressHash,
+      address: label,
+      date: localDate,
+      daysBefore,
+      bins: uniqueBins.map(classifyBin),
+      collections: collectionData(collections),
+      ...(duty ? { rota: duty } : {})
+    }
+  };
+}
+
 function loadConfig(p) {
   const raw = fs.readFileSync(p, 'utf-8');
-  const cfg = JSON.parse(raw);
-  if (!cfg.addresses || !Array.isArray(cfg.addresses)) {
-    throw new Error('config.addresses must be an array');
+  let cfg;
+  try {
+    cfg = JSON.parse(raw);
+  } catch (error) {
+    throw new ConfigError(p, [{ path: '$', message: `is not valid JSON: ${error.message}` }]);
+  }
+  const problems = validateConfig(cfg);
+  if (problems.length > 0) {
+    throw new ConfigError(p, problems);
   }
   return cfg;
 }
@@ -306,412 +987,303 @@ async function launchBrowser() {
   });
 }
 
-async function scrapeNextCollections(browser, url, addressLabel) {
-  const page = await browser.newPage();
-  try {
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/127.0.0.0 Safari/537.36');
-    await page.goto(url, { waitUntil: 'networkidle2', timeout: 90000 });
-    await saveScreenshot(page, 'after-goto');
-    await sleep(1500);
-
-    const frame = await getFormFrame(page);
-    await saveScreenshot(page, 'after-frame');
-
-    await ensureFormOpen(frame);
-    await saveFrameHtml(frame, 'after-open');
-
-    await typeAndSelectAddress(frame, page, addressLabel, getForceNotify());
-
-    const tableOk = await waitForResultsTable(frame, 120000);
-    if (!tableOk) {
-      await saveFrameHtml(frame, 'no-results-timeout');
-      throw new Error('Results table did not render in time');
+// Launched on first use, so runs served entirely by the HTTP scraper never start Chromium
+function lazyBrowser() {
+  let launching = null;
+  return {
+    get() {
+      if (!launching) {
+        logger.info('Launching browser');
+        launching = launchBrowser().then((browser) => {
+          logger.info('Browser launched');
+          return browser;
+        });
+      }
+      return launching;
+    },
+    async close() {
+      if (!launching) return;
+      const browser = await launching.catch(() => null);
+      if (!browser) return;
+      logger.debug('Closing browser');
+      await browser.close();
+      logger.debug('Browser closed');
     }
-    await saveFrameHtml(frame, 'after-results');
+  };
+}
 
-    const { collections, tableHtml } = await extractCollections(frame);
-    return { collections, tableHtml };
-  } finally {
-    await page.close();
-  }
+// address is a config entry ({ label, provider, search, uprn, optionText }) or a bare label
+async function scrapeCollections(browser, address, { signal, log = logger } = {}) {
+  return providerFor(address).fetchCollections(address, { browser, signal, log });
 }
 
-async function getFormFrame(page) {
-  const iframeHandle = await page.waitForSelector('#fillform-frame-1', { timeout: 60000 });
-  const frame = await iframeHandle.contentFrame();
-  if (frame) {
-    await new Promise(r => setTimeout(r, 1000));
-    return frame;
-  }
-  const start = Date.now();
-  while (Date.now() - start < 60000) {
-    const frames = page.frames();
-    for (const fr of frames) {
-      try {
-        const hasInputs = await fr.evaluate(() => !!document && document.querySelectorAll('input').length > 0);
-        if (hasInputs) return fr;
-      } catch (_) {}
-    }
-    await new Promise(r => setTimeout(r, 500));
-  }
-  throw new Error('Could not find a loaded form frame with inputs');
+// The address options ({ value, text }) a council offers for a search string
+async function listAddressOptions(browser, search, { provider } = {}) {
+  return providerFor({ provider }).lookupAddresses(search, { browser, log: logger });
 }
 
-async function ensureFormOpen(frame) {
-  const candidates = ['Section 1', 'Start', 'Begin', 'Check your bin day', 'Next', 'Continue'];
-  for (const text of candidates) {
+// Scrape phase for one address: cached schedule if usable, else a scrape bounded by
+// timeoutMs and the run's deadline, then diff and cache. Failures are returned rather than thrown so one
+// address cannot stop the others.
+// detectChanges and saveCache can be turned off by runs that must leave change
+// announcements to the next daily run. coverUntil is the last date the run needs,
+// by default the furthest reminder ahead.
+async function loadSchedule(address, { config, now, browser, forceRefresh, cacheMaxAgeHours, timeoutMs, attempts = 1, retryDelayMs = 0, detectChanges = true, saveCache = true, deadline = Infinity, coverUntil: wantedUntil = null }) {
+  const { label } = address;
+  const settings = resolveNotifySettings(config, address);
+  const addressHash = sha256(label);
+  const plan = { address, settings, addressHash, result: null, changes: [], error: null, attempts: 0 };
+  const log = logger.child({ addressHash });
+
+  let cached = null;
+  if (!forceRefresh && cacheMaxAgeHours > 0) {
     try {
-      const ok = await clickByText(frame, text);
-      if (ok) {
-        await sleep(1000);
-        const has = await frame.evaluate(() => !!document.querySelector('input, [role="combobox"], [contenteditable="true"]'));
-        if (has) return;
+      cached = await getCachedSchedule(addressHash);
+      const coverUntil = wantedUntil || now.plus({ days: Math.max(1, ...settings.lookaheadDays) }).toISODate();
+      if (isCachedScheduleUsable(cached, { now, maxAgeHours: cacheMaxAgeHours, coverUntil })) {
+        log.info('Using cached schedule', { scrapedAt: cached.scrapedAt, collections: cached.collections.length });
+        putMetric('CacheHits', 1);
+        plan.result = cached;
+        return plan;
       }
-    } catch (_) {}
+      if (cached) log.info('Cached schedule is stale or too short', { scrapedAt: cached.scrapedAt, coverUntil });
+    } catch (error) {
+      log.error('Failed to read cached schedule', { err: error });
+    }
   }
-}
 
-async function typeAndSelectAddress(frame, page, label, forceNotify) {
-  // 1) Find the address entry control (input/combobox/contenteditable or autoLookup field)
-  const handle = await frame.evaluateHandle(() => {
-    const isVisible = (el) => {
-      if (!el) return false;
-      const rect = el.getBoundingClientRect();
-      const style = window.getComputedStyle(el);
-      return !!(rect.width && rect.height) && style.visibility !== 'hidden' && style.display !== 'none';
-    };
-    // Prefer an input/combobox tied to the address lookup
-    let candidates = Array.from(document.querySelectorAll('input[aria-autocomplete="list"], input[role="combobox"], input[type="search"], input'))
-      .filter(isVisible);
-    if (candidates.length === 0) {
-      // Try contenteditable or the AchieveForms autoLookup container
-      const auto = document.querySelector('div[data-type="autoLookup"], [data-field-type="autoLookup"]');
-      if (auto) {
-        const inAuto = auto.querySelector('input, [contenteditable="true"], [role="combobox"]');
-        if (inAuto && isVisible(inAuto)) return inAuto;
-      }
-      candidates = Array.from(document.querySelectorAll('[contenteditable="true"], [role="combobox"], input')).filter(isVisible);
+  // Transient failures (slow council site, dropped session) are retried with backoff;
+  // an address the form no longer offers fails straight away. Nothing starts once the
+  // run's deadline is near, so the failure is still reported before the function times out.
+  while (!plan.result) {
+    const timeLeft = deadline - Date.now();
+    if (timeLeft < MIN_SCRAPE_MS) {
+      plan.error = new ScrapeError(ScrapeError.STAGES.TIMEOUT, 'The run ran out of time before this address could be scraped');
+      log.error('Failed to scrape collections', { stage: plan.error.stage, attempts: plan.attempts, err: plan.error });
+      return plan;
     }
-    const scoreOf = (el) => {
-      const attrs = [el.name, el.id, el.getAttribute?.('role'), el.getAttribute?.('aria-label'), el.placeholder, el.className]
-        .filter(Boolean).join(' ').toLowerCase();
-      let score = 0;
-      if (/address|lookup|find|search/.test(attrs)) score += 5;
-      if (/text|search/.test(el.type || '')) score += 2;
-      if (/date|time/.test(el.type || '')) score -= 3;
-      const field = el.closest?.('.field, .fieldContent, .af-block, fieldset, form');
-      if (field) {
-        const txt = (field.textContent || '').toLowerCase();
-        if (txt.includes('address')) score += 3;
-        if (txt.includes('postcode')) score += 1;
+    plan.attempts++;
+    const limitMs = Math.min(timeoutMs, timeLeft);
+    try {
+      log.info('Starting scrape', { provider: providerFor(address).id, attempt: plan.attempts, of: attempts, timeoutMs: limitMs });
+      plan.result = await withTimeout(
+        signal => scrapeCollections(browser, address, { signal, log }),
+        limitMs,
+        () => new ScrapeError(ScrapeError.STAGES.TIMEOUT, `Scrape did not finish within ${Math.round(limitMs / 1000)}s`)
+      );
+    } catch (error) {
+      const delay = retryDelayMs * 2 ** (plan.attempts - 1);
+      if (plan.attempts < attempts && isTransientError(error) && deadline - Date.now() - delay >= MIN_SCRAPE_MS) {
+        log.warn('Scrape failed, retrying', { stage: error.stage || 'unknown', err: error, retryInMs: delay });
+        await sleep(delay);
+        continue;
       }
-      return score;
-    };
-    let best = null; let bestScore = -Infinity;
-    for (const el of candidates) {
-      const sc = scoreOf(el);
-      if (sc > bestScore) { best = el; bestScore = sc; }
+      log.error('Failed to scrape collections', { stage: error.stage || 'unknown', attempts: plan.attempts, err: error });
+      plan.error = error;
+      return plan;
     }
-    return best;
-  });
+  }
+  log.info('Scraped collections', { collections: plan.result.collections });
+  putMetric('CollectionsFound', plan.result.collections.length);
+  for (const bin of unknownBins(plan.result.collections)) {
+    log.warn('Unrecognised bin type - shown as worded by the council', { bin });
+  }
 
-  const inputHandle = handle && handle.asElement ? handle.asElement() : null;
-  if (!inputHandle) {
-    await saveFrameHtml(frame, 'no-address-input');
-    throw new Error('Address input not found');
-  }
-
-  await inputHandle.scrollIntoView?.().catch(() => {});
-  await inputHandle.click({ delay: 50 }).catch(() => {});
-  await inputHandle.focus().catch(() => {});
-  const couldClear = await frame.evaluate((el) => { try { el.value=''; el.dispatchEvent(new Event('input',{ bubbles:true })); return true; } catch { return false; } }, inputHandle).catch(() => false);
-  if (!couldClear) {
-    await page.keyboard.down('Control').catch(() => {});
-    await page.keyboard.press('KeyA').catch(() => {});
-    await page.keyboard.up('Control').catch(() => {});
-    await page.keyboard.press('Backspace').catch(() => {});
-  }
-  // 2) Type the address
-  try { await inputHandle.type(label, { delay: 60 }); } catch { await page.keyboard.type(label, { delay: 60 }); }
-  // 3) Wait for the select dropdown to be populated and select the first option
-  await new Promise(r => setTimeout(r, 700)); // Wait for lookup to trigger
-  
-  // Wait for the select dropdown to have options (not just "Select...")
-  const selectHandle = await frame.waitForFunction(() => {
-    const select = document.querySelector('select[name="YourAddress"], select#YourAddress');
-    if (!select) return null;
-    const options = select.querySelectorAll('option:not([value=""])');
-    return options.length > 0 ? select : null;
-  }, { timeout: 60000 });
-
-  if (!selectHandle) {
-    await saveFrameHtml(frame, 'no-select-options');
-    throw new Error('Address select dropdown not populated');
-  }
-
-  // Select the first non-empty option
-  await frame.evaluate((select) => {
-    const firstOption = select.querySelector('option:not([value=""])');
-    if (firstOption) {
-      select.value = firstOption.value;
-      select.dispatchEvent(new Event('change', { bubbles: true }));
-      select.dispatchEvent(new Event('input', { bubbles: true }));
+  if (detectChanges) {
+    try {
+      const previous = cached || await getPreviousSchedule(addressHash);
+      if (previous) plan.changes = diffSchedules(previous.collections, plan.result.collections, now.toISODate());
+      log.info('Compared with previous schedule', { changes: plan.changes.length });
+    } catch (error) {
+      log.error('Failed to compare with previous schedule', { err: error });
+    }
+  }
+  if (saveCache) {
+    try {
+      await saveCachedSchedule(addressHash, plan.result);
+      log.debug('Cached scraped schedule');
+    } catch (error) {
+      log.error('Failed to cache schedule', { err: error });
     }
-  }, selectHandle);
-  // 4) Do not click any extra button here; caller will wait for #table2
+  }
+  return plan;
 }
 
-async function waitForResultsTable(frame, timeoutMs = 120000) {
-  // Explicitly wait for the results table with id="table2" to render
-  try {
-    await frame.waitForSelector('#table2', { timeout: timeoutMs });
-    await frame.waitForSelector('#table2 tr td, #table2 tr th', { timeout: timeoutMs });
-    return true;
-  } catch (e) {
-    return false;
-  }
-}
-
-async function extractCollections(frame) {
-  const tableData = await frame.evaluate(() => {
-    const norm = (s) => (s || '').replace(/\s+/g, ' ').trim();
-    const extractRows = (table) => {
-      const rows = [];
-      const trs = Array.from(table.querySelectorAll('tr'));
-      for (const tr of trs) {
-        const cells = Array.from(tr.querySelectorAll('td, th'));
-        if (cells.length < 2) continue;
-        const col1 = norm(cells[0].textContent);
-        const col2 = norm(cells[1].textContent);
-        const isHeader = /collection\s*date/i.test(col1) && /bin\s*type/i.test(col2);
-        if (isHeader) continue;
-        if (col1 && col2) rows.push({ dateText: col1, binsText: col2 });
-      }
-      return rows;
-    };
-
-    const tableOrder = [];
-    const table2 = document.getElementById('table2') || document.querySelector('#table2');
-    if (table2) tableOrder.push(table2);
-    tableOrder.push(...Array.from(document.querySelectorAll('table')));
-
-    const seen = new Set();
-    for (const table of tableOrder) {
-      if (!table || seen.has(table)) continue;
-      seen.add(table);
-      const rows = extractRows(table);
-      if (rows.length > 0) {
-        return { rows, html: table.outerHTML };
-      }
-    }
+const SEND_ATTEMPTS = 3;
+const SEND_RETRY_BASE_MS = 1000;
 
-    return { rows: [], html: null };
-  });
+// Stable, non-reversible key for delivery records
+function recipientKey(recipient) {
+  return sha256(`${recipient.channel}:${recipient.to}`).slice(0, 16);
+}
 
-  const byDateFromTables = new Map();
-  for (const row of tableData.rows || []) {
-    const dt = parseDateToLocal(row.dateText);
-    if (!dt || !row.binsText) continue;
-    const localDate = dt.toISODate();
-    const existing = byDateFromTables.get(localDate) || [];
-    if (!existing.includes(row.binsText)) {
-      byDateFromTables.set(localDate, [...existing, row.binsText]);
+async function sendWithRetry(recipient, message, retryDelayMs) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await notify(recipient, message);
+      return attempt;
+    } catch (error) {
+      if (attempt >= SEND_ATTEMPTS || !isRetryableSendError(error)) {
+        error.attempts = attempt;
+        throw error;
+      }
+      const delay = retryDelayMs * 2 ** (attempt - 1);
+      logger.warn('Send failed, retrying', { channel: recipient.channel, recipient: recipientKey(recipient), attempt, retryInMs: delay, err: error });
+      await sleep(delay);
     }
   }
+}
 
-  if (byDateFromTables.size > 0) {
-    const collections = Array.from(byDateFromTables.entries()).map(([localDate, bins]) => ({ localDate, bins }));
-    return { collections, tableHtml: tableData.html?.trim() || null };
+// Returns { delivered: [{ recipient, attempts }], failed: [{ recipient, attempts, error }], skipped: [recipient] }.
+// With dryRun nothing is sent: each message goes to preview(recipient, message), which returns
+// the file written, and the recipient counts as delivered with attempts 0.
+async function sendToRecipients(recipients, message, { skip = () => false, personalize = (_, m) => m, retryDelayMs = SEND_RETRY_BASE_MS, dryRun = false, preview = null } = {}) {
+  const outcome = { delivered: [], failed: [], skipped: [], dryRun };
+  const targets = recipients.map(normalizeRecipient);
+  const unroutable = targets.filter(r => !r.channel);
+  if (unroutable.length > 0) {
+    logger.warn('No channel matches some recipients', { count: unroutable.length });
+  }
+  const routable = targets.filter(r => r.channel);
+  outcome.skipped = routable.filter(skip);
+  const pending = routable.filter(r => !skip(r));
+  if (outcome.skipped.length > 0) {
+    logger.info('Skipping recipients already delivered', { count: outcome.skipped.length });
   }
 
-  const raw = await frame.evaluate(() => document.body.innerText || '');
-  const lines = raw.split(/\n+/).map(s => s.trim()).filter(Boolean);
-  const dateRegex = /(\b\d{1,2}\/\d{1,2}\/\d{2,4}\b)|(\b\d{1,2}\s+[A-Za-z]{3,9}\s+\d{4}\b)|(\b\d{4}-\d{2}-\d{2}\b)/;
-  const results = [];
-  for (let i = 0; i < lines.length; i++) {
-    if (dateRegex.test(lines[i])) {
-      const dateStr = (lines[i].match(dateRegex) || [])[0];
-      const ctx = [lines[i - 1], lines[i], lines[i + 1]].filter(Boolean).join(' ');
-      const dt = parseDateToLocal(dateStr);
-      if (dt) results.push({ localDate: dt.toISODate(), bins: [ctx] });
-    }
+  if (pending.length === 0) {
+    logger.warn('No deliverable recipients found');
+    return outcome;
   }
-  const byDate = new Map();
-  for (const r of results) {
-    const existing = byDate.get(r.localDate) || [];
-    byDate.set(r.localDate, Array.from(new Set([...existing, ...r.bins])));
+  logger.info('Sending notifications', { recipients: pending.length });
+  for (const recipient of pending) {
+    const fields = { channel: recipient.channel, recipient: recipientKey(recipient) };
+    if (dryRun) {
+      try {
+        const personalized = personalize(recipient, message);
+        const file = preview ? await preview(recipient, personalized) : null;
+        outcome.delivered.push({ recipient, attempts: 0, subject: personalized.subject, preview: file });
+        logger.info('Dry run - notification not sent', { ...fields, file });
+      } catch (error) {
+        outcome.failed.push({ recipient, attempts: 0, error });
+        logger.error('Failed to write preview', { ...fields, err: error });
+      }
+      continue;
+    }
+    try {
+      const attempts = await sendWithRetry(recipient, personalize(recipient, message), retryDelayMs);
+      outcome.delivered.push({ recipient, attempts });
+      putMetric('NotificationsSent', 1, 'Count', { Channel: recipient.channel });
+      logger.info('Notification sent', { ...fields, attempts });
+    } catch (error) {
+      outcome.failed.push({ recipient, attempts: error.attempts || 1, error });
+      putMetric('NotificationsFailed', 1, 'Count', { Channel: recipient.channel });
+      logger.error('Notification failed', { ...fields, attempts: error.attempts || 1, err: error });
+    }
   }
-  return {
-    collections: Array.from(byDate.entries()).map(([localDate, bins]) => ({ localDate, bins })),
-    tableHtml: tableData.html?.trim() || null
+  return outcome;
+}
+
+// Adds a per-recipient unsubscribe link for each address and, when the message
+// covers a single address, RFC 8058 one-click headers to emails
+function unsubscribeLinks(links, addressLabels) {
+  const labels = [].concat(addressLabels);
+  return (recipient, message) => {
+    if (!links || recipient.channel !== 'email') return message;
+    const urls = labels.map(label => ({
+      label,
+      url: links('/unsubscribe', { act: 'unsubscribe', a: label, c: recipient.channel, t: recipient.to })
+    }));
+    const footerHtml = urls
+      .map(({ label, url }) => `<p style="font-size:12px;color:#666">Don't want these reminders for ${escapeHtml(label)}? <a href="${escapeHtml(url)}">Unsubscribe</a></p>`)
+      .join('\n');
+    return {
+      ...message,
+      text: `${message.text || ''}\n\n${urls.map(({ label, url }) => `Unsubscribe from reminders for ${label}: ${url}`).join('\n')}`,
+      html: message.html ? `${message.html}\n${footerHtml}` : null,
+      headers: urls.length === 1
+        ? {
+            ...(message.headers || {}),
+            'List-Unsubscribe': `<${urls[0].url}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+          }
+        : message.headers
+    };
   };
 }
 
-function parseDateToLocal(str) {
-  const zone = process.env.TZ || 'Europe/London';
-  const s = String(str || '').trim();
-  let dt = DateTime.fromFormat(s, 'd/M/yyyy', { zone });
-  if (dt.isValid) return dt.startOf('day');
-  dt = DateTime.fromFormat(s, 'd/M/yy', { zone });
-  if (dt.isValid) return dt.startOf('day');
-  dt = DateTime.fromFormat(s, 'd LLL yyyy', { zone });
-  if (dt.isValid) return dt.startOf('day');
-  dt = DateTime.fromISO(s, { zone });
-  if (dt.isValid) return dt.startOf('day');
-  const m = s.match(/\b(\d{1,2}\/\d{1,2}\/\d{4})\b/);
-  if (m) {
-    const inner = m[1];
-    const innerDt = DateTime.fromFormat(inner, 'd/M/yyyy', { zone });
-    if (innerDt.isValid) return innerDt.startOf('day');
-  }
-  return null;
-}
-
-async function wasNotifiedForDate(addressHash, localDate) {
-  const cmd = new GetItemCommand({
-    TableName: process.env.STATE_TABLE,
-    Key: { addressHash: { S: addressHash } },
-    ProjectionExpression: 'lastNotifiedForLocalDate'
-  });
-  const res = await dynamo.send(cmd);
-  const last = res.Item?.lastNotifiedForLocalDate?.S;
-  return last === localDate;
-}
-
-async function markNotified(addressHash, localDate, snapshot) {
-  const cmd = new UpdateItemCommand({
-    TableName: process.env.STATE_TABLE,
-    Key: { addressHash: { S: addressHash } },
-    UpdateExpression: 'SET lastNotifiedForLocalDate = :d, lastSnapshot = :s, updatedAt = :u',
-    ExpressionAttributeValues: {
-      ':d': { S: localDate },
-      ':s': { S: JSON.stringify(snapshot).slice(0, 3500) },
-      ':u': { S: new Date().toISOString() }
-    }
-  });
-  await dynamo.send(cmd);
+// Adds the signed "Done - bins are out" link for one collection. Whoever follows it is
+// named to the rest of the household, so it carries the recipient's name, not address.
+function doneLinks(links, { label, localDate }) {
+  const exp = Math.floor(DateTime.fromISO(localDate).plus({ days: 1 }).endOf('day').toSeconds());
+  return (recipient, message) => {
+    if (!links || !SIGNED_LINK_CHANNELS.includes(recipient.channel)) return message;
+    const url = links('/done', { act: 'done', a: label, d: localDate, b: recipient.name || '', exp });
+    if (recipient.channel === 'webhook') return { ...message, data: { ...message.data, doneUrl: url } };
+    const button = `<p><a href="${escapeHtml(url)}" style="display:inline-block;padding:8px 16px;border-radius:4px;background:#2e7d32;color:#ffffff;font-weight:bold;text-decoration:none">Done - bins are out</a></p>`;
+    return {
+      ...message,
+      text: `${message.text || ''}\n\nPut the bins out? Let everyone know: ${url}`,
+      html: message.html ? `${message.html}\n${button}` : null
+    };
+  };
 }
 
-function buildHtmlEmailBody(summaryLine, messageSuffix, tableHtml, dadJoke) {
-  const parts = [];
-  if (!tableHtml && summaryLine) {
-    parts.push(`<p>${escapeHtml(summaryLine)}</p>`);
-  }
-  if (tableHtml) {
-    parts.push(tableHtml);
-  }
-  const suffix = (messageSuffix || '').trim();
-  if (suffix) {
-    const suffixHtml = escapeHtml(suffix).replace(/\n/g, '<br>');
-    parts.push(`<p>${suffixHtml}</p>`);
-  }
-  if (dadJoke) {
-    parts.push(`<p><em>Dad joke of the day:</em> ${escapeHtml(dadJoke)}</p>`);
-  }
-  return parts.length > 0 ? parts.join('\n') : null;
+// Offers the rota member on duty a link to swap turns with whoever is next in line
+function swapLinks(links, { label, localDate, state }) {
+  const exp = Math.floor(DateTime.fromISO(localDate).endOf('day').toSeconds());
+  return (recipient, message) => {
+    if (!links || !SIGNED_LINK_CHANNELS.includes(recipient.channel) || !recipient.name) return message;
+    const partners = Array.from(new Set(swapPartners(state, localDate, recipient.name).map(p => p.with)));
+    if (partners.length === 0) return message;
+    const url = links('/swap', { act: 'swap', a: label, d: localDate, m: recipient.name, exp });
+    if (recipient.channel === 'webhook') return { ...message, data: { ...message.data, swapUrl: url } };
+    const names = partners.join(' and ');
+    return {
+      ...message,
+      text: `${message.text || ''}\n\nCan't do it? Swap with ${names}: ${url}`,
+      html: message.html ? `${message.html}\n<p>Can't do it? <a href="${escapeHtml(url)}">Swap with ${escapeHtml(names)}</a></p>` : null
+    };
+  };
 }
 
-function escapeHtml(value) {
-  return String(value || '')
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
+// SMS has no room for a signed link
+const SIGNED_LINK_CHANNELS = ['email', 'webhook'];
+
+function binTypesKey(binTypes) {
+  return Array.isArray(binTypes) ? [...binTypes].sort().join(',') : '*';
 }
 
-async function sendEmail(toEmail, subject, text, html) {
-  console.log(`📧 Attempting to send email to: ${toEmail}`);
-  console.log(`📧 Subject: ${subject}`);
-  
-  let credentials;
-  try {
-    console.log('🔐 Fetching Gmail credentials...');
-    credentials = await getGmailCredentials();
-    console.log('🔐 Credentials fetched:', {
-      hasClientId: !!credentials.clientId,
-      hasClientSecret: !!credentials.clientSecret,
-      hasRefreshToken: !!credentials.refreshToken,
-      sender: credentials.sender || '(not set)'
-    });
-  } catch (error) {
-    console.error('🔐 Failed to fetch credentials:', error);
-    throw error;
-  }
-  
-  const { clientId, clientSecret, refreshToken, sender } = credentials;
-  if (!clientId || !clientSecret || !refreshToken || !sender) {
-    console.log('📧 Email (dry-run - missing credentials):', { toEmail, subject, text, hasHtml: !!html });
-    console.log('📧 Missing credentials:', {
-      clientId: !clientId,
-      clientSecret: !clientSecret,
-      refreshToken: !refreshToken,
-      sender: !sender
-    });
-    return;
-  }
-  console.log('🔐 Creating OAuth2 client...');
-  const oAuth2Client = new google.auth.OAuth2(clientId, clientSecret);
-  oAuth2Client.setCredentials({ refresh_token: refreshToken });
-  
-  console.log('📧 Initializing Gmail API...');
-  const gmail = google.gmail({ version: 'v1', auth: oAuth2Client });
-
-  const plainText = text || '';
-  const htmlBody = html && html.trim().length > 0 ? html : null;
-  let message;
-  if (htmlBody) {
-    const boundary = `----=_Part_${Date.now()}_${Math.random().toString(36).slice(2)}`;
-    const messageParts = [
-      `From: ${sender}`,
-      `To: ${toEmail}`,
-      `Subject: ${subject}`,
-      'MIME-Version: 1.0',
-      `Content-Type: multipart/alternative; boundary="${boundary}"`,
-      '',
-      `--${boundary}`,
-      'Content-Type: text/plain; charset=utf-8',
-      'Content-Transfer-Encoding: 7bit',
-      '',
-      plainText,
-      '',
-      `--${boundary}`,
-      'Content-Type: text/html; charset=utf-8',
-      'Content-Transfer-Encoding: 7bit',
-      '',
-      htmlBody,
-      '',
-      `--${boundary}--`,
-      ''
-    ];
-    message = messageParts.join('\n');
-  } else {
-    const messageParts = [
-      `From: ${sender}`,
-      `To: ${toEmail}`,
-      `Subject: ${subject}`,
-      'MIME-Version: 1.0',
-      'Content-Type: text/plain; charset=utf-8',
-      '',
-      plainText,
-    ];
-    message = messageParts.join('\n');
-  }
-
-  console.log('📧 Encoding message...');
-  const encodedMessage = Buffer.from(message, 'utf8').toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
-  
-  console.log('📧 Sending email via Gmail API...');
-  try {
-    const result = await gmail.users.messages.send({ userId: 'me', requestBody: { raw: encodedMessage } });
-    console.log('📧 Email sent successfully! Message ID:', result.data.id);
-  } catch (error) {
-    console.error('📧 Gmail API error:', error.message);
-    if (error.response?.data) {
-      console.error('📧 Gmail API response:', JSON.stringify(error.response.data, null, 2));
-    }
-    throw error;
+// One group per distinct binTypes filter; recipients without a filter share the null group
+function groupByBinTypes(recipients) {
+  const groups = new Map();
+  for (const entry of recipients) {
+    const { binTypes } = normalizeRecipient(entry);
+    const key = binTypesKey(binTypes);
+    if (!groups.has(key)) groups.set(key, { binTypes: Array.isArray(binTypes) ? binTypes : null, recipients: [] });
+    groups.get(key).recipients.push(entry);
   }
+  return Array.from(groups.values());
+}
+
+// Recipients appear by recipientKey: addresses are personal and webhook URLs often carry a token
+function recordOutcome(summary, details, outcome) {
+  summary.delivered += outcome.delivered.length;
+  summary.failed += outcome.failed.length;
+  summary.notifications.push({
+    ...details,
+    delivered: outcome.delivered.map(d => recipientKey(d.recipient)),
+    failed: outcome.failed.map(f => ({ recipient: recipientKey(f.recipient), channel: f.recipient.channel, error: f.error.message })),
+    skipped: outcome.skipped.map(recipientKey),
+    ...(outcome.dryRun
+      ? { subjects: Array.from(new Set(outcome.delivered.map(d => d.subject))), previews: outcome.delivered.map(d => d.preview).filter(Boolean) }
+      : {})
+  });
+}
+
+// Older deployments only kept the snapshot stored alongside the last reminder
+async function getPreviousSchedule(addressHash) {
+  return (await getCachedSchedule(addressHash)) || (await getLastSnapshot(addressHash));
 }
 
 function sha256(s) {
@@ -745,4 +1317,26 @@ async function fetchDadJokeWithTimeout(timeoutMs = 5000) {
   }
 }
 
-module.exports = { daily: exports.daily };
+module.exports = {
+  daily: exports.daily,
+  collections: exports.collections,
+  subscriptions: exports.subscriptions,
+  loadConfig,
+  scrapeCollections,
+  listAddressOptions,
+  lazyBrowser,
+  // Exposed for tests
+  launchBrowser,
+  parseDateToLocal,
+  resolveNotifySettings,
+  isSendTimeDue,
+  dueReminders,
+  isCachedScheduleUsable,
+  buildChangeMessage,
+  sendToRecipients,
+  recordOutcome,
+  buildReminderMessage,
+  doneLinks,
+  swapLinks,
+  assignRota
+};
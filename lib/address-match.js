@@ -0,0 +1,102 @@
+const { ScrapeError } = require('./errors');
+
+// Picks the address dropdown option for a config entry. Both scrapers see the
+// same options ({ value, text }, where value is usually the UPRN), so both use
+// this. An entry can pin its option by uprn or by the full optionText;
+// otherwise options are scored against the label and the run fails rather
+// than guess between near-equal candidates ("Flat 1" vs "Flat 2").
+
+const MIN_SCORE = 0.6;
+const TIE_MARGIN = 0.05;
+
+// Accepts a config address entry or a bare label
+function addressTarget(address) {
+  if (typeof address === 'string') return { label: address, search: address };
+  return {
+    label: address.label,
+    search: address.search || address.label,
+    uprn: address.uprn ? String(address.uprn).trim() : undefined,
+    optionText: address.optionText
+  };
+}
+
+function tokens(text) {
+  return Array.from(new Set(String(text || '').toLowerCase().match(/[a-z0-9]+/g) || []));
+}
+
+// House and flat numbers ("10", "10a"); a postcode half like "1aa" is not one
+const isNumberToken = token => /^\d+[a-z]?$/.test(token);
+
+function normalizeText(text) {
+  return tokens(text).join(' ');
+}
+
+// 0 when a number in the label is missing from the option ("10" never matches "110"),
+// otherwise the share of label words found, less a penalty per extra number
+// such as a flat number the label does not mention
+function scoreOption(label, optionText) {
+  const wanted = tokens(label);
+  const have = new Set(tokens(optionText));
+  if (wanted.length === 0) return 0;
+  if (wanted.filter(isNumberToken).some(t => !have.has(t))) return 0;
+  const matched = wanted.filter(t => have.has(t)).length / wanted.length;
+  const extraNumbers = Array.from(have).filter(t => isNumberToken(t) && !wanted.includes(t)).length;
+  return matched - 0.25 * extraNumbers;
+}
+
+function describeOptions(options) {
+  return options.slice(0, 5).map(o => `${o.text} (${o.value})`);
+}
+
+// Candidates go into diagnostics rather than the message, which ends up in logs
+function selectError(message, candidates, { ambiguous = false } = {}) {
+  const error = new ScrapeError(ScrapeError.STAGES.ADDRESS_SELECT, message, {
+    transient: false,
+    diagnostics: { candidates: describeOptions(candidates) }
+  });
+  if (ambiguous) error.code = 'AMBIGUOUS_ADDRESS';
+  return error;
+}
+
+function selectAddressOption(options, address) {
+  const target = addressTarget(address);
+  if (options.length === 0) {
+    throw new ScrapeError(ScrapeError.STAGES.ADDRESS_SELECT, 'Address select dropdown not populated');
+  }
+
+  if (target.uprn) {
+    const match = options.find(o => String(o.value).trim() === target.uprn);
+    if (!match) throw selectError(`No address option has uprn ${target.uprn} (${options.length} options)`, options);
+    return match;
+  }
+
+  if (target.optionText) {
+    const wanted = normalizeText(target.optionText);
+    const matches = options.filter(o => normalizeText(o.text) === wanted);
+    if (matches.length === 1) return matches[0];
+    if (matches.length > 1) throw selectError(`optionText matches ${matches.length} address options; pin one with uprn`, matches, { ambiguous: true });
+    throw selectError(`No address option has the configured optionText (${options.length} options)`, rankOptions(options, target.optionText));
+  }
+
+  const exact = options.filter(o => normalizeText(o.text) === normalizeText(target.label));
+  if (exact.length === 1) return exact[0];
+
+  const ranked = rankOptions(options, target.label);
+  const best = ranked[0];
+  if (best.score < MIN_SCORE) {
+    throw selectError(`No address option matches the label well enough (${options.length} options); set uprn or optionText`, ranked);
+  }
+  const tied = ranked.filter(o => o.score >= best.score - TIE_MARGIN);
+  if (tied.length > 1) {
+    throw selectError(`Address label matches ${tied.length} options equally well; set uprn or optionText`, tied, { ambiguous: true });
+  }
+  return options.find(o => o.value === best.value);
+}
+
+function rankOptions(options, label) {
+  return options
+    .map(o => ({ ...o, score: scoreOption(label, o.text) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = { addressTarget, selectAddressOption, rankOptions, scoreOption };
@@ -0,0 +1,80 @@
+const { notify, normalizeRecipient } = require('./notifiers');
+const state = require('./state');
+const { logger } = require('./logger');
+const { escapeHtml } = require('./templates');
+
+// Admin alerts for scrape failures. A run sends at most one alert listing its
+// failures, leaving out any address and stage already alerted within
+// alerts.minIntervalHours, so a council outage is reported once rather than hourly.
+
+function describeDiagnostics(diagnostics) {
+  if (!diagnostics) return [];
+  const lines = [];
+  if (diagnostics.pageUrl) lines.push(`Page: ${diagnostics.pageUrl}`);
+  if (diagnostics.frameUrls?.length) lines.push(`Frames: ${diagnostics.frameUrls.join(', ')}`);
+  if (diagnostics.requestUrl) lines.push(`Request: ${diagnostics.requestUrl} -> ${diagnostics.httpStatus ?? 'no response'}`);
+  if (diagnostics.responseExcerpt) lines.push(`Response: ${diagnostics.responseExcerpt}`);
+  if (diagnostics.textExcerpt) lines.push(`Page text: ${diagnostics.textExcerpt}`);
+  if (diagnostics.candidates?.length) lines.push(`Address options: ${diagnostics.candidates.join('; ')}`);
+  return lines;
+}
+
+// failures: [{ label, addressHash, stage, message, attempts, diagnostics }]
+function buildScrapeAlert(failures) {
+  const heading = `Bin days could not scrape ${failures.length} address${failures.length === 1 ? '' : 'es'}`;
+  const blocks = failures.map((f) => {
+    const title = `${f.label}: ${f.stage} failed after ${f.attempts} attempt${f.attempts === 1 ? '' : 's'} - ${f.message}`;
+    return { title, details: describeDiagnostics(f.diagnostics) };
+  });
+  const attachments = failures
+    .filter(f => f.diagnostics?.screenshotBase64)
+    .map((f, i) => ({
+      filename: `scrape-failure-${i + 1}-${f.stage}.png`,
+      contentType: 'image/png',
+      content: Buffer.from(f.diagnostics.screenshotBase64, 'base64')
+    }));
+  return {
+    subject: `⚠️ ${heading}`,
+    text: [heading, ...blocks.map(b => [`- ${b.title}`, ...b.details.map(d => `    ${d}`)].join('\n'))].join('\n\n'),
+    html: [
+      `<p>${escapeHtml(heading)}</p>`,
+      ...blocks.map(b => `<p><strong>${escapeHtml(b.title)}</strong>${b.details.map(d => `<br><code>${escapeHtml(d)}</code>`).join('')}</p>`)
+    ].join('\n'),
+    summaryLine: `${heading}: ${failures.map(f => `${f.label} (${f.stage})`).join(', ')}`,
+    attachments,
+    data: {
+      kind: 'scrape-failure',
+      failures: failures.map(f => ({ addressHash: f.addressHash, address: f.label, stage: f.stage, error: f.message, attempts: f.attempts }))
+    }
+  };
+}
+
+async function sendScrapeAlert(failures, alerts, { now = new Date() } = {}) {
+  if (!alerts?.to || failures.length === 0) return { sent: false, alerted: 0, suppressed: 0 };
+  const minIntervalMs = (alerts.minIntervalHours ?? 24) * 3600 * 1000;
+
+  const fresh = [];
+  for (const failure of failures) {
+    const last = await state.getLastAlertAt(failure.addressHash, failure.stage).catch((error) => {
+      logger.error('Failed to read alert state', { err: error });
+      return null;
+    });
+    if (last && now - new Date(last) < minIntervalMs) {
+      logger.info('Alert suppressed', { addressHash: failure.addressHash, stage: failure.stage, lastAlertAt: last });
+      continue;
+    }
+    fresh.push(failure);
+  }
+  if (fresh.length === 0) return { sent: false, alerted: 0, suppressed: failures.length };
+
+  await notify(normalizeRecipient(alerts.to), buildScrapeAlert(fresh));
+  const expiresAt = Math.floor((now.getTime() + minIntervalMs) / 1000) + 24 * 3600;
+  for (const failure of fresh) {
+    await state.markAlerted(failure.addressHash, failure.stage, now.toISOString(), expiresAt).catch((error) => {
+      logger.error('Failed to record alert', { err: error });
+    });
+  }
+  return { sent: true, alerted: fresh.length, suppressed: failures.length - fresh.length };
+}
+
+module.exports = { buildScrapeAlert, sendScrapeAlert };
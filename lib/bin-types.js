@@ -0,0 +1,69 @@
+// Canonical bin types. Council wording varies ("Refuse (black bin)", "General waste"),
+// so raw table text is matched against these patterns in order; the first match wins,
+// which keeps "Glass recycling" out of plain recycling.
+
+const BIN_TYPES = [
+  { type: 'glass', name: 'Glass', colour: '#7b3fa0', pattern: /\bglass\b|\bbottles?\b/i },
+  { type: 'food', name: 'Food waste', colour: '#8d6e63', pattern: /\bfood\b|\bcaddy\b/i },
+  { type: 'garden', name: 'Garden waste', colour: '#2e7d32', pattern: /\bgarden\b|\bgreen\s*(bin|waste)\b|\bbrown\s*bin\b/i },
+  { type: 'recycling', name: 'Recycling', colour: '#1565c0', pattern: /(?<!non[- ]?)\brecycl|\bblue\s*bin\b/i },
+  { type: 'refuse', name: 'Refuse', colour: '#424242', pattern: /\brefuse\b|\bgeneral\b|\bresidual\b|\brubbish\b|\bblack\s*bin\b|\bnon[- ]?recyclable\b/i }
+];
+
+const BIN_TYPE_IDS = BIN_TYPES.map(t => t.type);
+
+const UNKNOWN_COLOUR = '#757575';
+
+// Returns { type, name, colour, raw }; unknown text keeps its wording with type null
+function classifyBin(raw) {
+  const text = String(raw || '').trim();
+  const match = BIN_TYPES.find(t => t.pattern.test(text));
+  return match
+    ? { type: match.type, name: match.name, colour: match.colour, raw: text }
+    : { type: null, name: text, colour: UNKNOWN_COLOUR, raw: text };
+}
+
+function unknownBins(collections) {
+  const unknown = new Set();
+  for (const c of collections || []) {
+    for (const bin of c.bins || []) {
+      if (!classifyBin(bin).type) unknown.add(bin);
+    }
+  }
+  return Array.from(unknown);
+}
+
+// A recipient without binTypes gets everything; with a filter only matching, known types
+function wantsBin(binTypes, raw) {
+  if (!Array.isArray(binTypes)) return true;
+  return binTypes.includes(classifyBin(raw).type);
+}
+
+function filterCollections(collections, binTypes) {
+  if (!Array.isArray(binTypes)) return collections;
+  return collections
+    .map(c => ({ ...c, bins: c.bins.filter(bin => wantsBin(binTypes, bin)) }))
+    .filter(c => c.bins.length > 0);
+}
+
+function binDisplayNames(bins) {
+  return Array.from(new Set((bins || []).map(bin => classifyBin(bin).name)));
+}
+
+function binChipsHtml(bins, escapeHtml) {
+  const seen = new Set();
+  const chips = [];
+  for (const bin of (bins || []).map(classifyBin)) {
+    if (seen.has(bin.name)) continue;
+    seen.add(bin.name);
+    chips.push(`<span style="display:inline-block;padding:2px 10px;margin:0 4px 4px 0;border-radius:12px;background:${bin.colour};color:#ffffff;font-size:13px;font-weight:bold">${escapeHtml(bin.name)}</span>`);
+  }
+  return chips.length > 0 ? `<p>${chips.join('')}</p>` : '';
+}
+
+// Structured form for message.data: [{ date, bins: [{ type, name, colour, raw }] }]
+function collectionData(collections) {
+  return (collections || []).map(c => ({ date: c.localDate, bins: c.bins.map(classifyBin) }));
+}
+
+module.exports = { BIN_TYPES, BIN_TYPE_IDS, classifyBin, unknownBins, wantsBin, filterCollections, binDisplayNames, binChipsHtml, collectionData };
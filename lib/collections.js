@@ -0,0 +1,88 @@
+const cheerio = require('cheerio');
+const { DateTime } = require('luxon');
+
+function parseDateToLocal(str) {
+  const zone = process.env.TZ || 'Europe/London';
+  const s = String(str || '').trim();
+  let dt = DateTime.fromFormat(s, 'd/M/yyyy', { zone });
+  if (dt.isValid) return dt.startOf('day');
+  dt = DateTime.fromFormat(s, 'd/M/yy', { zone });
+  if (dt.isValid) return dt.startOf('day');
+  dt = DateTime.fromFormat(s, 'd LLL yyyy', { zone });
+  if (dt.isValid) return dt.startOf('day');
+  dt = DateTime.fromISO(s, { zone });
+  if (dt.isValid) return dt.startOf('day');
+  const m = s.match(/\b(\d{1,2}\/\d{1,2}\/\d{4})\b/);
+  if (m) {
+    const inner = m[1];
+    const innerDt = DateTime.fromFormat(inner, 'd/M/yyyy', { zone });
+    if (innerDt.isValid) return innerDt.startOf('day');
+  }
+  return null;
+}
+
+const norm = (s) => (s || '').replace(/\s+/g, ' ').trim();
+
+// Groups { dateText, binsText } rows into [{ localDate, bins }], keeping first-seen order
+function collectionsFromRows(rows) {
+  const byDate = new Map();
+  for (const row of rows) {
+    const dt = parseDateToLocal(row.dateText);
+    if (!dt || !row.binsText) continue;
+    const localDate = dt.toISODate();
+    const existing = byDate.get(localDate) || [];
+    if (!existing.includes(row.binsText)) {
+      byDate.set(localDate, [...existing, row.binsText]);
+    }
+  }
+  return Array.from(byDate.entries()).map(([localDate, bins]) => ({ localDate, bins }));
+}
+
+// Last resort when no table is found: any line with a date, with its neighbours as context
+function collectionsFromText(raw) {
+  const lines = String(raw || '').split(/\n+/).map(s => s.trim()).filter(Boolean);
+  const dateRegex = /(\b\d{1,2}\/\d{1,2}\/\d{2,4}\b)|(\b\d{1,2}\s+[A-Za-z]{3,9}\s+\d{4}\b)|(\b\d{4}-\d{2}-\d{2}\b)/;
+  const results = [];
+  for (let i = 0; i < lines.length; i++) {
+    if (dateRegex.test(lines[i])) {
+      const dateStr = (lines[i].match(dateRegex) || [])[0];
+      const ctx = [lines[i - 1], lines[i], lines[i + 1]].filter(Boolean).join(' ');
+      const dt = parseDateToLocal(dateStr);
+      if (dt) results.push({ localDate: dt.toISODate(), bins: [ctx] });
+    }
+  }
+  const byDate = new Map();
+  for (const r of results) {
+    const existing = byDate.get(r.localDate) || [];
+    byDate.set(r.localDate, Array.from(new Set([...existing, ...r.bins])));
+  }
+  return Array.from(byDate.entries()).map(([localDate, bins]) => ({ localDate, bins }));
+}
+
+// Server-side twin of the in-page table extraction in extractCollections: prefers
+// #table2, then the first table with two-column rows that are not the header.
+function rowsFromTableHtml(html) {
+  const $ = cheerio.load(html || '');
+  const tables = [...$('#table2').toArray(), ...$('table').toArray()];
+  const seen = new Set();
+  for (const table of tables) {
+    if (seen.has(table)) continue;
+    seen.add(table);
+    const rows = [];
+    $(table).find('tr').each((_, tr) => {
+      const cells = $(tr).find('td, th');
+      if (cells.length < 2) return;
+      const col1 = norm($(cells[0]).text());
+      const col2 = norm($(cells[1]).text());
+      const isHeader = /collection\s*date/i.test(col1) && /bin\s*type/i.test(col2);
+      if (isHeader) return;
+      if (col1 && col2) rows.push({ dateText: col1, binsText: col2 });
+    });
+    if (rows.length > 0) {
+      return { rows, html: $.html(table) };
+    }
+  }
+  return { rows: [], html: null };
+}
+
+module.exports = { parseDateToLocal, collectionsFromRows, collectionsFromText, rowsFromTableHtml };
@@ -0,0 +1,35 @@
+// Runs fn over items with at most `limit` calls in flight; results keep input order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+// Rejects with onTimeout() once ms have passed, aborting the signal handed to fn so
+// it can release whatever it holds (pages, sockets) instead of running on unseen
+async function withTimeout(fn, ms, onTimeout) {
+  const controller = new AbortController();
+  let timer;
+  const timedOut = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = onTimeout();
+      controller.abort(error);
+      reject(error);
+    }, ms);
+  });
+  try {
+    return await Promise.race([fn(controller.signal), timedOut]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = { mapWithConcurrency, withTimeout };
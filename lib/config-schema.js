@@ -0,0 +1,329 @@
+const { IANAZone } = require('luxon');
+const { getChannel, detectChannel } = require('./notifiers');
+const { FORMATS: WEBHOOK_FORMATS } = require('./notifiers/webhook');
+const { BIN_TYPE_IDS } = require('./bin-types');
+const { PROVIDER_IDS } = require('./providers');
+const { ROTATE_MODES } = require('./rota');
+const { TEMPLATE_NAMES, templateProblems, resolveTemplates, extrasUsed } = require('./templates');
+
+// Each checker receives (value, path, errors) and pushes { path, message } problems.
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function editDistance(a, b) {
+  const dp = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      dp[i][j] = Math.min(dp[i - 1][j] + 1, dp[i][j - 1] + 1, dp[i - 1][j - 1] + cost);
+    }
+  }
+  return dp[a.length][b.length];
+}
+
+function suggest(key, known) {
+  const best = known
+    .map(k => ({ k, d: editDistance(key.toLowerCase(), k.toLowerCase()) }))
+    .sort((x, y) => x.d - y.d)[0];
+  return best && best.d <= 3 ? ` (did you mean "${best.k}"?)` : '';
+}
+
+const string = ({ nonEmpty = false } = {}) => (value, path, errors) => {
+  if (typeof value !== 'string') {
+    errors.push({ path, message: `must be a string, got ${typeOf(value)}` });
+  } else if (nonEmpty && !value.trim()) {
+    errors.push({ path, message: 'must not be empty' });
+  }
+};
+
+const boolean = () => (value, path, errors) => {
+  if (typeof value !== 'boolean') errors.push({ path, message: `must be true or false, got ${typeOf(value)}` });
+};
+
+const integer = ({ min = -Infinity, max = Infinity } = {}) => (value, path, errors) => {
+  if (!Number.isInteger(value)) {
+    errors.push({ path, message: `must be an integer, got ${JSON.stringify(value)}` });
+  } else if (value < min || value > max) {
+    const range = max === Infinity ? `>= ${min}` : `between ${min} and ${max}`;
+    errors.push({ path, message: `must be ${range}, got ${value}` });
+  }
+};
+
+const localTime = () => (value, path, errors) => {
+  if (typeof value !== 'string' || !TIME_PATTERN.test(value)) {
+    errors.push({ path, message: `must be a 24h "HH:mm" time, got ${JSON.stringify(value)}` });
+  }
+};
+
+const timezone = () => (value, path, errors) => {
+  if (typeof value !== 'string' || !IANAZone.isValidZone(value)) {
+    errors.push({ path, message: `must be an IANA timezone such as "Europe/London", got ${JSON.stringify(value)}` });
+  }
+};
+
+const arrayOf = (item, { minItems = 0 } = {}) => (value, path, errors) => {
+  if (!Array.isArray(value)) {
+    errors.push({ path, message: `must be an array, got ${typeOf(value)}` });
+    return;
+  }
+  if (value.length < minItems) {
+    errors.push({ path, message: `must contain at least ${minItems} item${minItems === 1 ? '' : 's'}` });
+  }
+  value.forEach((v, i) => item(v, `${path}[${i}]`, errors));
+};
+
+const anyOf = (...checkers) => (value, path, errors) => {
+  const attempts = checkers.map((check) => {
+    const found = [];
+    check(value, path, found);
+    return found;
+  });
+  const ok = attempts.find(found => found.length === 0);
+  if (ok) return;
+  // Report the alternative that got furthest: one that matched the shape and failed deeper down
+  const depth = (found) => (found.some(e => e.path !== path) ? 0 : 1);
+  errors.push(...attempts.sort((a, b) => depth(a) - depth(b) || a.length - b.length)[0]);
+};
+
+const object = (fields, { required = [] } = {}) => (value, path, errors) => {
+  if (typeOf(value) !== 'object') {
+    errors.push({ path, message: `must be an object, got ${typeOf(value)}` });
+    return;
+  }
+  const known = Object.keys(fields);
+  for (const key of required) {
+    if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: 'is required' });
+  }
+  for (const [key, v] of Object.entries(value)) {
+    if (!fields[key]) {
+      errors.push({ path: `${path}.${key}`, message: `is not a supported field${suggest(key, known)}` });
+      continue;
+    }
+    if (v !== undefined) fields[key](v, `${path}.${key}`, errors);
+  }
+};
+
+const oneOf = (values) => (value, path, errors) => {
+  if (!values.includes(value)) {
+    errors.push({ path, message: `must be one of ${values.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}${typeof value === 'string' ? suggest(value, values) : ''}` });
+  }
+};
+
+function recipientAddress(value, path, errors) {
+  if (typeof value !== 'string' || !value.trim()) {
+    errors.push({ path, message: 'must be a non-empty email address, phone number or webhook URL' });
+  } else if (!detectChannel(value.trim())) {
+    errors.push({ path, message: `${JSON.stringify(value)} is not an email address, phone number or webhook URL` });
+  }
+}
+
+// One reminder per day offset, since deliveries are recorded per collection date and offset
+const reminderList = () => (value, path, errors) => {
+  arrayOf(object({
+    daysBefore: integer({ min: 0, max: 28 }),
+    atLocalTime: localTime(),
+    messageSuffix: string()
+  }, { required: ['daysBefore'] }), { minItems: 1 })(value, path, errors);
+  if (!Array.isArray(value)) return;
+  const seen = new Set();
+  value.forEach((reminder, i) => {
+    if (typeOf(reminder) !== 'object' || !Number.isInteger(reminder.daysBefore)) return;
+    if (seen.has(reminder.daysBefore)) {
+      errors.push({ path: `${path}[${i}].daysBefore`, message: `repeats daysBefore ${reminder.daysBefore}; use one reminder per day` });
+    }
+    seen.add(reminder.daysBefore);
+  });
+};
+
+// Members are matched to recipients by name, so each may appear once
+const rotaConfig = () => (value, path, errors) => {
+  object({
+    members: arrayOf(string({ nonEmpty: true }), { minItems: 2 }),
+    rotate: oneOf(ROTATE_MODES)
+  }, { required: ['members'] })(value, path, errors);
+  if (!Array.isArray(value?.members)) return;
+  value.members.forEach((member, i) => {
+    if (value.members.indexOf(member) !== i) {
+      errors.push({ path: `${path}.members[${i}]`, message: `repeats ${JSON.stringify(member)}` });
+    }
+  });
+};
+
+// A member with no recipient of that name would never be told it is their turn,
+// so a misspelt name is reported rather than silently taking turns
+function rotaMembersProblems(address, path, errors) {
+  if (!Array.isArray(address?.rota?.members) || !Array.isArray(address.recipients)) return;
+  const names = address.recipients.filter(r => typeOf(r) === 'object' && typeof r.name === 'string').map(r => r.name);
+  address.rota.members.forEach((member, i) => {
+    if (typeof member !== 'string' || names.includes(member)) return;
+    errors.push({ path: `${path}.rota.members[${i}]`, message: `${JSON.stringify(member)} is not the name of any recipient of this address${suggest(member, names)}` });
+  });
+}
+
+const WEBHOOK_FIELDS = ['format', 'headers', 'secret'];
+
+const headerMap = () => (value, path, errors) => {
+  if (typeOf(value) !== 'object') {
+    errors.push({ path, message: `must be an object, got ${typeOf(value)}` });
+    return;
+  }
+  for (const [key, v] of Object.entries(value)) {
+    if (!/^[A-Za-z0-9-]+$/.test(key)) errors.push({ path: `${path}.${key}`, message: 'is not a valid header name' });
+    else string()(v, `${path}.${key}`, errors);
+  }
+};
+
+function recipientObject(value, path, errors) {
+  object({
+    to: string({ nonEmpty: true }),
+    name: string({ nonEmpty: true }),
+    channel: string({ nonEmpty: true }),
+    binTypes: arrayOf(oneOf(BIN_TYPE_IDS), { minItems: 1 }),
+    digest: boolean(),
+    reminders: reminderList(),
+    format: oneOf(WEBHOOK_FORMATS),
+    headers: headerMap(),
+    secret: string({ nonEmpty: true })
+  }, { required: ['to'] })(value, path, errors);
+  if (typeOf(value) !== 'object' || typeof value.to !== 'string') return;
+  if ((value.channel || detectChannel(value.to.trim())) !== 'webhook') {
+    for (const key of WEBHOOK_FIELDS.filter(k => value[k] !== undefined)) {
+      errors.push({ path: `${path}.${key}`, message: 'only applies to webhook recipients' });
+    }
+  }
+  if (value.channel !== undefined) {
+    const channel = getChannel(value.channel);
+    if (!channel) {
+      errors.push({ path: `${path}.channel`, message: `unknown channel ${JSON.stringify(value.channel)}` });
+    } else if (!channel.matches(value.to.trim())) {
+      errors.push({ path: `${path}.to`, message: `${JSON.stringify(value.to)} is not a valid ${value.channel} recipient` });
+    }
+  } else {
+    recipientAddress(value.to, `${path}.to`, errors);
+  }
+}
+
+const recipient = () => (value, path, errors) => {
+  if (typeOf(value) === 'object') recipientObject(value, path, errors);
+  else recipientAddress(value, path, errors);
+};
+
+const template = name => (value, path, errors) => {
+  string({ nonEmpty: true })(value, path, errors);
+  if (typeof value !== 'string') return;
+  for (const message of templateProblems(value, name)) errors.push({ path, message });
+};
+
+const extras = () => (value, path, errors) => {
+  if (typeOf(value) !== 'object') {
+    errors.push({ path, message: `must be an object, got ${typeOf(value)}` });
+    return;
+  }
+  for (const [key, v] of Object.entries(value)) {
+    if (!/^\w+$/.test(key)) errors.push({ path: `${path}.${key}`, message: 'names may only use letters, digits and _' });
+    else string()(v, `${path}.${key}`, errors);
+  }
+};
+
+const templateFields = {
+  ...Object.fromEntries(TEMPLATE_NAMES.map(name => [name, template(name)])),
+  extras: extras()
+};
+
+const notifyFields = {
+  atLocalTime: localTime(),
+  windowMinutes: integer({ min: 1, max: 1440 }),
+  daysLookahead: anyOf(integer({ min: 0, max: 28 }), arrayOf(integer({ min: 0, max: 28 }), { minItems: 1 })),
+  reminders: reminderList(),
+  afterDone: oneOf(['skip', 'note']),
+  messageSuffix: string()
+};
+
+const calendarFields = {
+  attachToEmail: boolean(),
+  feedDir: string({ nonEmpty: true })
+};
+
+const cacheFields = {
+  maxAgeHours: integer({ min: 0, max: 24 * 28 })
+};
+
+const scrapeFields = {
+  concurrency: integer({ min: 1, max: 10 }),
+  timeoutSeconds: integer({ min: 10, max: 900 }),
+  attempts: integer({ min: 1, max: 5 }),
+  retryDelaySeconds: integer({ min: 0, max: 300 })
+};
+
+const alertFields = {
+  to: recipient(),
+  minIntervalHours: integer({ min: 0, max: 24 * 28 })
+};
+
+const digestFields = {
+  enabled: boolean(),
+  weeks: integer({ min: 1, max: 8 })
+};
+
+const addressFields = {
+  label: string({ nonEmpty: true }),
+  provider: oneOf(PROVIDER_IDS),
+  search: string({ nonEmpty: true }),
+  uprn: anyOf(string({ nonEmpty: true }), integer({ min: 1 })),
+  optionText: string({ nonEmpty: true }),
+  recipients: arrayOf(recipient(), { minItems: 1 }),
+  notify: object(notifyFields),
+  rota: rotaConfig(),
+  templates: object(templateFields)
+};
+
+const configSchema = object({
+  timezone: timezone(),
+  notify: object(notifyFields),
+  calendar: object(calendarFields),
+  cache: object(cacheFields),
+  scrape: object(scrapeFields),
+  alerts: object(alertFields, { required: ['to'] }),
+  digest: object(digestFields),
+  templates: object(templateFields),
+  addresses: arrayOf(object(addressFields, { required: ['label', 'recipients'] }), { minItems: 1 })
+}, { required: ['addresses'] });
+
+function validateConfig(cfg) {
+  const errors = [];
+  configSchema(cfg, '$', errors);
+  // Labels key the state table, so two entries with the same label would share state
+  if (Array.isArray(cfg?.addresses)) {
+    const seen = new Map();
+    cfg.addresses.forEach((a, i) => {
+      rotaMembersProblems(a, `$.addresses[${i}]`, errors);
+      if (typeof a?.label !== 'string') return;
+      const key = a.label.trim();
+      if (seen.has(key)) {
+        errors.push({ path: `$.addresses[${i}].label`, message: `duplicates $.addresses[${seen.get(key)}].label` });
+      } else {
+        seen.set(key, i);
+      }
+    });
+  }
+  if (errors.length === 0) {
+    cfg.addresses.forEach((a, i) => {
+      const templates = resolveTemplates(cfg, a);
+      for (const name of extrasUsed(templates)) {
+        if (templates.extras[name] === undefined) {
+          errors.push({ path: `$.addresses[${i}]`, message: `templates use {{extras.${name}}} but no templates.extras.${name} is set` });
+        }
+      }
+    });
+  }
+  return errors;
+}
+
+module.exports = { validateConfig };
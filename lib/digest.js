@@ -0,0 +1,139 @@
+const { DateTime } = require('luxon');
+const { normalizeRecipient } = require('./notifiers');
+const { classifyBin, filterCollections, binDisplayNames, collectionData } = require('./bin-types');
+const { escapeHtml } = require('./templates');
+
+// Weekly digest: one message per recipient covering the next N weeks for every
+// address they receive reminders for, laid out as a Monday-first calendar.
+
+// ISO week id such as "2025-W37"; a digest is sent at most once per week
+function digestWeek(now) {
+  return now.toFormat("kkkk-'W'WW");
+}
+
+function digestWindow(now, weeks) {
+  const from = now.startOf('day');
+  return { from: from.toISODate(), until: from.plus({ days: weeks * 7 - 1 }).toISODate() };
+}
+
+// schedules: loadSchedule results. Returns [{ recipient, sections: [{ label, addressHash, collections }] }]
+// where collections is null for an address whose scrape failed. Recipient entries
+// with digest: false are left out; binTypes filters apply per address.
+function digestRecipients(schedules, { from, until }) {
+  const byRecipient = new Map();
+  for (const { address, addressHash, result, error } of schedules) {
+    for (const entry of address.recipients) {
+      const recipient = normalizeRecipient(entry);
+      if (!recipient.channel || recipient.digest === false) continue;
+      const key = `${recipient.channel}:${recipient.to}`;
+      if (!byRecipient.has(key)) byRecipient.set(key, { recipient, sections: [] });
+      const collections = error
+        ? null
+        : filterCollections(result.collections, recipient.binTypes)
+          .filter(c => c.localDate >= from && c.localDate <= until)
+          .sort((a, b) => a.localDate.localeCompare(b.localDate));
+      byRecipient.get(key).sections.push({ label: address.label, addressHash, collections });
+    }
+  }
+  return Array.from(byRecipient.values());
+}
+
+function shortDate(isoDate) {
+  return DateTime.fromISO(isoDate).toFormat('ccc d LLL');
+}
+
+function chip(bin) {
+  return `<span style="display:inline-block;padding:1px 6px;margin:1px 2px 1px 0;border-radius:8px;background:${bin.colour};color:#ffffff;font-size:11px;white-space:nowrap">${escapeHtml(bin.name)}</span>`;
+}
+
+function calendarHtml(sections, { from, until }) {
+  const showLabels = sections.length > 1;
+  const cellStyle = 'border:1px solid #dddddd;padding:4px;vertical-align:top;width:14%';
+  const start = DateTime.fromISO(from).startOf('week');
+  const end = DateTime.fromISO(until).endOf('week');
+  const rows = [];
+  for (let week = start; week <= end; week = week.plus({ weeks: 1 })) {
+    const cells = [];
+    for (let d = 0; d < 7; d++) {
+      const day = week.plus({ days: d });
+      const iso = day.toISODate();
+      if (iso < from || iso > until) {
+        cells.push(`<td style="${cellStyle};background:#f5f5f5"></td>`);
+        continue;
+      }
+      const entries = sections
+        .filter(s => s.collections)
+        .map((s) => {
+          const bins = s.collections.filter(c => c.localDate === iso).flatMap(c => c.bins);
+          if (bins.length === 0) return '';
+          const names = new Set();
+          const chips = bins.map(classifyBin).filter(b => !names.has(b.name) && names.add(b.name)).map(chip).join('');
+          return showLabels ? `<div style="font-size:11px;color:#555555">${escapeHtml(s.label)}</div>${chips}` : chips;
+        })
+        .filter(Boolean);
+      const heading = day.day === 1 || iso === from ? day.toFormat('d LLL') : String(day.day);
+      cells.push(`<td style="${cellStyle}"><div style="font-weight:bold">${heading}</div>${entries.join('')}</td>`);
+    }
+    rows.push(`<tr>${cells.join('')}</tr>`);
+  }
+  const header = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']
+    .map(d => `<th style="border:1px solid #dddddd;padding:4px;background:#eeeeee">${d}</th>`).join('');
+  return `<table style="border-collapse:collapse;font-size:13px;width:100%"><tr>${header}</tr>${rows.join('')}</table>`;
+}
+
+function sectionLines(section) {
+  if (!section.collections) return ['Collection dates are unavailable this week - check the council website.'];
+  if (section.collections.length === 0) return ['No collections listed.'];
+  return section.collections.map(c => `${shortDate(c.localDate)}: ${binDisplayNames(c.bins).join(', ')}`);
+}
+
+function buildDigestMessage({ sections, from, until, weeks, messageSuffix = '' }) {
+  const period = `the next ${weeks === 1 ? 'week' : `${weeks} weeks`}`;
+  const heading = `Bin collections for ${period} (${shortDate(from)} - ${shortDate(until)})`;
+  const single = sections.length === 1 ? sections[0] : null;
+
+  const text = [
+    heading,
+    ...sections.map(s => [s.label, ...sectionLines(s).map(l => `- ${l}`)].join('\n')),
+    messageSuffix
+  ].filter(Boolean).join('\n\n');
+
+  const unavailable = sections.filter(s => !s.collections);
+  const html = [
+    `<p>${escapeHtml(heading)}${single ? ` for ${escapeHtml(single.label)}` : ''}</p>`,
+    calendarHtml(sections, { from, until }),
+    unavailable.length > 0
+      ? `<p>Collection dates are unavailable this week for ${unavailable.map(s => escapeHtml(s.label)).join(', ')} - check the council website.</p>`
+      : '',
+    messageSuffix ? `<p>${escapeHtml(messageSuffix).replace(/\n/g, '<br>')}</p>` : ''
+  ].filter(Boolean).join('\n');
+
+  const summaryParts = sections.map((s) => {
+    const dates = s.collections
+      ? (s.collections.length > 0
+        ? s.collections.map(c => `${shortDate(c.localDate)} ${binDisplayNames(c.bins).join(', ')}`).join('; ')
+        : 'none listed')
+      : 'unavailable';
+    return single ? dates : `${s.label}: ${dates}`;
+  });
+
+  return {
+    subject: `Bin collections for ${period}${single ? ` - ${single.label}` : ''}`,
+    text,
+    html,
+    summaryLine: `Bins, ${period}: ${summaryParts.join(' | ')}`,
+    messageSuffix,
+    data: {
+      kind: 'digest',
+      from,
+      until,
+      addresses: sections.map(s => ({
+        addressHash: s.addressHash,
+        address: s.label,
+        collections: s.collections ? collectionData(s.collections) : null
+      }))
+    }
+  };
+}
+
+module.exports = { digestWeek, digestWindow, digestRecipients, buildDigestMessage };
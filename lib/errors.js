@@ -0,0 +1,61 @@
+// Scrape failures carry the stage of the AchieveForms flow that failed, whether a retry
+// could help, and any diagnostics captured at the time (page URL, text, screenshot)
+class ScrapeError extends Error {
+  constructor(stage, message, options = {}) {
+    super(message, options);
+    this.name = 'ScrapeError';
+    this.stage = stage;
+    this.transient = options.transient ?? TRANSIENT_STAGES.has(stage);
+    this.diagnostics = options.diagnostics || null;
+  }
+}
+
+ScrapeError.STAGES = {
+  SESSION: 'session',
+  FRAME: 'frame',
+  ADDRESS_INPUT: 'address-input',
+  ADDRESS_SELECT: 'address-select',
+  RESULTS_TABLE: 'results-table',
+  TIMEOUT: 'timeout'
+};
+
+// A missing address input or address option means the form or the address changed,
+// which retrying will not fix; the other stages usually fail on a slow or flaky council site
+const TRANSIENT_STAGES = new Set([
+  ScrapeError.STAGES.SESSION,
+  ScrapeError.STAGES.FRAME,
+  ScrapeError.STAGES.RESULTS_TABLE,
+  ScrapeError.STAGES.TIMEOUT
+]);
+
+const NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE']);
+
+function isTransientError(error) {
+  if (error instanceof ScrapeError) return error.transient;
+  return error?.name === 'TimeoutError' || NETWORK_CODES.has(error?.code);
+}
+
+// A failed send is worth retrying when the service was unreachable, busy or
+// throttling. Anything else (a rejected number, a 4xx webhook, bad credentials)
+// fails the same way every time.
+function isRetryableSendError(error) {
+  if (isTransientError(error) || error?.$retryable) return true;
+  // axios and the Google client put the HTTP status on the response; a request
+  // that got no response at all failed on the network
+  const status = error?.response?.status ?? error?.$metadata?.httpStatusCode;
+  if (status === undefined) return !!error?.request;
+  return status === 429 || status >= 500;
+}
+
+// Config problems are collected up front so every issue is reported in one go
+class ConfigError extends Error {
+  constructor(file, problems) {
+    const list = problems.map(p => `  ${p.path}: ${p.message}`).join('\n');
+    super(`Invalid config ${file}:\n${list}`);
+    this.name = 'ConfigError';
+    this.file = file;
+    this.problems = problems;
+  }
+}
+
+module.exports = { ScrapeError, ConfigError, isTransientError, isRetryableSendError };
@@ -0,0 +1,187 @@
+const axios = require('axios');
+const { ScrapeError } = require('./errors');
+const { collectionsFromRows, rowsFromTableHtml } = require('./collections');
+const { addressTarget, selectAddressOption } = require('./address-match');
+const { escapeHtml } = require('./templates');
+
+// Talks to the AchieveForms endpoints the form itself calls, without a browser:
+//   GET  /authapi/isauthenticated  -> session id (sid)
+//   POST /apibroker/runLookup?id=  -> lookup results as integration.transformed.rows_data
+// Lookup ids and field names are specific to the published form, so they come from the environment.
+
+function httpScraperOptions(overrides = {}) {
+  return {
+    addressLookupId: process.env.ACHIEVEFORMS_ADDRESS_LOOKUP_ID,
+    collectionsLookupId: process.env.ACHIEVEFORMS_COLLECTIONS_LOOKUP_ID,
+    section: process.env.ACHIEVEFORMS_SECTION || 'Section 1',
+    searchField: process.env.ACHIEVEFORMS_SEARCH_FIELD || 'AddressSearch',
+    addressField: process.env.ACHIEVEFORMS_ADDRESS_FIELD || 'YourAddress',
+    timeoutMs: 30000,
+    ...overrides
+  };
+}
+
+function isHttpScraperConfigured(options = httpScraperOptions()) {
+  return !!(options.addressLookupId && options.collectionsLookupId);
+}
+
+// Minimal cookie jar: AchieveForms ties the sid to the session cookies from the form page
+function createSession(formUrl, timeoutMs, signal) {
+  const cookies = new Map();
+  const client = axios.create({ timeout: timeoutMs, maxRedirects: 5, signal });
+  client.interceptors.request.use((config) => {
+    if (cookies.size > 0) {
+      config.headers.Cookie = Array.from(cookies.entries()).map(([k, v]) => `${k}=${v}`).join('; ');
+    }
+    return config;
+  });
+  client.interceptors.response.use((response) => {
+    for (const header of response.headers['set-cookie'] || []) {
+      const [pair] = header.split(';');
+      const idx = pair.indexOf('=');
+      if (idx > 0) cookies.set(pair.slice(0, idx).trim(), pair.slice(idx + 1).trim());
+    }
+    return response;
+  });
+  return { client, formUrl: new URL(formUrl), sid: null };
+}
+
+// What the failing request was and what came back, for admin alerts
+function httpDiagnostics(error) {
+  if (!error?.config && !error?.response) return null;
+  const data = error.response?.data;
+  return {
+    requestUrl: error.config?.url,
+    httpStatus: error.response?.status ?? null,
+    responseExcerpt: data == null ? null : (typeof data === 'string' ? data : JSON.stringify(data)).slice(0, 500)
+  };
+}
+
+async function openSession(formUrl, options) {
+  const session = createSession(formUrl, options.timeoutMs, options.signal);
+  const { origin, hostname } = session.formUrl;
+  try {
+    await session.client.get(session.formUrl.href, { headers: { Accept: 'text/html' } });
+    const res = await session.client.get(`${origin}/authapi/isauthenticated`, {
+      params: { uri: session.formUrl.href, hostname, withCredentials: true }
+    });
+    session.sid = res.data?.['auth-session'];
+  } catch (error) {
+    throw new ScrapeError(ScrapeError.STAGES.SESSION, `AchieveForms session request failed: ${error.message}`, { cause: error, diagnostics: httpDiagnostics(error) });
+  }
+  if (!session.sid) {
+    throw new ScrapeError(ScrapeError.STAGES.SESSION, 'AchieveForms did not return a session id');
+  }
+  return session;
+}
+
+async function runLookup(session, lookupId, section, fields) {
+  const formValues = { [section]: {} };
+  for (const [name, value] of Object.entries(fields)) {
+    formValues[section][name] = { value };
+  }
+  const res = await session.client.post(`${session.formUrl.origin}/apibroker/runLookup`, { formValues }, {
+    params: {
+      id: lookupId,
+      repeat_against: '',
+      noRetry: false,
+      getOnlyTokens: 'undefined',
+      log_id: '',
+      app_name: 'AF-Renderer::Self',
+      _: Date.now(),
+      sid: session.sid
+    },
+    headers: { 'Content-Type': 'application/json', 'X-Requested-With': 'XMLHttpRequest' }
+  });
+  const rowsData = res.data?.integration?.transformed?.rows_data;
+  if (!rowsData) return [];
+  return Array.isArray(rowsData) ? rowsData : Object.values(rowsData);
+}
+
+const pick = (row, pattern) => {
+  const key = Object.keys(row).find(k => pattern.test(k) && row[k] !== '' && row[k] != null);
+  return key ? String(row[key]).trim() : '';
+};
+
+function addressOptions(rows) {
+  return rows
+    .map(row => ({
+      value: pick(row, /^(value|uprn|id)$/i),
+      text: pick(row, /^(display|name|label|address|text)$/i)
+    }))
+    .filter(o => o.value);
+}
+
+// Collections lookups either return pre-rendered table HTML or one row per collection
+function rowsFromCollectionsLookup(rows) {
+  for (const row of rows) {
+    const html = Object.values(row).find(v => typeof v === 'string' && /<table[\s>]/i.test(v));
+    if (html) return rowsFromTableHtml(html);
+  }
+  const tableRows = rows
+    .map(row => ({
+      dateText: pick(row, /date/i),
+      binsText: pick(row, /bin|type|service|waste|container/i)
+    }))
+    .filter(r => r.dateText && r.binsText);
+  return { rows: tableRows, html: null };
+}
+
+function buildTableHtml(rows) {
+  const body = rows.map(r => `<tr><td>${escapeHtml(r.dateText)}</td><td>${escapeHtml(r.binsText)}</td></tr>`).join('');
+  return `<table id="table2"><tr><th>Collection Date</th><th>Bin Type</th></tr>${body}</table>`;
+}
+
+async function lookupOptions(session, options, search) {
+  try {
+    const rows = await runLookup(session, options.addressLookupId, options.section, { [options.searchField]: search });
+    return addressOptions(rows);
+  } catch (error) {
+    // The lookup request itself failed, so unlike an empty result this is worth retrying
+    throw new ScrapeError(ScrapeError.STAGES.ADDRESS_SELECT, `Address lookup failed: ${error.message}`, { cause: error, transient: true, diagnostics: httpDiagnostics(error) });
+  }
+}
+
+function requireConfigured(options) {
+  if (!isHttpScraperConfigured(options)) {
+    throw new Error('HTTP scraper needs ACHIEVEFORMS_ADDRESS_LOOKUP_ID and ACHIEVEFORMS_COLLECTIONS_LOOKUP_ID');
+  }
+}
+
+// The address dropdown options ({ value, text }) for a search string
+async function listAddressOptionsHttp(url, search, overrides = {}) {
+  const options = httpScraperOptions(overrides);
+  requireConfigured(options);
+  const session = await openSession(url, options);
+  return lookupOptions(session, options, search);
+}
+
+// Same { collections, tableHtml } contract as the Puppeteer scrapeNextCollections.
+// address is a config entry ({ label, search, uprn, optionText }) or a bare label.
+async function scrapeNextCollectionsHttp(url, address, overrides = {}) {
+  const options = httpScraperOptions(overrides);
+  requireConfigured(options);
+  const target = addressTarget(address);
+  const session = await openSession(url, options);
+
+  const selected = selectAddressOption(await lookupOptions(session, options, target.search), target);
+
+  let extracted;
+  try {
+    const rows = await runLookup(session, options.collectionsLookupId, options.section, {
+      [options.searchField]: target.search,
+      [options.addressField]: selected.value
+    });
+    extracted = rowsFromCollectionsLookup(rows);
+  } catch (error) {
+    throw new ScrapeError(ScrapeError.STAGES.RESULTS_TABLE, `Collections lookup failed: ${error.message}`, { cause: error, diagnostics: httpDiagnostics(error) });
+  }
+
+  const collections = collectionsFromRows(extracted.rows);
+  if (collections.length === 0) {
+    throw new ScrapeError(ScrapeError.STAGES.RESULTS_TABLE, 'Collections lookup returned no dated rows', { transient: false });
+  }
+  return { collections, tableHtml: extracted.html?.trim() || buildTableHtml(extracted.rows) };
+}
+
+module.exports = { scrapeNextCollectionsHttp, listAddressOptionsHttp, isHttpScraperConfigured, httpScraperOptions };
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const { DateTime } = require('luxon');
+
+const PRODID = '-//gravesham-bin-days//Bin collections//EN';
+const UID_DOMAIN = 'gravesham-bin-days';
+
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545 3.1: lines longer than 75 octets are folded with CRLF + space
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+  const out = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch, 'utf8');
+    const limit = out.length === 0 ? 75 : 74;
+    if (currentBytes + size > limit) {
+      out.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += ch;
+    currentBytes += size;
+  }
+  out.push(current);
+  return out.join('\r\n ');
+}
+
+// UIDs only depend on the address and the date so re-imports update in place
+function eventUid(addressHash, localDate) {
+  return `${localDate}-${String(addressHash).slice(0, 16)}@${UID_DOMAIN}`;
+}
+
+function buildCalendar(collections, { label, addressHash, timezone = 'Europe/London', now = DateTime.utc() }) {
+  const stamp = now.toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'");
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`Bin days - ${label}`)}`,
+    `X-WR-TIMEZONE:${timezone}`
+  ];
+
+  const sorted = [...collections].sort((a, b) => a.localDate.localeCompare(b.localDate));
+  for (const c of sorted) {
+    const start = DateTime.fromISO(c.localDate);
+    if (!start.isValid) continue;
+    const bins = (c.bins || []).join(', ');
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${eventUid(addressHash, c.localDate)}`,
+      `DTSTAMP:${stamp}`,
+      `LAST-MODIFIED:${stamp}`,
+      `DTSTART;VALUE=DATE:${start.toFormat('yyyyMMdd')}`,
+      `DTEND;VALUE=DATE:${start.plus({ days: 1 }).toFormat('yyyyMMdd')}`,
+      `SUMMARY:${escapeText(`${bins || 'Bin'} collection`)}`,
+      `DESCRIPTION:${escapeText(`${bins} collection for ${label}`)}`,
+      `LOCATION:${escapeText(label)}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function writeCalendarFile(dir, addressHash, ics) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${addressHash}.ics`);
+  fs.writeFileSync(file, ics, 'utf-8');
+  return file;
+}
+
+module.exports = { buildCalendar, writeCalendarFile, eventUid };
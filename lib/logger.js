@@ -0,0 +1,61 @@
+// One JSON object per line, so CloudWatch Logs Insights can filter on fields.
+// Email addresses and phone numbers are masked wherever they appear; log an
+// addressHash rather than an address label.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const EMAIL = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+// International (+44 7700 900001) and UK national (07700 900001) numbers
+const PHONE = /\+\d[\d\s-]{7,15}\d|\b0\d{3,4}\s?\d{3}\s?\d{3,4}\b/g;
+
+let runContext = {};
+
+function redactString(value) {
+  return value.replace(EMAIL, '[email]').replace(PHONE, '[phone]');
+}
+
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value instanceof Error) {
+    return redact({
+      name: value.name,
+      message: value.message,
+      ...(value.stage ? { stage: value.stage } : {}),
+      ...(value.code ? { code: value.code } : {}),
+      stack: value.stack
+    }, depth);
+  }
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= 6) return '[truncated]';
+  if (Array.isArray(value)) return value.map(v => redact(v, depth + 1));
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, depth + 1)]));
+}
+
+function threshold() {
+  return LEVELS[String(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+}
+
+function createLogger(context = {}) {
+  const write = (level, msg, fields = {}) => {
+    if (LEVELS[level] < threshold()) return;
+    const entry = redact({ level, time: new Date().toISOString(), msg, ...runContext, ...context, ...fields });
+    const line = JSON.stringify(entry);
+    if (level === 'error') console.error(line);
+    else if (level === 'warn') console.warn(line);
+    else console.log(line);
+  };
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    child: more => createLogger({ ...context, ...more })
+  };
+}
+
+// Fields added to every line until the next call, e.g. { runId, fn } per invocation
+function setRunContext(context) {
+  runContext = { ...context };
+}
+
+module.exports = { logger: createLogger(), createLogger, setRunContext, redact };
@@ -0,0 +1,44 @@
+// CloudWatch Embedded Metric Format: metrics are buffered per dimension set and
+// written as structured log lines on flush(), which CloudWatch turns into metrics
+// without any API calls. https://docs.aws.amazon.com/AmazonCloudWatch/latest/monitoring/CloudWatch_Embedded_Metric_Format_Specification.html
+
+const NAMESPACE = process.env.METRICS_NAMESPACE || 'GraveshamBinDays';
+const BASE_DIMENSIONS = { Service: 'gravesham-bin-days' };
+
+const buffered = new Map();
+
+// unit is a CloudWatch unit name: Count, Milliseconds, ...
+function putMetric(name, value, unit = 'Count', dimensions = {}) {
+  const dims = { ...BASE_DIMENSIONS, ...dimensions };
+  const key = JSON.stringify(Object.entries(dims).sort());
+  if (!buffered.has(key)) buffered.set(key, { dims, metrics: new Map() });
+  const metrics = buffered.get(key).metrics;
+  if (!metrics.has(name)) metrics.set(name, { unit, values: [] });
+  metrics.get(name).values.push(value);
+}
+
+function flushMetrics(timestamp = Date.now()) {
+  const lines = [];
+  for (const { dims, metrics } of buffered.values()) {
+    const entry = {
+      _aws: {
+        Timestamp: timestamp,
+        CloudWatchMetrics: [{
+          Namespace: NAMESPACE,
+          Dimensions: [Object.keys(dims)],
+          Metrics: Array.from(metrics, ([Name, { unit }]) => ({ Name, Unit: unit }))
+        }]
+      },
+      ...dims
+    };
+    for (const [name, { values }] of metrics) {
+      entry[name] = values.length === 1 ? values[0] : values;
+    }
+    lines.push(JSON.stringify(entry));
+  }
+  buffered.clear();
+  lines.forEach(line => console.log(line));
+  return lines.length;
+}
+
+module.exports = { putMetric, flushMetrics };
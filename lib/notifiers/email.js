@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const { google } = require('googleapis');
+const { getServiceParameters } = require('../parameters');
+const { logger } = require('../logger');
+
+const emailLike = (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(v || ''));
+
+async function getGmailCredentials() {
+  try {
+    const params = await getServiceParameters([
+      'gmail-client-id',
+      'gmail-client-secret',
+      'gmail-refresh-token',
+      'gmail-sender'
+    ]);
+
+    return {
+      clientId: params['gmail-client-id'],
+      clientSecret: params['gmail-client-secret'],
+      refreshToken: params['gmail-refresh-token'],
+      sender: params['gmail-sender']
+    };
+  } catch (error) {
+    logger.warn('Failed to fetch Gmail credentials from Parameter Store', { err: error });
+    // Fallback to environment variables for local development
+    return {
+      clientId: process.env.GMAIL_CLIENT_ID,
+      clientSecret: process.env.GMAIL_CLIENT_SECRET,
+      refreshToken: process.env.GMAIL_REFRESH_TOKEN,
+      sender: process.env.GMAIL_SENDER
+    };
+  }
+}
+
+function newBoundary(kind) {
+  return `----=_${kind}_${Date.now()}_${Math.random().toString(36).slice(2)}`;
+}
+
+// Base64 body wrapped at 76 characters per RFC 2045
+function base64Lines(content) {
+  return Buffer.from(content).toString('base64').replace(/.{1,76}/g, '$&\n').trimEnd();
+}
+
+// 7bit only holds ASCII; UTF-8 text such as a £ or an emoji needs 8bit
+function transferEncoding(content) {
+  return /[^\x00-\x7f]/.test(content) ? '8bit' : '7bit';
+}
+
+// RFC 2047 encoded words (at most 75 characters each) for non-ASCII header values
+function encodeHeaderValue(value) {
+  const text = String(value);
+  if (!/[^\x20-\x7e]/.test(text)) return text;
+  const words = [];
+  let chunk = '';
+  for (const char of text) {
+    if (Buffer.byteLength(chunk + char) > 45) {
+      words.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  if (chunk) words.push(chunk);
+  return words.map(w => `=?UTF-8?B?${Buffer.from(w).toString('base64')}?=`).join('\n ');
+}
+
+function buildBodyPart(plainText, htmlBody) {
+  if (!htmlBody) {
+    return [
+      'Content-Type: text/plain; charset=utf-8',
+      `Content-Transfer-Encoding: ${transferEncoding(plainText)}`,
+      '',
+      plainText
+    ];
+  }
+  const boundary = newBoundary('Part');
+  return [
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    `Content-Transfer-Encoding: ${transferEncoding(plainText)}`,
+    '',
+    plainText,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    `Content-Transfer-Encoding: ${transferEncoding(htmlBody)}`,
+    '',
+    htmlBody,
+    '',
+    `--${boundary}--`,
+    ''
+  ];
+}
+
+// A line break in a header value would end the header and let the rest of the
+// value add headers or a body of its own
+function checkHeaderValues(values) {
+  for (const [name, value] of values) {
+    if (/[\r\n]/.test(`${name}${value ?? ''}`)) throw new Error(`Line break in email header ${JSON.stringify(name)}`);
+  }
+}
+
+function buildMimeMessage({ from, to, subject, text, html, attachments = [], headers: extraHeaders = {} }) {
+  checkHeaderValues([['From', from], ['To', to], ['Subject', subject], ...Object.entries(extraHeaders), ...attachments.map(a => ['Content-Disposition', a.filename])]);
+  const headers = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeaderValue(subject)}`,
+    ...Object.entries(extraHeaders).map(([name, value]) => `${name}: ${value}`),
+    'MIME-Version: 1.0'
+  ];
+  const body = buildBodyPart(text || '', html);
+  if (attachments.length === 0) {
+    return [...headers, ...body].join('\n');
+  }
+
+  const boundary = newBoundary('Mixed');
+  const parts = [
+    ...headers,
+    `Content-Type: multipart/mixed; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    ...body,
+    ''
+  ];
+  for (const att of attachments) {
+    parts.push(
+      `--${boundary}`,
+      `Content-Type: ${att.contentType || 'application/octet-stream'}; name="${att.filename}"`,
+      `Content-Disposition: attachment; filename="${att.filename}"`,
+      'Content-Transfer-Encoding: base64',
+      '',
+      base64Lines(att.content),
+      ''
+    );
+  }
+  parts.push(`--${boundary}--`, '');
+  return parts.join('\n');
+}
+
+async function sendEmail(toEmail, subject, text, html, attachments = [], headers = {}) {
+  let credentials;
+  try {
+    credentials = await getGmailCredentials();
+  } catch (error) {
+    logger.error('Failed to fetch Gmail credentials', { err: error });
+    throw error;
+  }
+
+  const { clientId, clientSecret, refreshToken, sender } = credentials;
+  // Failing leaves the recipient pending, so the next run sends once the credentials are set;
+  // previews for a dry run go through previewEmail instead
+  const missing = Object.entries({ clientId, clientSecret, refreshToken, sender }).filter(([, v]) => !v).map(([k]) => k);
+  if (missing.length > 0) {
+    logger.error('Gmail credentials are not configured', { missing });
+    throw new Error(`Gmail credentials are not configured: missing ${missing.join(', ')}`);
+  }
+  const oAuth2Client = new google.auth.OAuth2(clientId, clientSecret);
+  oAuth2Client.setCredentials({ refresh_token: refreshToken });
+  const gmail = google.gmail({ version: 'v1', auth: oAuth2Client });
+
+  const plainText = text || '';
+  const htmlBody = html && html.trim().length > 0 ? html : null;
+  const message = buildMimeMessage({ from: sender, to: toEmail, subject, text: plainText, html: htmlBody, attachments, headers });
+
+  const encodedMessage = Buffer.from(message, 'utf8').toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  try {
+    const result = await gmail.users.messages.send({ userId: 'me', requestBody: { raw: encodedMessage } });
+    logger.info('Email sent via Gmail API', { messageId: result.data.id });
+  } catch (error) {
+    logger.error('Gmail API error', { err: error, response: error.response?.data });
+    throw error;
+  }
+}
+
+// The message as an RFC 822 .eml file, for dry runs
+function previewEmail(to, message, { from = process.env.GMAIL_SENDER || 'bin-days@localhost', date = new Date() } = {}) {
+  const html = message.html && message.html.trim().length > 0 ? message.html : null;
+  const mime = buildMimeMessage({
+    from,
+    to,
+    subject: message.subject,
+    text: message.text || '',
+    html,
+    attachments: message.attachments,
+    headers: {
+      Date: date.toUTCString(),
+      'Message-ID': `<${crypto.randomUUID()}@bin-days.preview>`,
+      ...(message.headers || {})
+    }
+  });
+  return { extension: 'eml', content: mime.replace(/\r?\n/g, '\r\n') };
+}
+
+module.exports = {
+  name: 'email',
+  matches: emailLike,
+  send: (to, message) => sendEmail(to, message.subject, message.text, message.html, message.attachments, message.headers),
+  preview: previewEmail,
+  sendEmail,
+  buildMimeMessage,
+  getGmailCredentials
+};
@@ -0,0 +1,35 @@
+const email = require('./email');
+const sms = require('./sms');
+const webhook = require('./webhook');
+
+// Channels are tried in order when a recipient does not name one explicitly
+const CHANNELS = [email, sms, webhook];
+
+function getChannel(name) {
+  return CHANNELS.find(ch => ch.name === name) || null;
+}
+
+function detectChannel(to) {
+  const channel = CHANNELS.find(ch => ch.matches(to));
+  return channel ? channel.name : null;
+}
+
+// Recipients are either a bare address/number/URL or { to, channel, ...channel options }
+function normalizeRecipient(entry) {
+  if (entry && typeof entry === 'object') {
+    const to = String(entry.to || '').trim();
+    return { ...entry, to, channel: entry.channel || detectChannel(to) };
+  }
+  const to = String(entry || '').trim();
+  return { to, channel: detectChannel(to) };
+}
+
+async function notify(recipient, message) {
+  const channel = getChannel(recipient.channel);
+  if (!channel) {
+    throw new Error(`Unknown notification channel: ${recipient.channel}`);
+  }
+  await channel.send(recipient.to, message, recipient);
+}
+
+module.exports = { getChannel, detectChannel, normalizeRecipient, notify };
@@ -0,0 +1,124 @@
+const axios = require('axios');
+const { getServiceParameters } = require('../parameters');
+const { logger } = require('../logger');
+
+const DEFAULT_API_BASE_URL = 'https://api.twilio.com';
+
+// GSM 03.38 basic character set (plus the extension table); anything else forces UCS-2
+const GSM7 = /^[A-Za-z0-9 \r\n@£$¥èéùìòÇØøÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ!"#¤%&'()*+,\-./:;<=>?¡ÄÖÑÜ§¿äöñüà^{}\\[~\]|€]*$/;
+// Extension table characters are sent as an escape plus the character, so take two septets
+const GSM7_EXTENSION = '^{}\\[~]|€';
+
+const phoneLike = (v) => /^\+?[0-9]{7,15}$/.test(String(v || '').replace(/[\s()-]/g, ''));
+
+function normalizePhone(v) {
+  return String(v || '').replace(/[\s()-]/g, '');
+}
+
+async function getSmsCredentials() {
+  try {
+    const params = await getServiceParameters([
+      'sms-account-sid',
+      'sms-auth-token',
+      'sms-from'
+    ]);
+
+    return {
+      accountSid: params['sms-account-sid'],
+      authToken: params['sms-auth-token'],
+      from: params['sms-from']
+    };
+  } catch (error) {
+    logger.warn('Failed to fetch SMS credentials from Parameter Store', { err: error });
+    // Fallback to environment variables for local development
+    return {
+      accountSid: process.env.SMS_ACCOUNT_SID,
+      authToken: process.env.SMS_AUTH_TOKEN,
+      from: process.env.SMS_FROM
+    };
+  }
+}
+
+// Length as the network counts it: septets for GSM-7, UTF-16 code units for UCS-2
+function smsLength(text) {
+  if (!GSM7.test(text)) return text.length;
+  let length = 0;
+  for (const ch of text) length += GSM7_EXTENSION.includes(ch) ? 2 : 1;
+  return length;
+}
+
+// Septets or code units available for a message of `segments` parts in the given encoding
+function smsCapacity(text, segments) {
+  const gsm = GSM7.test(text);
+  if (segments <= 1) return gsm ? 160 : 70;
+  return (gsm ? 153 : 67) * segments;
+}
+
+// Joins the parts in order, dropping trailing parts that would overflow the
+// segment budget and truncating the first part if it cannot fit on its own.
+function fitSmsText(parts, maxSegments = 1) {
+  const wanted = parts.map(p => String(p || '').replace(/\s+/g, ' ').trim()).filter(Boolean);
+  let text = '';
+  for (const part of wanted) {
+    const candidate = text ? `${text} ${part}` : part;
+    if (smsLength(candidate) <= smsCapacity(candidate, maxSegments)) {
+      text = candidate;
+    } else if (!text) {
+      // Cut whole characters, so an emoji's surrogate pair is never split
+      const limit = smsCapacity(candidate, maxSegments) - 3;
+      let cut = '';
+      for (const ch of candidate) {
+        if (smsLength(cut + ch) > limit) break;
+        cut += ch;
+      }
+      text = `${cut.trimEnd()}...`;
+      break;
+    }
+  }
+  return text;
+}
+
+// A message whose text carries a link sets smsText, which is sent whole:
+// trimming it to the segment budget would cut the link
+function buildSmsText(message) {
+  if (message.smsText) return message.smsText;
+  const maxSegments = Number(process.env.SMS_MAX_SEGMENTS) || 1;
+  return fitSmsText([message.summaryLine || message.subject, message.messageSuffix], maxSegments);
+}
+
+async function sendSms(toNumber, body) {
+  const { accountSid, authToken, from } = await getSmsCredentials();
+  const missing = Object.entries({ accountSid, authToken, from }).filter(([, v]) => !v).map(([k]) => k);
+  if (missing.length > 0) {
+    logger.error('SMS credentials are not configured', { missing });
+    throw new Error(`SMS credentials are not configured: missing ${missing.join(', ')}`);
+  }
+
+  const baseUrl = (process.env.SMS_API_BASE_URL || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+  const url = `${baseUrl}/2010-04-01/Accounts/${encodeURIComponent(accountSid)}/Messages.json`;
+  const form = new URLSearchParams({ To: normalizePhone(toNumber), From: from, Body: body });
+
+  try {
+    const result = await axios.post(url, form.toString(), {
+      auth: { username: accountSid, password: authToken },
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 15000
+    });
+    logger.info('SMS sent', { messageSid: result.data?.sid });
+  } catch (error) {
+    logger.error('SMS API error', { err: error, response: error.response?.data });
+    throw error;
+  }
+}
+
+module.exports = {
+  name: 'sms',
+  matches: phoneLike,
+  send: (to, message) => sendSms(to, buildSmsText(message)),
+  preview: (to, message) => ({ extension: 'txt', content: `To: ${to}\n\n${buildSmsText(message)}\n` }),
+  sendSms,
+  buildSmsText,
+  fitSmsText,
+  smsLength,
+  getSmsCredentials
+};
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { classifyBin } = require('../bin-types');
+const { logger } = require('../logger');
+
+// POSTs each notification to a URL, shaped for the receiving service by the
+// recipient's format. The "json" format carries message.data (the structured
+// collections) for automations such as Home Assistant; the others render the
+// text for chat apps. The URL often embeds a token, so it is never logged.
+
+const FORMATS = ['json', 'slack', 'discord', 'ntfy'];
+
+const SIGNATURE_HEADER = 'X-Bin-Days-Signature';
+const TIMESTAMP_HEADER = 'X-Bin-Days-Timestamp';
+
+const urlLike = (v) => /^https?:\/\/[^\s/]+\S*$/i.test(String(v || ''));
+
+const truncate = (text, max) => (text.length <= max ? text : `${text.slice(0, max - 3).trimEnd()}...`);
+
+// Slack mrkdwn treats these three as control characters
+const escapeSlack = (v) => String(v ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+function firstBinColour(data) {
+  const bins = data?.bins || data?.collections?.[0]?.bins || [];
+  return bins[0]?.colour || classifyBin('').colour;
+}
+
+function jsonPayload(message, sentAt) {
+  const { kind = 'message', ...data } = message.data || {};
+  return {
+    kind,
+    subject: message.subject,
+    summary: message.summaryLine || message.subject,
+    text: message.text,
+    sentAt,
+    ...data
+  };
+}
+
+function slackPayload(message) {
+  return {
+    text: message.summaryLine || message.subject,
+    blocks: [
+      { type: 'header', text: { type: 'plain_text', text: truncate(message.subject, 150), emoji: true } },
+      { type: 'section', text: { type: 'mrkdwn', text: truncate(escapeSlack(message.text), 3000) } }
+    ]
+  };
+}
+
+function discordPayload(message, sentAt) {
+  return {
+    embeds: [{
+      title: truncate(message.subject, 256),
+      description: truncate(message.text, 4096),
+      color: parseInt(firstBinColour(message.data).slice(1), 16),
+      timestamp: sentAt
+    }]
+  };
+}
+
+// ntfy's JSON publishing posts to the server root and names the topic in the
+// body, which keeps non-ASCII titles intact (headers would need encoding)
+function ntfyRequest(url, message) {
+  const parsed = new URL(url);
+  const parts = parsed.pathname.split('/').filter(Boolean);
+  const topic = parts.pop();
+  if (!topic) throw new Error('ntfy webhook URL must end with the topic name');
+  return {
+    url: `${parsed.origin}/${parts.map(p => `${p}/`).join('')}`,
+    payload: {
+      topic,
+      title: message.subject,
+      message: truncate(message.text, 4096),
+      tags: ['wastebasket']
+    }
+  };
+}
+
+// HMAC-SHA256 over "<timestamp>.<body>", so a receiver can reject replays
+function signatureHeaders(secret, body, timestamp) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return { [TIMESTAMP_HEADER]: String(timestamp), [SIGNATURE_HEADER]: `sha256=${digest}` };
+}
+
+// Returns { url, headers, body } for the recipient's format; body is the exact string signed and sent
+function buildWebhookRequest(to, message, { format = 'json', headers = {}, secret } = {}, { now = new Date() } = {}) {
+  const sentAt = now.toISOString();
+  let url = to;
+  let payload;
+  if (format === 'ntfy') {
+    ({ url, payload } = ntfyRequest(to, message));
+  } else if (format === 'slack') {
+    payload = slackPayload(message);
+  } else if (format === 'discord') {
+    payload = discordPayload(message, sentAt);
+  } else if (format === 'json') {
+    payload = jsonPayload(message, sentAt);
+  } else {
+    throw new Error(`Unknown webhook format: ${format}`);
+  }
+  const body = JSON.stringify(payload);
+  return {
+    url,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      'User-Agent': 'bin-days',
+      ...headers,
+      ...(secret ? signatureHeaders(secret, body, Math.floor(now.getTime() / 1000)) : {})
+    },
+    body
+  };
+}
+
+async function sendWebhook(to, message, options = {}) {
+  const { url, headers, body } = buildWebhookRequest(to, message, options);
+  try {
+    const result = await axios.post(url, body, { headers, timeout: 10000 });
+    logger.info('Webhook delivered', { format: options.format || 'json', status: result.status });
+  } catch (error) {
+    logger.error('Webhook error', { format: options.format || 'json', status: error.response?.status, err: error });
+    throw error;
+  }
+}
+
+function previewWebhook(to, message, options = {}) {
+  const { url, headers, body } = buildWebhookRequest(to, message, options);
+  return {
+    extension: 'json',
+    content: `${JSON.stringify({ method: 'POST', url, headers, body: JSON.parse(body) }, null, 2)}\n`
+  };
+}
+
+module.exports = {
+  name: 'webhook',
+  matches: urlLike,
+  send: (to, message, recipient) => sendWebhook(to, message, recipient),
+  preview: (to, message, recipient) => previewWebhook(to, message, recipient),
+  FORMATS,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  buildWebhookRequest,
+  sendWebhook
+};
@@ -0,0 +1,25 @@
+const { SSMClient, GetParametersCommand } = require('@aws-sdk/client-ssm');
+
+const ssm = new SSMClient({});
+
+const SERVICE_NAME = 'gravesham-bin-days'; // Use consistent service name
+
+// Fetches /<service>/<key> SecureString parameters; returns { key: value }.
+async function getServiceParameters(keys) {
+  const command = new GetParametersCommand({
+    Names: keys.map(key => `/${SERVICE_NAME}/${key}`),
+    WithDecryption: true
+  });
+
+  const response = await ssm.send(command);
+  const params = {};
+
+  response.Parameters?.forEach(param => {
+    const key = param.Name.split('/').pop();
+    params[key] = param.Value;
+  });
+
+  return params;
+}
+
+module.exports = { SERVICE_NAME, getServiceParameters };
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getChannel } = require('./notifiers');
+const { escapeHtml } = require('./templates');
+
+// Dry-run output: each composed message is written in the form its channel
+// would send it (.eml for email, .txt for SMS, the request as .json for
+// webhooks), and emails also get an .html preview that opens in a browser.
+
+const DEFAULT_DIR = path.join(os.tmpdir(), 'bin-days-previews');
+
+function htmlPreview(recipient, message) {
+  const rows = [
+    ['To', recipient.to],
+    ['Subject', message.subject],
+    ...(message.attachments?.length ? [['Attachments', message.attachments.map(a => a.filename).join(', ')]] : [])
+  ].map(([k, v]) => `<tr><th style="text-align:left;padding-right:12px">${k}</th><td>${escapeHtml(v)}</td></tr>`);
+  return [
+    '<!DOCTYPE html>',
+    '<html><head><meta charset="utf-8">',
+    `<title>${escapeHtml(message.subject)}</title></head>`,
+    '<body style="font-family:sans-serif;max-width:720px;margin:24px auto">',
+    `<table style="font-size:13px;color:#555555;margin-bottom:16px">${rows.join('')}</table>`,
+    '<hr>',
+    message.html,
+    '</body></html>',
+    ''
+  ].join('\n');
+}
+
+// Returns { dir, for(name) }; for(name) gives the (recipient, message) => file
+// callback for one notification, named e.g. "reminder-2025-09-11-1d-3fa2c1d0"
+function createPreviewWriter(dir = DEFAULT_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  let count = 0;
+  return {
+    dir,
+    for: name => async (recipient, message) => {
+      const channel = getChannel(recipient.channel);
+      if (!channel?.preview) throw new Error(`No preview for channel ${recipient.channel}`);
+      const { extension, content } = channel.preview(recipient.to, message, recipient);
+      const base = path.join(dir, `${String(++count).padStart(3, '0')}-${name}-${recipient.channel}`);
+      fs.writeFileSync(`${base}.${extension}`, content);
+      if (recipient.channel === 'email' && message.html) {
+        fs.writeFileSync(`${base}.html`, htmlPreview(recipient, message));
+      }
+      return `${base}.${extension}`;
+    }
+  };
+}
+
+module.exports = { createPreviewWriter, DEFAULT_DIR };
@@ -0,0 +1,370 @@
+const fs = require('fs');
+const path = require('path');
+const { ScrapeError } = require('../errors');
+const { collectionsFromRows, collectionsFromText } = require('../collections');
+const { scrapeNextCollectionsHttp, listAddressOptionsHttp, isHttpScraperConfigured } = require('../http-scraper');
+const { addressTarget, selectAddressOption } = require('../address-match');
+const { putMetric } = require('../metrics');
+const { logger } = require('../logger');
+
+// Gravesham Borough Council publishes collections through an AchieveForms form:
+// the address lookup and the #table2 results live in #fillform-frame-1. The
+// lookup API behind the form is used when its ids are configured (see
+// lib/http-scraper.js), with Puppeteer driving the form as the fallback.
+
+const DEFAULT_SOURCE_URL = 'https://my.gravesham.gov.uk/en/AchieveForms/?form_uri=sandbox-publish://AF-Process-22218d5c-c6d6-492f-b627-c713771126be/AF-Stage-905e87c1-144b-4a72-8932-5518ddd3e618/definition.json&redirectlink=%2Fen&cancelRedirectLink=%2Fen&consentMessage=yes';
+
+// Debug dumps go to the project root, as they did before the adapters existed
+const DEBUG_DIR = path.join(__dirname, '..', '..');
+
+async function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
+
+function sourceUrl() {
+  return process.env.SOURCE_URL || DEFAULT_SOURCE_URL;
+}
+
+async function saveScreenshot(page, label) {
+  try {
+    const file = path.join(DEBUG_DIR, `debug-${Date.now()}-${label}.png`);
+    await page.screenshot({ path: file, fullPage: true });
+    logger.debug('Saved screenshot', { file });
+  } catch (err) {
+    // ignore in lambda if not supported
+  }
+}
+async function saveFrameHtml(frame, label) {
+  try {
+    const html = await frame.evaluate(() => document.documentElement.outerHTML);
+    const file = path.join(DEBUG_DIR, `debug-${Date.now()}-${label}.html`);
+    fs.writeFileSync(file, html, 'utf-8');
+    logger.debug('Saved frame HTML', { file });
+  } catch (_) {}
+}
+async function clickByText(frame, texts) {
+  const arr = Array.isArray(texts) ? texts : [texts];
+  return frame.evaluate((labels) => {
+    const norm = (s) => (s || '').trim().toLowerCase();
+    const matches = (el, wanted) => norm(el.textContent) === wanted || norm(el.textContent).includes(wanted);
+    const clickable = Array.from(document.querySelectorAll('button, a, [role="button"], .btn, .af-action, .af-button, div, span'));
+    for (const wantedRaw of labels) {
+      const wanted = norm(wantedRaw);
+      const el = clickable.find(node => matches(node, wanted));
+      if (el) {
+        el.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+        el.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+        return true;
+      }
+    }
+    return false;
+  }, arr);
+}
+
+function getScraperMode() {
+  const mode = String(process.env.SCRAPER || 'auto').toLowerCase();
+  if (mode === 'http' || mode === 'browser') return mode;
+  return isHttpScraperConfigured() ? 'auto' : 'browser';
+}
+
+// SCRAPER=http|browser|auto; auto tries the lookup API first and falls back to Puppeteer
+async function fetchCollections(address, { browser, signal, log = logger } = {}) {
+  const url = sourceUrl();
+  const mode = getScraperMode();
+  if (mode !== 'browser') {
+    const started = Date.now();
+    try {
+      const result = await scrapeNextCollectionsHttp(url, address, { signal });
+      putMetric('ScrapeDuration', Date.now() - started, 'Milliseconds', { Scraper: 'http' });
+      log.info('Scraped via AchieveForms lookup API');
+      return result;
+    } catch (error) {
+      if (mode === 'http' || signal?.aborted) throw error;
+      log.warn('HTTP scrape failed, falling back to browser', { err: error });
+    }
+  }
+  const started = Date.now();
+  const result = await scrapeNextCollections(await browser.get(), url, address, { signal });
+  putMetric('ScrapeDuration', Date.now() - started, 'Milliseconds', { Scraper: 'browser' });
+  return result;
+}
+
+async function lookupAddresses(search, { browser, log = logger } = {}) {
+  const url = sourceUrl();
+  const mode = getScraperMode();
+  if (mode !== 'browser') {
+    try {
+      return await listAddressOptionsHttp(url, search);
+    } catch (error) {
+      if (mode === 'http') throw error;
+      log.warn('HTTP address lookup failed, falling back to browser', { err: error });
+    }
+  }
+  const page = await (await browser.get()).newPage();
+  try {
+    await page.goto(url, { waitUntil: 'networkidle2', timeout: 90000 }).catch((error) => {
+      throw new ScrapeError(ScrapeError.STAGES.SESSION, `Form page did not load: ${error.message}`, { cause: error });
+    });
+    const frame = await getFormFrame(page);
+    await ensureFormOpen(frame);
+    return await readAddressOptions(frame, await typeAddressSearch(frame, page, search));
+  } finally {
+    if (!page.isClosed()) await page.close();
+  }
+}
+
+async function scrapeNextCollections(browser, url, address, { signal } = {}) {
+  const page = await browser.newPage();
+  // Closing the page makes any pending Puppeteer call reject, so a timed-out scrape stops here
+  const closeOnAbort = () => page.close().catch(() => {});
+  signal?.addEventListener('abort', closeOnAbort, { once: true });
+  try {
+    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/127.0.0.0 Safari/537.36');
+    await page.goto(url, { waitUntil: 'networkidle2', timeout: 90000 }).catch((error) => {
+      throw new ScrapeError(ScrapeError.STAGES.SESSION, `Form page did not load: ${error.message}`, { cause: error });
+    });
+    await saveScreenshot(page, 'after-goto');
+    await sleep(1500);
+
+    const frame = await getFormFrame(page);
+    await saveScreenshot(page, 'after-frame');
+
+    await ensureFormOpen(frame);
+    await saveFrameHtml(frame, 'after-open');
+
+    await typeAndSelectAddress(frame, page, addressTarget(address));
+
+    const tableOk = await waitForResultsTable(frame, 120000);
+    if (!tableOk) {
+      await saveFrameHtml(frame, 'no-results-timeout');
+      throw new ScrapeError(ScrapeError.STAGES.RESULTS_TABLE, 'Results table did not render in time');
+    }
+    await saveFrameHtml(frame, 'after-results');
+
+    const { collections, tableHtml } = await extractCollections(frame);
+    return { collections, tableHtml };
+  } catch (error) {
+    if (error instanceof ScrapeError && !error.diagnostics?.pageUrl && !page.isClosed()) {
+      error.diagnostics = { ...(await captureDiagnostics(page)), ...error.diagnostics };
+    }
+    throw error;
+  } finally {
+    signal?.removeEventListener('abort', closeOnAbort);
+    if (!page.isClosed()) await page.close();
+  }
+}
+
+// Best-effort snapshot of where the browser got to, for admin alerts
+async function captureDiagnostics(page) {
+  const diagnostics = { pageUrl: page.url(), frameUrls: page.frames().map(f => f.url()).filter(u => u && u !== 'about:blank').slice(0, 5) };
+  const formFrame = (await page.$('#fillform-frame-1').then(h => h?.contentFrame()).catch(() => null)) || page.mainFrame();
+  diagnostics.textExcerpt = await formFrame.evaluate(() => (document.body?.innerText || '').replace(/\s+/g, ' ').trim())
+    .then(text => text.slice(0, 1500))
+    .catch(() => null);
+  diagnostics.screenshotBase64 = await page.screenshot({ encoding: 'base64' }).catch(() => null);
+  return diagnostics;
+}
+
+async function getFormFrame(page) {
+  const iframeHandle = await page.waitForSelector('#fillform-frame-1', { timeout: 60000 }).catch((error) => {
+    throw new ScrapeError(ScrapeError.STAGES.FRAME, 'Form frame #fillform-frame-1 not found', { cause: error });
+  });
+  const frame = await iframeHandle.contentFrame();
+  if (frame) {
+    await new Promise(r => setTimeout(r, 1000));
+    return frame;
+  }
+  const start = Date.now();
+  while (Date.now() - start < 60000) {
+    const frames = page.frames();
+    for (const fr of frames) {
+      try {
+        const hasInputs = await fr.evaluate(() => !!document && document.querySelectorAll('input').length > 0);
+        if (hasInputs) return fr;
+      } catch (_) {}
+    }
+    await new Promise(r => setTimeout(r, 500));
+  }
+  throw new ScrapeError(ScrapeError.STAGES.FRAME, 'Could not find a loaded form frame with inputs');
+}
+
+async function ensureFormOpen(frame) {
+  const candidates = ['Section 1', 'Start', 'Begin', 'Check your bin day', 'Next', 'Continue'];
+  for (const text of candidates) {
+    try {
+      const ok = await clickByText(frame, text);
+      if (ok) {
+        await sleep(1000);
+        const has = await frame.evaluate(() => !!document.querySelector('input, [role="combobox"], [contenteditable="true"]'));
+        if (has) return;
+      }
+    } catch (_) {}
+  }
+}
+
+async function typeAndSelectAddress(frame, page, target) {
+  const selectHandle = await typeAddressSearch(frame, page, target.search);
+  const options = await readAddressOptions(frame, selectHandle);
+  const chosen = selectAddressOption(options, target);
+  await frame.evaluate((select, value) => {
+    select.value = value;
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+    select.dispatchEvent(new Event('input', { bubbles: true }));
+  }, selectHandle, chosen.value);
+  // Do not click any extra button here; caller will wait for #table2
+}
+
+async function readAddressOptions(frame, selectHandle) {
+  return frame.evaluate((select) => Array.from(select.querySelectorAll('option:not([value=""])'))
+    .map(o => ({ value: o.value, text: (o.textContent || '').replace(/\s+/g, ' ').trim() })), selectHandle);
+}
+
+// Types the search into the address lookup and returns the populated select
+async function typeAddressSearch(frame, page, search) {
+  // 1) Find the address entry control (input/combobox/contenteditable or autoLookup field)
+  const handle = await frame.evaluateHandle(() => {
+    const isVisible = (el) => {
+      if (!el) return false;
+      const rect = el.getBoundingClientRect();
+      const style = window.getComputedStyle(el);
+      return !!(rect.width && rect.height) && style.visibility !== 'hidden' && style.display !== 'none';
+    };
+    // Prefer an input/combobox tied to the address lookup
+    let candidates = Array.from(document.querySelectorAll('input[aria-autocomplete="list"], input[role="combobox"], input[type="search"], input'))
+      .filter(isVisible);
+    if (candidates.length === 0) {
+      // Try contenteditable or the AchieveForms autoLookup container
+      const auto = document.querySelector('div[data-type="autoLookup"], [data-field-type="autoLookup"]');
+      if (auto) {
+        const inAuto = auto.querySelector('input, [contenteditable="true"], [role="combobox"]');
+        if (inAuto && isVisible(inAuto)) return inAuto;
+      }
+      candidates = Array.from(document.querySelectorAll('[contenteditable="true"], [role="combobox"], input')).filter(isVisible);
+    }
+    const scoreOf = (el) => {
+      const attrs = [el.name, el.id, el.getAttribute?.('role'), el.getAttribute?.('aria-label'), el.placeholder, el.className]
+        .filter(Boolean).join(' ').toLowerCase();
+      let score = 0;
+      if (/address|lookup|find|search/.test(attrs)) score += 5;
+      if (/text|search/.test(el.type || '')) score += 2;
+      if (/date|time/.test(el.type || '')) score -= 3;
+      const field = el.closest?.('.field, .fieldContent, .af-block, fieldset, form');
+      if (field) {
+        const txt = (field.textContent || '').toLowerCase();
+        if (txt.includes('address')) score += 3;
+        if (txt.includes('postcode')) score += 1;
+      }
+      return score;
+    };
+    let best = null; let bestScore = -Infinity;
+    for (const el of candidates) {
+      const sc = scoreOf(el);
+      if (sc > bestScore) { best = el; bestScore = sc; }
+    }
+    return best;
+  });
+
+  const inputHandle = handle && handle.asElement ? handle.asElement() : null;
+  if (!inputHandle) {
+    await saveFrameHtml(frame, 'no-address-input');
+    throw new ScrapeError(ScrapeError.STAGES.ADDRESS_INPUT, 'Address input not found');
+  }
+
+  await inputHandle.scrollIntoView?.().catch(() => {});
+  await inputHandle.click({ delay: 50 }).catch(() => {});
+  await inputHandle.focus().catch(() => {});
+  const couldClear = await frame.evaluate((el) => { try { el.value=''; el.dispatchEvent(new Event('input',{ bubbles:true })); return true; } catch { return false; } }, inputHandle).catch(() => false);
+  if (!couldClear) {
+    await page.keyboard.down('Control').catch(() => {});
+    await page.keyboard.press('KeyA').catch(() => {});
+    await page.keyboard.up('Control').catch(() => {});
+    await page.keyboard.press('Backspace').catch(() => {});
+  }
+  // 2) Type the address
+  try { await inputHandle.type(search, { delay: 60 }); } catch { await page.keyboard.type(search, { delay: 60 }); }
+  // 3) Wait for the select dropdown to be populated
+  await new Promise(r => setTimeout(r, 700)); // Wait for lookup to trigger
+  
+  // Wait for the select dropdown to have options (not just "Select...")
+  const selectHandle = await frame.waitForFunction(() => {
+    const select = document.querySelector('select[name="YourAddress"], select#YourAddress');
+    if (!select) return null;
+    const options = select.querySelectorAll('option:not([value=""])');
+    return options.length > 0 ? select : null;
+  }, { timeout: 60000 }).catch(() => null);
+
+  if (!selectHandle) {
+    await saveFrameHtml(frame, 'no-select-options');
+    throw new ScrapeError(ScrapeError.STAGES.ADDRESS_SELECT, 'Address select dropdown not populated');
+  }
+
+  return selectHandle;
+}
+
+async function waitForResultsTable(frame, timeoutMs = 120000) {
+  // Explicitly wait for the results table with id="table2" to render
+  try {
+    await frame.waitForSelector('#table2', { timeout: timeoutMs });
+    await frame.waitForSelector('#table2 tr td, #table2 tr th', { timeout: timeoutMs });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+async function extractCollections(frame) {
+  const tableData = await frame.evaluate(() => {
+    const norm = (s) => (s || '').replace(/\s+/g, ' ').trim();
+    const extractRows = (table) => {
+      const rows = [];
+      const trs = Array.from(table.querySelectorAll('tr'));
+      for (const tr of trs) {
+        const cells = Array.from(tr.querySelectorAll('td, th'));
+        if (cells.length < 2) continue;
+        const col1 = norm(cells[0].textContent);
+        const col2 = norm(cells[1].textContent);
+        const isHeader = /collection\s*date/i.test(col1) && /bin\s*type/i.test(col2);
+        if (isHeader) continue;
+        if (col1 && col2) rows.push({ dateText: col1, binsText: col2 });
+      }
+      return rows;
+    };
+
+    const tableOrder = [];
+    const table2 = document.getElementById('table2') || document.querySelector('#table2');
+    if (table2) tableOrder.push(table2);
+    tableOrder.push(...Array.from(document.querySelectorAll('table')));
+
+    const seen = new Set();
+    for (const table of tableOrder) {
+      if (!table || seen.has(table)) continue;
+      seen.add(table);
+      const rows = extractRows(table);
+      if (rows.length > 0) {
+        return { rows, html: table.outerHTML };
+      }
+    }
+
+    return { rows: [], html: null };
+  });
+
+  const collections = collectionsFromRows(tableData.rows || []);
+  if (collections.length > 0) {
+    return { collections, tableHtml: tableData.html?.trim() || null };
+  }
+
+  const raw = await frame.evaluate(() => document.body.innerText || '');
+  return {
+    collections: collectionsFromText(raw),
+    tableHtml: tableData.html?.trim() || null
+  };
+}
+
+module.exports = {
+  id: 'gravesham',
+  name: 'Gravesham Borough Council',
+  lookupAddresses,
+  fetchCollections,
+  DEFAULT_SOURCE_URL,
+  // Exposed for tests
+  waitForResultsTable,
+  extractCollections
+};
@@ -0,0 +1,32 @@
+const gravesham = require('./gravesham');
+
+// A provider adapts one council's website. Each exports:
+//   id, name
+//   lookupAddresses(search, context) -> [{ value, text }], value usually the UPRN
+//   fetchCollections(address, context) -> { collections: [{ localDate, bins }], tableHtml }
+// address is a config entry ({ label, search, uprn, optionText }) or a bare label;
+// context is { browser, signal, log }, where browser is launched on first get().
+// Failures throw ScrapeErrors tagged with a stage, so retries, alerts and the API
+// treat every council the same. Pick the option with address-match's
+// selectAddressOption, and add the adapter to test/providers/ so it runs the
+// contract suite.
+
+const PROVIDERS = [gravesham];
+
+const PROVIDER_IDS = PROVIDERS.map(p => p.id);
+
+const DEFAULT_PROVIDER = 'gravesham';
+
+function getProvider(id) {
+  return PROVIDERS.find(p => p.id === id) || null;
+}
+
+// Addresses without a provider are Gravesham ones, as every address was before adapters
+function providerFor(address) {
+  const id = (address && typeof address === 'object' && address.provider) || DEFAULT_PROVIDER;
+  const provider = getProvider(id);
+  if (!provider) throw new Error(`Unknown provider: ${id}`);
+  return provider;
+}
+
+module.exports = { PROVIDERS, PROVIDER_IDS, DEFAULT_PROVIDER, getProvider, providerFor };
@@ -0,0 +1,107 @@
+const { classifyBin } = require('./bin-types');
+
+// Household bin rota. An address's rota config is { members, rotate }, where
+// rotate is 'collection' (members take whole collections in turn) or 'binType'
+// (each bin type has its own rotation). Its state, kept in the state table, is
+//   { order: { <turn>: [member, ...] }, assigned: { <date>: { <turn>: member } } }
+// where a turn is 'collection' or a bin type. order lists who is up next, and
+// only moves on when a collection is assigned, so missed runs and redeploys
+// never skip anyone. A date keeps its assignment once made.
+
+const ROTATE_MODES = ['collection', 'binType'];
+
+// Assignments are only needed until the collection has passed
+const KEEP_DAYS = 60;
+
+function turnsFor(rotate, bins) {
+  if (rotate !== 'binType') return ['collection'];
+  return Array.from(new Set(bins.map((bin) => {
+    const { type, name } = classifyBin(bin);
+    return type || name;
+  })));
+}
+
+function turnName(turn) {
+  const bin = classifyBin(turn);
+  return bin.type === turn ? bin.name : turn;
+}
+
+// Keeps the saved order for members still on the rota and appends new members
+function reconcileOrder(order = [], members) {
+  return [...order.filter(m => members.includes(m)), ...members.filter(m => !order.includes(m))];
+}
+
+function pruneAssigned(assigned, localDate) {
+  const d = new Date(`${localDate}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - KEEP_DAYS);
+  const cutoff = d.toISOString().slice(0, 10);
+  return Object.fromEntries(Object.entries(assigned).filter(([date]) => date >= cutoff));
+}
+
+// Returns { state, duty, changed }, duty mapping each turn on the date to a member
+function assignDuty(state, rota, localDate, bins) {
+  const order = { ...(state?.order || {}) };
+  const duty = { ...(state?.assigned?.[localDate] || {}) };
+  let changed = false;
+  for (const turn of turnsFor(rota.rotate, bins)) {
+    const queue = reconcileOrder(order[turn], rota.members);
+    // A member taken off the rota loses their assignments too
+    if (rota.members.includes(duty[turn])) {
+      order[turn] = queue;
+      continue;
+    }
+    duty[turn] = queue[0];
+    order[turn] = [...queue.slice(1), queue[0]];
+    changed = true;
+  }
+  const assigned = changed
+    ? pruneAssigned({ ...(state?.assigned || {}), [localDate]: duty }, localDate)
+    : state?.assigned || {};
+  return { state: { order, assigned }, duty, changed };
+}
+
+// Who would take over each of member's turns on the date: whoever is up next
+// in that turn's rotation. Returns [{ turn, with }], empty when nobody can.
+function swapPartners(state, localDate, member) {
+  const duty = state?.assigned?.[localDate] || {};
+  return Object.entries(duty)
+    .filter(([, m]) => m === member)
+    .map(([turn]) => ({ turn, with: (state.order?.[turn] || []).find(m => m !== member) }))
+    .filter(p => p.with);
+}
+
+// Hands member's turns on the date to the next in line, and gives member that
+// person's place in the queue, so they take the following turn instead.
+// Returns { state, swapped: [{ turn, with }] }.
+function swapDuty(state, localDate, member) {
+  const swapped = swapPartners(state, localDate, member);
+  if (swapped.length === 0) return { state, swapped };
+  const order = { ...state.order };
+  const duty = { ...state.assigned[localDate] };
+  for (const { turn, with: other } of swapped) {
+    duty[turn] = other;
+    order[turn] = order[turn].map(m => (m === other ? member : m === member ? other : m));
+  }
+  return { state: { order, assigned: { ...state.assigned, [localDate]: duty } }, swapped };
+}
+
+// One line about the duty for a recipient: a direct one for the member on
+// duty, a brief one naming who is for everybody else. Empty without a rota.
+function dutyNote(duty, member) {
+  const entries = Object.entries(duty || {});
+  if (entries.length === 0) return '';
+  if (entries.every(([turn]) => turn === 'collection')) {
+    const [[, who]] = entries;
+    return who === member ? 'Your turn to put the bins out' : `${who} is putting the bins out`;
+  }
+  const mine = entries.filter(([, who]) => who === member).map(([turn]) => turnName(turn));
+  const others = entries.filter(([, who]) => who !== member).map(([turn, who]) => `${who} has ${turnName(turn)}`);
+  if (mine.length === 0) return others.join(', ');
+  return [`Your turn to put out ${mine.join(' and ')}`, ...others].join(', ');
+}
+
+function isOnDuty(duty, member) {
+  return !!member && Object.values(duty || {}).includes(member);
+}
+
+module.exports = { ROTATE_MODES, assignDuty, swapPartners, swapDuty, dutyNote, isOnDuty };
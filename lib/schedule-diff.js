@@ -0,0 +1,64 @@
+const { classifyBin } = require('./bin-types');
+
+// Compares two scraped schedules bin by bin. Only dates the new schedule covers
+// (today up to its last date) are compared, so dates that dropped off the front
+// are not reported; a date newly published past the end of the previous
+// schedule only counts when it is where an earlier date moved to.
+
+// Bins are matched by type, so a council rewording "Refuse (black bin)" as
+// "General waste" is not a change; unrecognised wording is matched as it stands
+function binKey(bin) {
+  return classifyBin(bin).type || String(bin).trim();
+}
+
+// Returns Map<binKey, { bin, dates }>, bin being the council's wording
+function datesByBin(collections, from, until) {
+  const byBin = new Map();
+  for (const c of collections || []) {
+    if (c.localDate < from || c.localDate > until) continue;
+    for (const bin of c.bins || []) {
+      const key = binKey(bin);
+      if (!byBin.has(key)) byBin.set(key, { bin, dates: new Set() });
+      byBin.get(key).dates.add(c.localDate);
+    }
+  }
+  return byBin;
+}
+
+function lastDate(collections) {
+  return (collections || []).reduce((max, c) => (c.localDate > max ? c.localDate : max), '');
+}
+
+// Returns [{ kind: 'moved', bin, from, to } | { kind: 'removed', bin, from } | { kind: 'added', bin, to }]
+function diffSchedules(previous, next, today) {
+  const previousUntil = lastDate(previous);
+  const until = lastDate(next);
+  if (!previousUntil || !until || until < today) return [];
+
+  const before = datesByBin(previous, today, until);
+  const after = datesByBin(next, today, until);
+  const bins = Array.from(new Set([...before.keys(), ...after.keys()]));
+  const changes = [];
+
+  for (const key of bins) {
+    // Changes carry the current wording, or the old one for a bin no longer listed
+    const { bin } = after.get(key) || before.get(key);
+    const oldDates = before.get(key)?.dates || new Set();
+    const newDates = after.get(key)?.dates || new Set();
+    const removed = [...oldDates].filter(d => !newDates.has(d)).sort();
+    const added = [...newDates].filter(d => !oldDates.has(d)).sort();
+    // Pair removals with additions in date order: a bank holiday shifts each date along
+    const pairs = Math.min(removed.length, added.length);
+    for (let i = 0; i < pairs; i++) {
+      changes.push({ kind: 'moved', bin, from: removed[i], to: added[i] });
+    }
+    removed.slice(pairs).forEach(from => changes.push({ kind: 'removed', bin, from }));
+    added.slice(pairs)
+      .filter(to => to <= previousUntil)
+      .forEach(to => changes.push({ kind: 'added', bin, to }));
+  }
+
+  return changes.sort((a, b) => (a.from || a.to).localeCompare(b.from || b.to) || a.bin.localeCompare(b.bin));
+}
+
+module.exports = { diffSchedules };
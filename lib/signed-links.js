@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const { getServiceParameters } = require('./parameters');
+const { logger } = require('./logger');
+
+// Tokens are base64url(JSON payload) + "." + base64url(HMAC-SHA256), so links can be
+// verified without storing anything. Payloads carry an `act` naming the action they allow.
+
+const b64url = (buf) => Buffer.from(buf).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const fromB64url = (s) => Buffer.from(s.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+function sign(data, secret) {
+  return b64url(crypto.createHmac('sha256', secret).update(data).digest());
+}
+
+function signToken(payload, secret) {
+  const data = b64url(JSON.stringify(payload));
+  return `${data}.${sign(data, secret)}`;
+}
+
+// Returns the payload, or null when the signature, action or expiry does not check out
+function verifyToken(token, secret, act, now = Date.now()) {
+  const [data, signature] = String(token || '').split('.');
+  if (!data || !signature) return null;
+  const expected = Buffer.from(sign(data, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  let payload;
+  try {
+    payload = JSON.parse(fromB64url(data).toString('utf8'));
+  } catch (_) {
+    return null;
+  }
+  if (act && payload.act !== act) return null;
+  if (payload.exp && now > payload.exp * 1000) return null;
+  return payload;
+}
+
+let cachedSecret;
+
+async function getLinkSecret() {
+  if (cachedSecret !== undefined) return cachedSecret;
+  try {
+    const params = await getServiceParameters(['link-signing-secret']);
+    cachedSecret = params['link-signing-secret'] || process.env.LINK_SIGNING_SECRET || null;
+  } catch (error) {
+    logger.warn('Failed to fetch link signing secret from Parameter Store', { err: error });
+    // Fallback to environment variables for local development
+    cachedSecret = process.env.LINK_SIGNING_SECRET || null;
+  }
+  return cachedSecret;
+}
+
+// Returns link(path, payload) for the public links handler, or null when links are not configured
+async function createLinkBuilder() {
+  const baseUrl = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+  const secret = await getLinkSecret();
+  if (!baseUrl || !secret) return null;
+  return (pathname, payload) => `${baseUrl}${pathname}?token=${signToken(payload, secret)}`;
+}
+
+module.exports = { signToken, verifyToken, getLinkSecret, createLinkBuilder };
@@ -0,0 +1,284 @@
+const { DynamoDBClient, UpdateItemCommand, GetItemCommand } = require('@aws-sdk/client-dynamodb');
+const { DateTime } = require('luxon');
+
+const dynamo = new DynamoDBClient({});
+
+// Everything lives in the one state table keyed by addressHash; per-address
+// records other than the address item itself use "<addressHash>#<kind>#..." keys,
+// and per-recipient records use the recipient key in place of the addressHash.
+function stateKey(addressHash, ...parts) {
+  return [addressHash, ...parts].join('#');
+}
+
+// Reminder items live next to the address item, one per collection date and lookahead
+function reminderKey(addressHash, localDate, daysBefore) {
+  return stateKey(addressHash, 'notified', localDate, `${daysBefore}d`);
+}
+
+// Returns null when nothing was sent yet, else { deliveries: { [recipientKey]: { status, attempts, ... } }, legacy }.
+// Reminders recorded before per-recipient tracking only have notifiedAt and count as fully delivered.
+async function wasNotifiedForDate(addressHash, localDate, daysBefore = 1) {
+  const cmd = new GetItemCommand({
+    TableName: process.env.STATE_TABLE,
+    Key: { addressHash: { S: reminderKey(addressHash, localDate, daysBefore) } },
+    ProjectionExpression: 'notifiedAt, deliveries'
+  });
+  const res = await dynamo.send(cmd);
+  if (!res.Item) return null;
+  if (!res.Item.deliveries?.S) return { deliveries: {}, legacy: !!res.Item.notifiedAt?.S };
+  return { deliveries: JSON.parse(res.Item.deliveries.S), legacy: false };
+}
+
+async function markNotified(addressHash, localDate, daysBefore, snapshot, deliveries = {}) {
+  const nowIso = new Date().toISOString();
+  const expiresAt = Math.floor(DateTime.fromISO(localDate).plus({ days: 30 }).toSeconds());
+  await dynamo.send(new UpdateItemCommand({
+    TableName: process.env.STATE_TABLE,
+    Key: { addressHash: { S: reminderKey(addressHash, localDate, daysBefore) } },
+    UpdateExpression: 'SET notifiedAt = :u, localDate = :d, daysBefore = :b, deliveries = :r, expiresAt = :e',
+    ExpressionAttributeValues: {
+      ':u': { S: nowIso },
+      ':d': { S: localDate },
+      ':b': { N: String(daysBefore) },
+      ':r': { S: JSON.stringify(deliveries) },
+      ':e': { N: String(expiresAt) }
+    }
+  }));
+  const cmd = new UpdateItemCommand({
+    TableName: process.env.STATE_TABLE,
+    Key: { addressHash: { S: addressHash } },
+    UpdateExpression: 'SET lastNotifiedForLocalDate = :d, lastSnapshot = :s, updatedAt = :u',
+    ExpressionAttributeValues: {
+      ':d': { S: localDate },
+      ':s': { S: JSON.stringify(snapshot) },
+      ':u': { S: nowIso }
+    }
+  });
+  await dynamo.send(cmd);
+}
+
+async function getLastSnapshot(addressHash) {
+  const res = await dynamo.send(new GetItemCommand({
+    TableName: process.env.STATE_TABLE,
+    Key: { addressHash: { S: addressHash } },
+    ProjectionExpression: 'lastSnapshot, updatedAt'
+  }));
+  const raw = res.Item?.lastSnapshot?.S;
+  if (!raw) return null;
+  try {
+    const snapshot = JSON.parse(raw);
+    return Array.isArray(snapshot.collections) ? { scrapedAt: res.Item.updatedAt?.S, collections: snapshot.collections } : null;
+  } catch (_) {
+    // Snapshots written before the cache existed were truncated and may not parse
+    return null;
+  }
+}
+
+function scheduleKey(addressHash) {
+  return stateKey(addressHash, 'schedule');
+}
+
+async function getCachedSchedule(addressHash) {
+  const res = await dynamo.send(new GetItemCommand({
+    TableName: process.env.STATE_TABLE,
+    Key: { addressHash: { S: scheduleKey(addressHash) } }
+  }));
+  const item = res.Item;
+  if (!item?.scrapedAt?.S || !item.collections?.S) return null;
+  return {
+    scrapedAt: item.scrapedAt.S,
+    collections: JSON.parse(item.collections.S),
+    tableHtml: item.tableHtml?.S || null
+  };
+}
+
+async function saveCachedSchedule(addressHash, { collections, tableHtml }, scrapedAt = new Date().toISOString()) {
+  const values = {
+    ':s': { S: scrapedAt },
+    ':c': { S: JSON.stringify(collections) }
+  };
+  let expression = 'SET scrapedAt = :s, collections = :c';
+  if (tableHtml) {
+    expression += ', tableHtml = :t';
+    values[':t'] = { S: tableHtml };
+  } else {
+    expression += ' REMOVE tableHtml';
+  }
+  await dynamo.send(new UpdateItemCommand({
+    TableName: process.env.STATE_TABLE,
+    Key: { addressHash: { S: scheduleKey(addressHash) } },
+    UpdateExpression: expression,
+    ExpressionAttributeValues: values
+  }));
+}
+
+function alertKey(addressHash, stage) {
+  return stateKey(addressHash, 'alert', stage);
+}
+
+async function getLastAlertAt(addressHash, stage) {
+  const res = await dynamo.send(new GetItemCommand({
+    TableName: process.env.STATE_TABLE,
+    Key: { addressHash: { S: alertKey(addressHash, stage) } },
+    ProjectionExpression: 'alertedAt'
+  }));
+  return res.Item?.alertedAt?.S || null;
+}
+
+async function markAlerted(addressHash, stage, alertedAt, expiresAt) {
+  await dynamo.send(new UpdateItemCommand({
+    TableName: process.env.STATE_TABLE,
+    Key: { addressHash: { S: alertKey(addressHash, stage) } },
+    UpdateExpression: 'SET alertedAt = :a, expiresAt = :e',
+    ExpressionAttributeValues: {
+      ':a': { S: alertedAt },
+      ':e': { N: String(expiresAt) }
+    }
+  }));
+}
+
+function digestKey(recipientKey, week) {
+  return stateKey(recipientKey, 'digest', week);
+}
+
+async function wasDigestSent(recipientKey, week) {
+  const res = await dynamo.send(new GetItemCommand({
+    TableName: process.env.STATE_TABLE,
+    Key: { addressHash: { S: digestKey(recipientKey, week) } },
+    ProjectionExpression: 'sentAt'
+  }));
+  return !!res.Item?.sentAt?.S;
+}
+
+async function markDigestSent(recipientKey, week, sentAt, expiresAt) {
+  await dynamo.send(new UpdateItemCommand({
+    TableName: process.env.STATE_TABLE,
+    Key: { addressHash: { S: digestKey(recipientKey, week) } },
+    UpdateExpression: 'SET sentAt = :s, expiresAt = :e',
+    ExpressionAttributeValues: {
+      ':s': { S: sentAt },
+      ':e': { N: String(expiresAt) }
+    }
+  }));
+}
+
+// "Bins are out" acknowledgements, one per address and collection date. The first
+// one wins; the address item keeps the latest as lastDone for the next reminder.
+function doneKey(addressHash, localDate) {
+  return stateKey(addressHash, 'done', localDate);
+}
+
+// Returns { localDate, by, at } or null
+async function getAcknowledgement(addressHash, localDate) {
+  const res = await dynamo.send(new GetItemCommand({
+    TableName: process.env.STATE_TABLE,
+    Key: { addressHash: { S: doneKey(addressHash, localDate) } },
+    ProjectionExpression: 'doneAt, doneBy'
+  }));
+  if (!res.Item?.doneAt?.S) return null;
+  return { localDate, by: res.Item.doneBy?.S || '', at: res.Item.doneAt.S };
+}
+
+// Returns the acknowledgement that stands, with first: true when it is this one rather
+// than an earlier one for the same collection
+async function markAcknowledged(addressHash, localDate, by, at, expiresAt) {
+  try {
+    await dynamo.send(new UpdateItemCommand({
+      TableName: process.env.STATE_TABLE,
+      Key: { addressHash: { S: doneKey(addressHash, localDate) } },
+      UpdateExpression: 'SET doneAt = :a, doneBy = :b, expiresAt = :e',
+      ConditionExpression: 'attribute_not_exists(doneAt)',
+      ExpressionAttributeValues: {
+        ':a': { S: at },
+        ':b': { S: by },
+        ':e': { N: String(expiresAt) }
+      }
+    }));
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') throw error;
+    return { ...(await getAcknowledgement(addressHash, localDate)), first: false };
+  }
+  const done = { localDate, by, at };
+  await dynamo.send(new UpdateItemCommand({
+    TableName: process.env.STATE_TABLE,
+    Key: { addressHash: { S: addressHash } },
+    UpdateExpression: 'SET lastDone = :d',
+    ExpressionAttributeValues: { ':d': { S: JSON.stringify(done) } }
+  }));
+  return { ...done, first: true };
+}
+
+async function getLastAcknowledgement(addressHash) {
+  const res = await dynamo.send(new GetItemCommand({
+    TableName: process.env.STATE_TABLE,
+    Key: { addressHash: { S: addressHash } },
+    ProjectionExpression: 'lastDone'
+  }));
+  return res.Item?.lastDone?.S ? JSON.parse(res.Item.lastDone.S) : null;
+}
+
+// Counts one more event under key, e.g. requests in a day; returns the new count
+async function countEvent(key, expiresAt) {
+  const res = await dynamo.send(new UpdateItemCommand({
+    TableName: process.env.STATE_TABLE,
+    Key: { addressHash: { S: key } },
+    UpdateExpression: 'ADD #count :one SET expiresAt = if_not_exists(expiresAt, :e)',
+    ExpressionAttributeNames: { '#count': 'count' },
+    ExpressionAttributeValues: { ':one': { N: '1' }, ':e': { N: String(expiresAt) } },
+    ReturnValues: 'UPDATED_NEW'
+  }));
+  return Number(res.Attributes?.count?.N || 0);
+}
+
+function rotaKey(addressHash) {
+  return stateKey(addressHash, 'rota');
+}
+
+// Returns { rota, version }; rota is null before the first assignment
+async function getRota(addressHash) {
+  const res = await dynamo.send(new GetItemCommand({
+    TableName: process.env.STATE_TABLE,
+    Key: { addressHash: { S: rotaKey(addressHash) } },
+    ProjectionExpression: 'rota, version'
+  }));
+  return {
+    rota: res.Item?.rota?.S ? JSON.parse(res.Item.rota.S) : null,
+    version: Number(res.Item?.version?.N || 0)
+  };
+}
+
+// Writes only if nobody else saved since version was read; throws
+// ConditionalCheckFailedException otherwise
+async function saveRota(addressHash, rota, version) {
+  await dynamo.send(new UpdateItemCommand({
+    TableName: process.env.STATE_TABLE,
+    Key: { addressHash: { S: rotaKey(addressHash) } },
+    UpdateExpression: 'SET rota = :r, version = :n, updatedAt = :u',
+    ConditionExpression: version ? 'version = :v' : 'attribute_not_exists(version)',
+    ExpressionAttributeValues: {
+      ':r': { S: JSON.stringify(rota) },
+      ':n': { N: String(version + 1) },
+      ':u': { S: new Date().toISOString() },
+      ...(version ? { ':v': { N: String(version) } } : {})
+    }
+  }));
+}
+
+module.exports = {
+  stateKey,
+  wasNotifiedForDate,
+  markNotified,
+  getLastSnapshot,
+  getCachedSchedule,
+  saveCachedSchedule,
+  getLastAlertAt,
+  markAlerted,
+  wasDigestSent,
+  markDigestSent,
+  getAcknowledgement,
+  markAcknowledged,
+  getLastAcknowledgement,
+  getRota,
+  saveRota,
+  countEvent
+};
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const { DynamoDBClient, GetItemCommand, UpdateItemCommand, ScanCommand } = require('@aws-sdk/client-dynamodb');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+
+const dynamo = new DynamoDBClient({});
+
+// Self-service subscriptions: one item per (address, channel, recipient).
+// status is 'pending' until the confirm link is used, then 'active'; unsubscribing
+// sets 'unsubscribed', which also suppresses matching recipients from recipients.json.
+
+function addressHashOf(label) {
+  return crypto.createHash('sha256').update(label).digest('hex');
+}
+
+function subscriptionId(addressLabel, channel, to) {
+  return crypto.createHash('sha256').update(`${addressHashOf(addressLabel)}:${channel}:${to}`).digest('hex');
+}
+
+async function getSubscription(id) {
+  const res = await dynamo.send(new GetItemCommand({
+    TableName: process.env.SUBSCRIPTIONS_TABLE,
+    Key: marshall({ subscriptionId: id })
+  }));
+  return res.Item ? unmarshall(res.Item) : null;
+}
+
+async function saveSubscription({ addressLabel, channel, to, status, preferences, source }) {
+  const id = subscriptionId(addressLabel, channel, to);
+  const now = new Date().toISOString();
+  const values = {
+    ':a': addressLabel,
+    ':h': addressHashOf(addressLabel),
+    ':c': channel,
+    ':t': to,
+    ':s': status,
+    ':u': now,
+    ':src': source || 'self-service'
+  };
+  let expression = 'SET addressLabel = :a, addressHash = :h, channel = :c, recipient = :t, #status = :s, updatedAt = :u, createdAt = if_not_exists(createdAt, :u), #source = if_not_exists(#source, :src)';
+  if (preferences) {
+    expression += ', preferences = :p';
+    values[':p'] = preferences;
+  }
+  await dynamo.send(new UpdateItemCommand({
+    TableName: process.env.SUBSCRIPTIONS_TABLE,
+    Key: marshall({ subscriptionId: id }),
+    UpdateExpression: expression,
+    ExpressionAttributeNames: { '#status': 'status', '#source': 'source' },
+    ExpressionAttributeValues: marshall(values, { removeUndefinedValues: true })
+  }));
+  return id;
+}
+
+async function setSubscriptionStatus(id, status) {
+  await dynamo.send(new UpdateItemCommand({
+    TableName: process.env.SUBSCRIPTIONS_TABLE,
+    Key: marshall({ subscriptionId: id }),
+    UpdateExpression: 'SET #status = :s, updatedAt = :u',
+    ConditionExpression: 'attribute_exists(subscriptionId)',
+    ExpressionAttributeNames: { '#status': 'status' },
+    ExpressionAttributeValues: marshall({ ':s': status, ':u': new Date().toISOString() })
+  }));
+}
+
+async function listSubscriptions() {
+  const items = [];
+  let startKey;
+  do {
+    const res = await dynamo.send(new ScanCommand({
+      TableName: process.env.SUBSCRIPTIONS_TABLE,
+      ExclusiveStartKey: startKey
+    }));
+    items.push(...(res.Items || []).map(item => unmarshall(item)));
+    startKey = res.LastEvaluatedKey;
+  } while (startKey);
+  return items;
+}
+
+// Preferences come from the public form, so only the fields a subscriber may set
+// are passed on; the confirmed channel and recipient always win
+function subscriberPreferences(preferences) {
+  return Array.isArray(preferences?.binTypes) ? { binTypes: preferences.binTypes } : {};
+}
+
+// Folds stored subscriptions into config.addresses: active subscriptions add
+// recipients, unsubscribed ones remove them. Subscriptions for addresses no longer
+// in the file are ignored, since each address is scraped on every run.
+function mergeSubscriptions(addresses, subscriptions, normalizeRecipient) {
+  const byLabel = new Map(addresses.map(a => [a.label, { ...a, recipients: [...a.recipients] }]));
+  const optedOut = new Set(
+    subscriptions.filter(s => s.status === 'unsubscribed').map(s => s.subscriptionId)
+  );
+
+  for (const address of byLabel.values()) {
+    address.recipients = address.recipients.filter((r) => {
+      const { to, channel } = normalizeRecipient(r);
+      return !channel || !optedOut.has(subscriptionId(address.label, channel, to));
+    });
+  }
+
+  for (const sub of subscriptions.filter(s => s.status === 'active')) {
+    const address = byLabel.get(sub.addressLabel);
+    if (!address) continue;
+    const already = address.recipients.some((r) => {
+      const n = normalizeRecipient(r);
+      return n.to === sub.recipient && n.channel === sub.channel;
+    });
+    if (!already) {
+      address.recipients.push({ to: sub.recipient, channel: sub.channel, ...subscriberPreferences(sub.preferences) });
+    }
+  }
+
+  return Array.from(byLabel.values()).filter(a => a.recipients.length > 0);
+}
+
+module.exports = {
+  subscriptionId,
+  getSubscription,
+  saveSubscription,
+  setSubscriptionStatus,
+  listSubscriptions,
+  mergeSubscriptions
+};
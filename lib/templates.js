@@ -0,0 +1,147 @@
+// Reminder message templates. Placeholders are {{name}} (HTML-escaped in HTML
+// templates) or {{{name}}} (inserted as-is). {{#name}}...{{/name}} keeps its
+// content only when the value is non-empty, {{^name}}...{{/name}} only when it
+// is empty. A template line that renders to nothing is dropped, along with
+// the blank line it would leave behind.
+
+const PLACEHOLDERS = {
+  bins: 'bins being collected, e.g. "Refuse, Food waste"',
+  rawBins: 'bins as worded by the council, e.g. "Refuse (black bin), Food waste"',
+  chips: 'HTML colour chips for the bin types',
+  date: 'collection date, e.g. "11th September 2025"',
+  weekday: 'collection weekday, e.g. "Thursday"',
+  isoDate: 'collection date as YYYY-MM-DD',
+  when: 'relative day: "today", "tomorrow" or "on <date>"',
+  today: '"today" for a reminder on the collection day itself, otherwise empty',
+  label: 'address label',
+  suffix: 'notify.messageSuffix',
+  joke: 'dad joke of the day (may be empty)',
+  summary: 'rendered summary template',
+  done: 'who already put the bins out for this collection (may be empty)',
+  lastDone: 'who put the bins out for the previous collection (may be empty)',
+  rota: 'who is on bin duty, addressed to the recipient if it is them (may be empty)',
+  onDuty: '"yes" when the recipient is the rota member on duty, otherwise empty',
+  table: 'council results table HTML (may be empty)'
+};
+
+const DEFAULT_TEMPLATES = {
+  subject: '{{#onDuty}}Your turn: {{/onDuty}}{{bins}} collection {{#today}}today{{/today}}{{^today}}on {{date}}{{/today}} - {{label}}',
+  summary: 'Collection {{when}} for {{label}} ({{date}}): {{bins}}{{#rota}}. {{rota}}{{/rota}}{{#done}}. {{done}}{{/done}}',
+  text: [
+    '{{summary}}',
+    '',
+    '{{suffix}}',
+    '',
+    '{{lastDone}}',
+    '',
+    '{{#joke}}Dad joke of the day: {{joke}}{{/joke}}'
+  ].join('\n'),
+  html: [
+    '{{#onDuty}}<p style="padding:8px 12px;border-left:4px solid #f9a825;background:#fff8e1;font-size:16px"><strong>{{rota}}</strong></p>{{/onDuty}}',
+    '{{{chips}}}',
+    '{{^table}}<p>{{summary}}</p>{{/table}}',
+    '{{#table}}{{^onDuty}}{{#rota}}<p>{{rota}}</p>{{/rota}}{{/onDuty}}{{/table}}',
+    '{{#table}}{{#done}}<p><strong>{{done}}</strong></p>{{/done}}{{/table}}',
+    '{{{table}}}',
+    '{{#suffix}}<p>{{suffix}}</p>{{/suffix}}',
+    '{{#lastDone}}<p>{{lastDone}}</p>{{/lastDone}}',
+    '{{#joke}}<p><em>Dad joke of the day:</em> {{joke}}</p>{{/joke}}'
+  ].join('\n')
+};
+
+const TEMPLATE_NAMES = Object.keys(DEFAULT_TEMPLATES);
+
+const SECTION = /\{\{([#^])([\w.]+)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+// Stands in for a dropped section, so a line holding only that section counts as rendered-empty
+const DROPPED = '\u0000';
+const TAG = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g;
+
+// Safe in element content and in quoted attribute values
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function lookup(vars, name) {
+  if (name.startsWith('extras.')) return vars.extras?.[name.slice('extras.'.length)] ?? '';
+  return vars[name] ?? '';
+}
+
+function resolveSections(template, vars) {
+  let out = template;
+  let previous;
+  do {
+    previous = out;
+    out = out.replace(SECTION, (_, kind, name, body) => {
+      const present = String(lookup(vars, name)) !== '';
+      return (kind === '#') === present ? body : DROPPED;
+    });
+  } while (out !== previous);
+  return out;
+}
+
+function renderTemplate(template, vars, { html = false } = {}) {
+  const lines = resolveSections(template, vars).split('\n').map((line) => ({
+    blank: line.trim() === '',
+    text: line.split(DROPPED).join('').replace(TAG, (_, raw, escaped) => {
+      const value = String(lookup(vars, raw || escaped));
+      return html && !raw ? escapeHtml(value).replace(/\n/g, '<br>') : value;
+    })
+  }));
+  const kept = lines.filter(l => l.blank || l.text.trim() !== '');
+  const out = kept.filter((l, i) => !l.blank || (i > 0 && i < kept.length - 1 && !kept[i - 1].blank));
+  return out.map(l => l.text).join('\n').trim();
+}
+
+// Global templates, overridden field by field per address; extras are merged
+function resolveTemplates(config, address) {
+  const global = config.templates || {};
+  const own = address.templates || {};
+  return {
+    ...DEFAULT_TEMPLATES,
+    ...global,
+    ...own,
+    extras: { ...(global.extras || {}), ...(own.extras || {}) }
+  };
+}
+
+// Returns problem messages for one template; extras are checked once the
+// global and per-address extras are known (see validateConfig)
+function templateProblems(template, name) {
+  const problems = [];
+  let stripped = template;
+  let previous;
+  do {
+    previous = stripped;
+    stripped = stripped.replace(SECTION, (_, kind, section, body) => `${body}{{${section}}}`);
+  } while (stripped !== previous);
+  if (/\{\{[#^/]/.test(stripped)) {
+    problems.push('has an unclosed or mismatched {{#section}}');
+  }
+  for (const [, raw, escaped] of stripped.matchAll(TAG)) {
+    const placeholder = raw || escaped;
+    if (placeholder.startsWith('extras.')) continue;
+    if (!PLACEHOLDERS[placeholder]) {
+      problems.push(`uses unknown placeholder {{${placeholder}}}; known: ${Object.keys(PLACEHOLDERS).join(', ')}, extras.<name>`);
+    } else if (placeholder === 'summary' && name === 'summary') {
+      problems.push('cannot use {{summary}} inside the summary template');
+    }
+  }
+  return problems;
+}
+
+function extrasUsed(templates) {
+  const used = new Set();
+  for (const name of TEMPLATE_NAMES) {
+    for (const [, extra] of String(templates[name] || '').matchAll(/\{\{\{?\s*[#^/]?extras\.(\w+)/g)) {
+      used.add(extra);
+    }
+  }
+  return used;
+}
+
+module.exports = { DEFAULT_TEMPLATES, TEMPLATE_NAMES, PLACEHOLDERS, renderTemplate, resolveTemplates, templateProblems, extrasUsed, escapeHtml };
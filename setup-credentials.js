@@ -1,25 +1,23 @@
 #!/usr/bin/env node
 
 /**
- * Script to securely store Gmail credentials in AWS Parameter Store
+ * Script to securely store Gmail and SMS credentials and the link signing secret in AWS Parameter Store
  * 
  * Usage:
  *   node setup-credentials.js
  * 
- * This script will prompt you to enter your Gmail credentials and store them
+ * This script will prompt you to enter your credentials and store them
  * securely in AWS Systems Manager Parameter Store with encryption.
  */
 
-const { SSMClient, PutParameterCommand } = require('@aws-sdk/client-ssm');
+const { SSMClient, GetParametersCommand, PutParameterCommand } = require('@aws-sdk/client-ssm');
+const crypto = require('crypto');
 const readline = require('readline');
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
-
 const ssm = new SSMClient({ region: 'eu-west-2' });
 
+let rl;
+
 function askQuestion(question) {
   return new Promise((resolve) => {
     rl.question(question, resolve);
@@ -74,48 +72,75 @@ async function storeParameter(name, value, description) {
   }
 }
 
+// Leaving the secret blank keeps the stored one, since replacing it breaks every link already sent
+async function linkSigningSecret(serviceName, answer) {
+  if (answer) return answer;
+  const response = await ssm.send(new GetParametersCommand({
+    Names: [`/${serviceName}/link-signing-secret`],
+    WithDecryption: true
+  }));
+  if (response.Parameters?.length) return null;
+  console.log('Generated a new link signing secret.');
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Parameters to write, leaving out optional ones with no value
+function credentialParameters(serviceName, answers) {
+  const sms = [answers.smsAccountSid, answers.smsAuthToken, answers.smsFrom];
+  if (sms.some(Boolean) && !sms.every(Boolean)) {
+    throw new Error('SMS needs the account SID, auth token and sender number together; leave all three blank to skip SMS');
+  }
+  const parameters = [
+    { key: 'gmail-client-id', value: answers.clientId, description: 'Gmail OAuth2 Client ID for bin day notifications' },
+    { key: 'gmail-client-secret', value: answers.clientSecret, description: 'Gmail OAuth2 Client Secret for bin day notifications' },
+    { key: 'gmail-refresh-token', value: answers.refreshToken, description: 'Gmail OAuth2 Refresh Token for bin day notifications' },
+    { key: 'gmail-sender', value: answers.sender, description: 'Gmail sender email address for bin day notifications' },
+    { key: 'sms-account-sid', value: answers.smsAccountSid, description: 'SMS API account SID for bin day notifications', optional: true },
+    { key: 'sms-auth-token', value: answers.smsAuthToken, description: 'SMS API auth token for bin day notifications', optional: true },
+    { key: 'sms-from', value: answers.smsFrom, description: 'SMS sender number for bin day notifications', optional: true },
+    { key: 'link-signing-secret', value: answers.linkSigningSecret, description: 'Secret for signing subscribe/unsubscribe links', optional: true }
+  ];
+  return parameters
+    .filter(p => !p.optional || p.value)
+    .map(p => ({ name: `/${serviceName}/${p.key}`, value: p.value, description: p.description }));
+}
+
 async function main() {
-  console.log('Gmail Credentials Setup for AWS Parameter Store');
-  console.log('==============================================\n');
+  console.log('Credentials Setup for AWS Parameter Store');
+  console.log('========================================\n');
   
-  console.log('This script will securely store your Gmail OAuth2 credentials in AWS Parameter Store.');
+  console.log('This script will securely store your Gmail OAuth2 and SMS credentials in AWS Parameter Store.');
   console.log('Make sure you have AWS credentials configured and access to eu-west-2 region.\n');
   
   const serviceName = 'gravesham-bin-days';
   
+  rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
   try {
     const clientId = await askQuestion('Enter Gmail Client ID: ');
     const clientSecret = await askSecretQuestion('Enter Gmail Client Secret (hidden): ');
     const refreshToken = await askSecretQuestion('Enter Gmail Refresh Token (hidden): ');
     const sender = await askQuestion('Enter Gmail Sender Email: ');
+    const smsAccountSid = await askQuestion('Enter SMS Account SID (blank to skip SMS): ');
+    const smsAuthToken = smsAccountSid ? await askSecretQuestion('Enter SMS Auth Token (hidden): ') : '';
+    const smsFrom = smsAccountSid ? await askQuestion('Enter SMS Sender Number (e.g. +447700900000): ') : '';
+    const linkSecretAnswer = await askSecretQuestion('Enter link signing secret (hidden, blank to keep the current one or generate one): ');
+    const linkSigningSecretValue = await linkSigningSecret(serviceName, linkSecretAnswer);
     
     console.log('\nStoring credentials in Parameter Store...\n');
     
-    await storeParameter(
-      `/${serviceName}/gmail-client-id`,
-      clientId,
-      'Gmail OAuth2 Client ID for bin day notifications'
-    );
-    
-    await storeParameter(
-      `/${serviceName}/gmail-client-secret`, 
-      clientSecret,
-      'Gmail OAuth2 Client Secret for bin day notifications'
-    );
-    
-    await storeParameter(
-      `/${serviceName}/gmail-refresh-token`,
-      refreshToken,
-      'Gmail OAuth2 Refresh Token for bin day notifications'
-    );
-    
-    await storeParameter(
-      `/${serviceName}/gmail-sender`,
-      sender,
-      'Gmail sender email address for bin day notifications'
-    );
+    const parameters = credentialParameters(serviceName, {
+      clientId, clientSecret, refreshToken, sender, smsAccountSid, smsAuthToken, smsFrom,
+      linkSigningSecret: linkSigningSecretValue
+    });
+    for (const { name, value, description } of parameters) {
+      await storeParameter(name, value, description);
+    }
     
-    console.log('\n✅ All Gmail credentials stored successfully!');
+    console.log('\n✅ All credentials stored successfully!');
     console.log('\nYour credentials are now securely stored in AWS Parameter Store with encryption.');
     console.log('The Lambda function will fetch them automatically at runtime.');
     console.log('\nYou can now deploy your function with: npx serverless deploy');
@@ -131,3 +156,5 @@ async function main() {
 if (require.main === module) {
   main();
 }
+
+module.exports = { credentialParameters, linkSigningSecret };
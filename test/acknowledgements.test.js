@@ -0,0 +1,135 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { signToken, verifyToken } = require('../lib/signed-links');
+const { validateConfig } = require('../lib/config-schema');
+const { normalizeRecipient } = require('../lib/notifiers');
+const { getAcknowledgement, getLastAcknowledgement, markAcknowledged } = require('../lib/state');
+const { buildReminderMessage, doneLinks, resolveNotifySettings, subscriptions } = require('../handler');
+const { fakeDynamo, fakeParameters } = require('./helpers');
+
+const secret = 'test-secret';
+const links = (pathname, payload) => `https://links.example${pathname}?token=${signToken(payload, secret)}`;
+
+const base = {
+  label: '10 Example Road',
+  addressHash: 'abc123',
+  collections: [{ localDate: '2025-09-11', bins: ['Refuse (black bin)'] }],
+  localDate: '2025-09-11',
+  daysBefore: 0
+};
+
+describe('done links', () => {
+  const withDone = doneLinks(links, { label: '10 Example Road', localDate: '2025-09-11' });
+  const message = buildReminderMessage(base);
+
+  it('adds a signed link naming the recipient to emails', () => {
+    const out = withDone(normalizeRecipient({ to: 'sam@example.com', name: 'Sam' }), message);
+    const url = out.text.match(/Let everyone know: (\S+)/)[1];
+    assert.match(out.html, /Done - bins are out/);
+    const payload = verifyToken(new URL(url).searchParams.get('token'), secret, 'done', Date.parse('2025-09-12T22:00:00Z'));
+    assert.deepEqual({ a: payload.a, d: payload.d, b: payload.b }, { a: '10 Example Road', d: '2025-09-11', b: 'Sam' });
+    assert.equal(verifyToken(new URL(url).searchParams.get('token'), secret, 'done', Date.parse('2025-09-13T23:30:00Z')), null);
+  });
+
+  it('puts the link in webhook data and leaves SMS alone', () => {
+    const hook = withDone(normalizeRecipient('https://ha.example/hook'), message);
+    assert.match(hook.data.doneUrl, /^https:\/\/links\.example\/done\?token=/);
+    assert.equal(withDone(normalizeRecipient('+447700900001'), message), message);
+    assert.equal(doneLinks(null, { label: 'x', localDate: '2025-09-11' })(normalizeRecipient('a@example.com'), message), message);
+  });
+});
+
+describe('acknowledgement notes', () => {
+  it('renders who handled this and the last collection', () => {
+    const message = buildReminderMessage({
+      ...base,
+      done: 'Already handled - Sam put the bins out (Wed 7:42pm)',
+      lastDone: 'Last collection (Thu 4 Sep): bins put out by Alex.'
+    });
+    assert.match(message.summaryLine, /: Refuse\. Already handled - Sam put the bins out \(Wed 7:42pm\)$/);
+    assert.match(message.text, /Last collection \(Thu 4 Sep\): bins put out by Alex\./);
+    assert.match(message.html, /Refuse\. Already handled - Sam/);
+    const withTable = buildReminderMessage({ ...base, tableHtml: '<table></table>', done: 'Already handled - Sam put the bins out (Wed 7:42pm)' });
+    assert.match(withTable.html, /<strong>Already handled - Sam/);
+    assert.doesNotMatch(buildReminderMessage(base).text, /Already handled|Last collection/);
+  });
+
+  it('skips reminders after an acknowledgement unless set to note', () => {
+    assert.equal(resolveNotifySettings({}, {}).afterDone, 'skip');
+    assert.equal(resolveNotifySettings({ notify: { afterDone: 'note' } }, {}).afterDone, 'note');
+    const config = notify => ({ notify, addresses: [{ label: 'a', recipients: [{ to: 'sam@example.com', name: 'Sam' }] }] });
+    assert.deepEqual(validateConfig(config({ afterDone: 'note' })), []);
+    assert.deepEqual(validateConfig(config({ afterDone: 'ignore' })).map(e => e.path), ['$.notify.afterDone']);
+  });
+});
+
+describe('done route', () => {
+  const addressHash = crypto.createHash('sha256').update('10 Example Road').digest('hex');
+  const token = (by, exp = Math.floor(Date.now() / 1000) + 3600) => signToken({ act: 'done', a: '10 Example Road', d: '2025-09-11', b: by, exp }, secret);
+  const tap = (method, t) => subscriptions({ rawPath: '/done', requestContext: { http: { method } }, queryStringParameters: { token: t } });
+  let saved;
+
+  before(() => {
+    saved = process.env.STATE_TABLE;
+    process.env.STATE_TABLE = 'state';
+  });
+
+  after(() => {
+    if (saved === undefined) delete process.env.STATE_TABLE;
+    else process.env.STATE_TABLE = saved;
+  });
+
+  beforeEach(() => {
+    for (const level of ['log', 'warn', 'error']) mock.method(console, level, () => {});
+    fakeDynamo();
+    fakeParameters({ 'link-signing-secret': secret });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('shows a button on GET and records only on POST', async () => {
+    const page = await tap('GET', token('Sam'));
+    assert.equal(page.statusCode, 200);
+    assert.match(page.body, /<form method="post"><button type="submit">Done - bins are out<\/button>/);
+    assert.equal(await getAcknowledgement(addressHash, '2025-09-11'), null);
+
+    const res = await tap('POST', token('Sam'));
+    assert.equal(res.statusCode, 200);
+    assert.match(res.body, /Thanks/);
+    const ack = await getAcknowledgement(addressHash, '2025-09-11');
+    assert.equal(ack.by, 'Sam');
+    assert.deepEqual(await getLastAcknowledgement(addressHash), ack);
+  });
+
+  it('tells a second person who already did it', async () => {
+    await tap('POST', token('Sam'));
+    const res = await tap('POST', token('Alex'));
+    assert.equal(res.statusCode, 200);
+    assert.match(res.body, /Already done/);
+    assert.match(res.body, /Sam already put the bins out for Thursday 11 September/);
+    assert.equal((await getAcknowledgement(addressHash, '2025-09-11')).by, 'Sam');
+    assert.match((await tap('GET', token('Alex'))).body, /Sam already put the bins out/);
+  });
+
+  it('keeps the first press even when a second lands in the same millisecond', async () => {
+    const at = '2025-09-10T18:42:00.000Z';
+    const first = await markAcknowledged(addressHash, '2025-09-11', 'Sam', at, 0);
+    const second = await markAcknowledged(addressHash, '2025-09-11', 'Alex', at, 0);
+    assert.deepEqual(first, { localDate: '2025-09-11', by: 'Sam', at, first: true });
+    assert.deepEqual(second, { localDate: '2025-09-11', by: 'Sam', at, first: false });
+  });
+
+  it('rejects expired, tampered and other links', async () => {
+    const expired = token('Sam', Math.floor(Date.now() / 1000) - 60);
+    const other = signToken({ act: 'unsubscribe', a: '10 Example Road', d: '2025-09-11' }, secret);
+    for (const t of [expired, `${token('Sam')}x`, other, undefined]) {
+      for (const method of ['GET', 'POST']) {
+        assert.equal((await tap(method, t)).statusCode, 400);
+      }
+    }
+    assert.equal(await getAcknowledgement(addressHash, '2025-09-11'), null);
+  });
+});
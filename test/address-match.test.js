@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { selectAddressOption, scoreOption } = require('../lib/address-match');
+
+const options = [
+  { value: '100062311234', text: '10 Example Road, Gravesend, DA12 1AA' },
+  { value: '100062311235', text: '110 Example Road, Gravesend, DA12 1AB' },
+  { value: '100062399001', text: 'Flat 1, 10 Example Road, Gravesend, DA12 1AA' },
+  { value: '100062399002', text: 'Flat 2, 10 Example Road, Gravesend, DA12 1AA' }
+];
+
+const rejectsWith = (address, pattern, list = options) => assert.throws(
+  () => selectAddressOption(list, address),
+  (error) => error.stage === 'address-select' && pattern.test(error.message)
+);
+
+describe('selectAddressOption', () => {
+  it('never confuses house numbers that share digits', () => {
+    assert.equal(scoreOption('10 Example Road', '110 Example Road, Gravesend'), 0);
+    assert.equal(selectAddressOption(options, '10 Example Road').value, '100062311234');
+    assert.equal(selectAddressOption(options, '110 Example Road').value, '100062311235');
+  });
+
+  it('prefers the option without an unmentioned flat number, and picks a named flat', () => {
+    assert.equal(selectAddressOption(options, '10 Example Road, DA12 1AA').value, '100062311234');
+    assert.equal(selectAddressOption(options, 'Flat 2, 10 Example Road').value, '100062399002');
+  });
+
+  it('fails loudly when options tie, listing them as diagnostics', () => {
+    const flats = options.slice(2);
+    assert.throws(() => selectAddressOption(flats, '10 Example Road'), (error) => {
+      assert.equal(error.code, 'AMBIGUOUS_ADDRESS');
+      assert.equal(error.transient, false);
+      assert.deepEqual(error.diagnostics.candidates, [
+        'Flat 1, 10 Example Road, Gravesend, DA12 1AA (100062399001)',
+        'Flat 2, 10 Example Road, Gravesend, DA12 1AA (100062399002)'
+      ]);
+      return true;
+    });
+    rejectsWith('12 Example Road', /matches the label well enough/);
+  });
+
+  it('uses a pinned uprn or option text over the label', () => {
+    assert.equal(selectAddressOption(options, { label: 'Home', uprn: '100062399001' }).value, '100062399001');
+    assert.equal(selectAddressOption(options, { label: 'Home', optionText: 'flat 2 10 example road gravesend da12 1aa' }).value, '100062399002');
+    rejectsWith({ label: 'Home', uprn: '1' }, /No address option has uprn 1/);
+    rejectsWith({ label: 'Home', optionText: 'Flat 3, 10 Example Road' }, /configured optionText/);
+  });
+});
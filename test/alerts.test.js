@@ -0,0 +1,70 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const email = require('../lib/notifiers/email');
+const state = require('../lib/state');
+const { ScrapeError, isTransientError } = require('../lib/errors');
+const { buildScrapeAlert, sendScrapeAlert } = require('../lib/alerts');
+
+const failure = (overrides = {}) => ({
+  label: '10 Example Road',
+  addressHash: 'abc',
+  stage: 'results-table',
+  message: 'Results table did not render in time',
+  attempts: 2,
+  diagnostics: { pageUrl: 'https://council.example/form', textExcerpt: 'Please wait...', screenshotBase64: Buffer.from('png').toString('base64') },
+  ...overrides
+});
+
+describe('scrape error classification', () => {
+  it('retries slow-site stages but not a missing address', () => {
+    assert.equal(isTransientError(new ScrapeError(ScrapeError.STAGES.RESULTS_TABLE, 'slow')), true);
+    assert.equal(isTransientError(new ScrapeError(ScrapeError.STAGES.ADDRESS_SELECT, 'no options')), false);
+    assert.equal(isTransientError(new ScrapeError(ScrapeError.STAGES.ADDRESS_SELECT, 'lookup failed', { transient: true })), true);
+    assert.equal(isTransientError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+    assert.equal(isTransientError(new TypeError('bug')), false);
+  });
+});
+
+describe('scrape alerts', () => {
+  beforeEach(() => {
+    for (const level of ['log', 'warn', 'error']) mock.method(console, level, () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('lists stage, address and diagnostics with the screenshot attached', () => {
+    const alert = buildScrapeAlert([failure()]);
+    assert.equal(alert.subject, '⚠️ Bin days could not scrape 1 address');
+    assert.match(alert.text, /10 Example Road: results-table failed after 2 attempts - Results table did not render in time/);
+    assert.match(alert.text, /Page: https:\/\/council\.example\/form/);
+    assert.deepEqual(alert.attachments.map(a => [a.filename, a.content.toString()]), [['scrape-failure-1-results-table.png', 'png']]);
+  });
+
+  it('escapes council text in the HTML alert', () => {
+    const alert = buildScrapeAlert([failure({ label: 'Flat "A" & B', diagnostics: { textExcerpt: `<img src=x onerror='alert(1)'>` } })]);
+    assert.match(alert.html, /Flat &quot;A&quot; &amp; B/);
+    assert.match(alert.html, /<code>Page text: &lt;img src=x onerror=&#39;alert\(1\)&#39;&gt;<\/code>/);
+    assert.doesNotMatch(alert.html, /<img/);
+  });
+
+  it('leaves out failures alerted within minIntervalHours', async () => {
+    const now = new Date('2025-09-10T12:00:00Z');
+    const sent = [];
+    const marked = [];
+    mock.method(state, 'getLastAlertAt', async (hash) => (hash === 'abc' ? '2025-09-10T02:00:00.000Z' : null));
+    mock.method(state, 'markAlerted', async (hash, stage) => { marked.push(`${hash}#${stage}`); });
+    mock.method(email, 'send', async (to, message) => { sent.push([to, message.summaryLine]); });
+
+    const result = await sendScrapeAlert(
+      [failure(), failure({ label: '12 Example Road', addressHash: 'def', stage: 'session', diagnostics: null })],
+      { to: 'admin@example.com', minIntervalHours: 24 },
+      { now }
+    );
+
+    assert.deepEqual(result, { sent: true, alerted: 1, suppressed: 1 });
+    assert.deepEqual(sent, [['admin@example.com', 'Bin days could not scrape 1 address: 12 Example Road (session)']]);
+    assert.deepEqual(marked, ['def#session']);
+  });
+});
@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyBin, unknownBins, filterCollections } = require('../lib/bin-types');
+const { buildReminderMessage } = require('../handler');
+
+describe('classifyBin', () => {
+  it('maps council wording to canonical types', () => {
+    const types = ['Refuse (black bin)', 'Recycling   (blue bin)', 'Food waste', 'Garden waste', 'Glass recycling', 'Non-recyclable waste']
+      .map(raw => classifyBin(raw).type);
+    assert.deepEqual(types, ['refuse', 'recycling', 'food', 'garden', 'glass', 'refuse']);
+  });
+
+  it('keeps unknown wording verbatim', () => {
+    assert.deepEqual(classifyBin(' Textiles ').name, 'Textiles');
+    assert.deepEqual(unknownBins([{ localDate: '2025-09-11', bins: ['Refuse', 'Textiles'] }]), ['Textiles']);
+  });
+});
+
+describe('bin type filters', () => {
+  const collections = [
+    { localDate: '2025-09-11', bins: ['Refuse (black bin)', 'Garden waste'] },
+    { localDate: '2025-09-18', bins: ['Recycling (blue bin)'] }
+  ];
+
+  it('keeps only the wanted types and drops dates left empty', () => {
+    assert.deepEqual(filterCollections(collections, ['garden']), [{ localDate: '2025-09-11', bins: ['Garden waste'] }]);
+    assert.equal(filterCollections(collections, undefined), collections);
+  });
+
+  it('uses display names and colour chips in reminders', () => {
+    const message = buildReminderMessage({ label: '10 Example Road', collections, localDate: '2025-09-11', daysBefore: 1 });
+    assert.equal(message.summaryLine, 'Collection tomorrow for 10 Example Road (11th September 2025): Refuse, Garden waste');
+    assert.match(message.html, /^<p><span style="[^"]*background:#424242[^"]*">Refuse<\/span><span style="[^"]*background:#2e7d32/);
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const handler = require('../handler');
+const { main, formatTable } = require('../bin-days');
+
+function captureIo() {
+  const out = { stdout: '', stderr: '' };
+  return {
+    out,
+    io: {
+      stdout: { write: (s) => { out.stdout += s; } },
+      stderr: { write: (s) => { out.stderr += s; } }
+    }
+  };
+}
+
+describe('bin-days CLI', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('prints help and exits 0, or 2 on usage errors', async () => {
+    const help = captureIo();
+    assert.equal(await main(['--help'], help.io), 0);
+    assert.match(help.out.stdout, /lookup\s+Scrape the collections/);
+
+    const unknown = captureIo();
+    assert.equal(await main(['frobnicate'], unknown.io), 2);
+    assert.match(unknown.out.stderr, /Unknown command "frobnicate"/);
+
+    const missing = captureIo();
+    assert.equal(await main(['lookup', '--format', 'xml', '10 Example Road'], missing.io), 2);
+    assert.match(missing.out.stderr, /unsupported --format xml\n\nUsage: bin-days lookup/);
+
+    assert.equal(await main(['notify', '--bogus'], captureIo().io), 2);
+  });
+
+  it('formats collections as a table of display names', () => {
+    assert.equal(formatTable([
+      { localDate: '2025-09-11', bins: ['Refuse (black bin)', 'Food waste'] },
+      { localDate: '2025-09-18', bins: ['Recycling (blue bin)'] }
+    ]), [
+      'Date             Bins',
+      'Thu 11 Sep 2025  Refuse, Food waste',
+      'Thu 18 Sep 2025  Recycling',
+      ''
+    ].join('\n'));
+  });
+
+  it('runs notify as a forced handler run and exits 1 on failures', async () => {
+    const events = [];
+    mock.method(handler, 'daily', async (event) => {
+      events.push(event);
+      return {
+        statusCode: 200,
+        body: JSON.stringify({
+          dryRun: true,
+          previewDir: '/tmp/previews',
+          delivered: 1,
+          failed: 0,
+          scrapeFailures: [{ addressHash: 'abcdef0123456789', stage: 'timeout', error: 'too slow' }],
+          notifications: [{ kind: 'reminder', localDate: '2025-09-11', daysBefore: 1, delivered: ['a@example.com'], failed: [], subjects: ['Refuse collection on 11th September 2025 - Home'], previews: ['/tmp/previews/001-reminder-2025-09-11-1d-abcdef01-email.eml'] }]
+        })
+      };
+    });
+
+    const { io, out } = captureIo();
+    assert.equal(await main(['notify', '--address', 'Home', '--dry-run'], io), 1);
+    assert.deepEqual(events, [{ forceNotify: true, address: 'Home', dryRun: true, previewDir: 'previews' }]);
+    assert.equal(out.stdout, [
+      '○ reminder for 2025-09-11 (1d before): 1 composed, 0 failed - Refuse collection on 11th September 2025 - Home',
+      'Wrote 1 preview to /tmp/previews',
+      ''
+    ].join('\n'));
+    assert.equal(out.stderr, '✗ abcdef012345: timeout - too slow\n');
+  });
+});
@@ -0,0 +1,95 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const gravesham = require('../lib/providers/gravesham');
+const { saveCachedSchedule } = require('../lib/state');
+const { collections } = require('../handler');
+const { fakeDynamo } = require('./helpers');
+
+const label = '10 Example Road, DA12 1AA';
+const addressHash = crypto.createHash('sha256').update(label).digest('hex');
+const schedule = [
+  { localDate: '2025-09-11', bins: ['Refuse (black bin)', 'Food waste'] },
+  { localDate: '2025-09-18', bins: ['Recycling (blue bin)'] }
+];
+
+const lookup = (query, method = 'GET') => collections({ requestContext: { http: { method } }, queryStringParameters: query });
+
+describe('collections API', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bin-days-collections-'));
+  const ENV = { STATE_TABLE: 'state', CONFIG_PATH: path.join(dir, 'recipients.json') };
+  let saved;
+
+  before(() => {
+    saved = Object.fromEntries(Object.keys(ENV).map(k => [k, process.env[k]]));
+    Object.assign(process.env, ENV);
+    fs.writeFileSync(ENV.CONFIG_PATH, JSON.stringify({ timezone: 'Europe/London', addresses: [{ label, recipients: ['a@example.com'] }] }));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  });
+
+  beforeEach(() => {
+    for (const level of ['log', 'warn', 'error']) mock.method(console, level, () => {});
+    fakeDynamo();
+    mock.method(gravesham, 'fetchCollections', async () => { throw new Error('the public API must not scrape'); });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('serves the cached schedule as JSON without scraping', async () => {
+    await saveCachedSchedule(addressHash, { collections: schedule, tableHtml: '<table></table>' }, '2025-09-10T17:00:00.000Z');
+    const res = await lookup({ address: ' 10 example road, da12 1aa' });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['Content-Type'], 'application/json');
+    assert.deepEqual(JSON.parse(res.body), {
+      address: label,
+      addressHash,
+      timezone: 'Europe/London',
+      fetchedAt: '2025-09-10T17:00:00.000Z',
+      collections: schedule
+    });
+    assert.equal(gravesham.fetchCollections.mock.callCount(), 0);
+  });
+
+  it('serves the same schedule as an iCalendar feed', async () => {
+    await saveCachedSchedule(addressHash, { collections: schedule });
+    const res = await lookup({ address: label, format: 'ICS' });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['Content-Type'], 'text/calendar; charset=utf-8');
+    assert.match(res.body, /^BEGIN:VCALENDAR\r\n/);
+    assert.equal(res.body.match(/BEGIN:VEVENT/g).length, 2);
+    assert.match(res.body, /DTSTART;VALUE=DATE:20250911/);
+  });
+
+  it('asks to retry when the daily run has not cached the address yet', async () => {
+    const res = await lookup({ address: label });
+    assert.equal(res.statusCode, 503);
+    assert.equal(res.headers['Retry-After'], '3600');
+    assert.equal(gravesham.fetchCollections.mock.callCount(), 0);
+  });
+
+  it('rejects bad requests and unknown addresses', async () => {
+    const cases = [
+      [{ address: label }, 'POST', 405],
+      [{}, 'GET', 400],
+      [{ address: label, format: 'xml' }, 'GET', 400],
+      [{ address: '99 Nowhere Lane' }, 'GET', 404]
+    ];
+    for (const [query, method, status] of cases) {
+      const res = await lookup(query, method);
+      assert.equal(res.statusCode, status, `${method} ${JSON.stringify(query)}`);
+      assert.equal(typeof JSON.parse(res.body).error, 'string');
+    }
+  });
+});
@@ -0,0 +1,38 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { mapWithConcurrency, withTimeout } = require('../lib/concurrency');
+
+const delay = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe('mapWithConcurrency', () => {
+  it('keeps at most `limit` calls in flight and returns results in input order', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([30, 5, 20, 1, 10], 2, async (ms, i) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await delay(ms);
+      inFlight--;
+      return i;
+    });
+    assert.equal(peak, 2);
+    assert.deepEqual(results, [0, 1, 2, 3, 4]);
+  });
+});
+
+describe('withTimeout', () => {
+  it('aborts a hung task without holding up the others', async () => {
+    let abortedWith = null;
+    const hung = (signal) => new Promise(() => {
+      signal.addEventListener('abort', () => { abortedWith = signal.reason; });
+    });
+    const quick = async () => 'done';
+
+    const results = await mapWithConcurrency([hung, quick], 2, task =>
+      withTimeout(task, 20, () => new Error('timed out')).catch(error => error.message)
+    );
+
+    assert.deepEqual(results, ['timed out', 'done']);
+    assert.equal(abortedWith.message, 'timed out');
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateConfig } = require('../lib/config-schema');
+
+const valid = {
+  timezone: 'Europe/London',
+  notify: { atLocalTime: '18:00', daysLookahead: [2, 1] },
+  addresses: [{ label: '10 Example Road', recipients: ['someone@example.com', { to: '+447700900001', binTypes: ['garden'] }] }]
+};
+
+describe('validateConfig', () => {
+  it('accepts a valid config', () => {
+    assert.deepEqual(validateConfig(valid), []);
+  });
+
+  it('reports every problem at once, each with its JSON path', () => {
+    const problems = validateConfig({
+      timezone: 'Europe/Londn',
+      notify: { atLocalTime: '25:00', daysLookahed: 2 },
+      addresses: [{ label: '', recipients: [] }, { recipients: ['not-an-address'] }]
+    });
+    assert.deepEqual(problems, [
+      { path: '$.timezone', message: 'must be an IANA timezone such as "Europe/London", got "Europe/Londn"' },
+      { path: '$.notify.atLocalTime', message: 'must be a 24h "HH:mm" time, got "25:00"' },
+      { path: '$.notify.daysLookahed', message: 'is not a supported field (did you mean "daysLookahead"?)' },
+      { path: '$.addresses[0].label', message: 'must not be empty' },
+      { path: '$.addresses[0].recipients', message: 'must contain at least 1 item' },
+      { path: '$.addresses[1].label', message: 'is required' },
+      { path: '$.addresses[1].recipients[0]', message: '"not-an-address" is not an email address, phone number or webhook URL' }
+    ]);
+  });
+
+  it('only takes IANA timezone names', () => {
+    for (const timezone of ['Europe/London', 'America/New_York', 'UTC']) {
+      assert.deepEqual(validateConfig({ ...valid, timezone }), [], timezone);
+    }
+    for (const timezone of ['London', 'Mars/Olympus', 'Europe/Londn', 1]) {
+      assert.deepEqual(validateConfig({ ...valid, timezone }).map(e => e.path), ['$.timezone'], String(timezone));
+    }
+  });
+
+  it('requires addresses, each with a label and recipients', () => {
+    assert.deepEqual(validateConfig({}), [{ path: '$.addresses', message: 'is required' }]);
+    assert.deepEqual(validateConfig({ addresses: [] }), [{ path: '$.addresses', message: 'must contain at least 1 item' }]);
+    assert.deepEqual(validateConfig({ addresses: [{}] }), [
+      { path: '$.addresses[0].label', message: 'is required' },
+      { path: '$.addresses[0].recipients', message: 'is required' }
+    ]);
+    assert.deepEqual(validateConfig(null), [{ path: '$', message: 'must be an object, got null' }]);
+  });
+
+  it('rejects two addresses with the same label', () => {
+    const config = { addresses: [valid.addresses[0], { ...valid.addresses[0], label: ' 10 Example Road ' }] };
+    assert.deepEqual(validateConfig(config), [{ path: '$.addresses[1].label', message: 'duplicates $.addresses[0].label' }]);
+  });
+});
+
+describe('validate-config', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bin-days-validate-'));
+  const script = path.join(__dirname, '..', 'validate-config.js');
+  const run = file => spawnSync(process.execPath, [script, file], { encoding: 'utf-8', timeout: 30000 });
+
+  before(() => {
+    fs.writeFileSync(path.join(dir, 'valid.json'), JSON.stringify(valid));
+    fs.writeFileSync(path.join(dir, 'invalid.json'), JSON.stringify({ timezone: 'London', addresses: [{ recipients: [] }] }));
+    fs.writeFileSync(path.join(dir, 'broken.json'), '{ "addresses": [');
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('exits 0 for a valid file', () => {
+    const res = run(path.join(dir, 'valid.json'));
+    assert.equal(res.status, 0, res.stderr);
+    assert.match(res.stdout, /✓ .*valid\.json is valid \(1 addresses\)/);
+  });
+
+  it('exits 1 listing every problem', () => {
+    const res = run(path.join(dir, 'invalid.json'));
+    assert.equal(res.status, 1);
+    assert.equal(res.stderr, [
+      `✗ ${path.join(dir, 'invalid.json')} has 3 problems:`,
+      '  $.timezone: must be an IANA timezone such as "Europe/London", got "London"',
+      '  $.addresses[0].label: is required',
+      '  $.addresses[0].recipients: must contain at least 1 item',
+      ''
+    ].join('\n'));
+  });
+
+  it('exits 1 for a file that is not JSON or cannot be read', () => {
+    const broken = run(path.join(dir, 'broken.json'));
+    assert.equal(broken.status, 1);
+    assert.match(broken.stderr, /has 1 problem:\n {2}\$: is not valid JSON/);
+
+    const missing = run(path.join(dir, 'missing.json'));
+    assert.equal(missing.status, 1);
+    assert.match(missing.stderr, /^✗ /);
+  });
+});
@@ -0,0 +1,185 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { DateTime, Settings } = require('luxon');
+const email = require('../lib/notifiers/email');
+const sms = require('../lib/notifiers/sms');
+const gravesham = require('../lib/providers/gravesham');
+const { saveCachedSchedule, markAcknowledged } = require('../lib/state');
+const { ScrapeError } = require('../lib/errors');
+const { daily } = require('../handler');
+const { fakeDynamo, fakeParameters } = require('./helpers');
+
+const label = '10 Example Road';
+const addressHash = crypto.createHash('sha256').update(label).digest('hex');
+const schedule = [
+  { localDate: '2025-09-11', bins: ['Refuse (black bin)'] },
+  { localDate: '2025-09-18', bins: ['Recycling (blue bin)'] }
+];
+
+describe('daily runs', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bin-days-daily-'));
+  const ENV = { STATE_TABLE: 'state', CONFIG_PATH: path.join(dir, 'recipients.json') };
+  let saved;
+  let sent;
+  // Sends to these recipients fail, as an invalid number would
+  let failing;
+
+  const writeConfig = address => fs.writeFileSync(ENV.CONFIG_PATH, JSON.stringify({
+    timezone: 'Europe/London',
+    addresses: [{ label, ...address }]
+  }));
+
+  // Runs the handler as the hourly schedule would at the given London time
+  async function runAt(localTime) {
+    const at = DateTime.fromISO(localTime, { zone: 'Europe/London' });
+    Settings.now = () => at.toMillis();
+    await saveCachedSchedule(addressHash, { collections: schedule }, at.minus({ hours: 1 }).toUTC().toISO());
+    const res = await daily({}, { awsRequestId: `run-${localTime}` });
+    assert.equal(res.statusCode, 200);
+    return JSON.parse(res.body);
+  }
+
+  before(() => {
+    saved = Object.fromEntries(Object.keys(ENV).map(k => [k, process.env[k]]));
+    Object.assign(process.env, ENV);
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  });
+
+  beforeEach(() => {
+    for (const level of ['log', 'warn', 'error']) mock.method(console, level, () => {});
+    fakeDynamo();
+    fakeParameters({});
+    sent = [];
+    failing = new Set();
+    const send = async (to, message) => {
+      if (failing.has(to)) throw new Error('Invalid number');
+      sent.push({ to, subject: message.subject, summaryLine: message.summaryLine });
+    };
+    mock.method(email, 'send', send);
+    mock.method(sms, 'send', send);
+    mock.method(axios, 'get', async () => ({ data: { joke: 'A joke' } }));
+    mock.method(gravesham, 'fetchCollections', async () => { throw new Error('the cached schedule should be used'); });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    Settings.now = () => Date.now();
+  });
+
+  it('sends again on the next run only to recipients whose send failed', async () => {
+    writeConfig({ recipients: ['a@example.com', '+447700900001'], notify: { atLocalTime: '18:00' } });
+    failing.add('+447700900001');
+
+    const first = await runAt('2025-09-10T18:05');
+    assert.deepEqual(sent.map(s => s.to), ['a@example.com']);
+    assert.deepEqual([first.delivered, first.failed], [1, 1]);
+
+    sent = [];
+    failing.clear();
+    const second = await runAt('2025-09-10T19:05');
+    assert.deepEqual(sent.map(s => s.to), ['+447700900001']);
+    assert.deepEqual([second.delivered, second.failed], [1, 0]);
+
+    sent = [];
+    await runAt('2025-09-10T20:05');
+    assert.deepEqual(sent, []);
+  });
+
+  it('sends the day-before and same-day reminders once each', async () => {
+    writeConfig({
+      recipients: ['a@example.com'],
+      notify: { reminders: [{ daysBefore: 1, atLocalTime: '12:00' }, { daysBefore: 0, atLocalTime: '06:30', messageSuffix: 'Put the bins out now' }] }
+    });
+
+    for (const time of ['2025-09-10T12:05', '2025-09-10T13:05', '2025-09-11T06:35', '2025-09-11T07:35', '2025-09-11T12:05']) {
+      await runAt(time);
+    }
+    assert.deepEqual(sent.map(s => [s.to, s.summaryLine]), [
+      ['a@example.com', 'Collection tomorrow for 10 Example Road (11th September 2025): Refuse'],
+      ['a@example.com', 'Collection today for 10 Example Road (11th September 2025): Refuse']
+    ]);
+  });
+
+  it('stops scraping in time to report failures before the function times out', async () => {
+    fs.writeFileSync(ENV.CONFIG_PATH, JSON.stringify({
+      timezone: 'Europe/London',
+      notify: { atLocalTime: '18:00' },
+      scrape: { concurrency: 1 },
+      addresses: [{ label: '1 Slow Road', recipients: ['a@example.com'] }, { label: '2 Later Road', recipients: ['b@example.com'] }]
+    }));
+    let clock = DateTime.fromISO('2025-09-10T18:05', { zone: 'Europe/London' }).toMillis();
+    mock.method(Date, 'now', () => clock);
+    Settings.now = () => clock;
+    // The first scrape uses up most of the run before failing in a way worth retrying
+    gravesham.fetchCollections.mock.mockImplementation(async () => {
+      clock += 135 * 1000;
+      throw new ScrapeError(ScrapeError.STAGES.RESULTS_TABLE, 'Results table did not render in time');
+    });
+
+    const res = await daily({}, { awsRequestId: 'slow', getRemainingTimeInMillis: () => 200 * 1000 });
+    const summary = JSON.parse(res.body);
+
+    assert.equal(gravesham.fetchCollections.mock.callCount(), 1);
+    assert.deepEqual(summary.scrapeFailures.map(f => [f.stage, f.attempts, f.error]), [
+      ['results-table', 1, 'Results table did not render in time'],
+      ['timeout', 0, 'The run ran out of time before this address could be scraped']
+    ]);
+    assert.deepEqual(sent, []);
+  });
+
+  it('scrapes for the digest when the cache does not reach the end of its weeks', async () => {
+    fs.writeFileSync(ENV.CONFIG_PATH, JSON.stringify({
+      timezone: 'Europe/London',
+      digest: { enabled: true, weeks: 2 },
+      addresses: [{ label, recipients: ['a@example.com'] }]
+    }));
+    const at = DateTime.fromISO('2025-09-07T18:00', { zone: 'Europe/London' });
+    Settings.now = () => at.toMillis();
+    // Enough for the day-before reminder, but not for a fortnight
+    await saveCachedSchedule(addressHash, { collections: [{ localDate: '2025-09-08', bins: ['Refuse (black bin)'] }] }, at.minus({ hours: 1 }).toUTC().toISO());
+    gravesham.fetchCollections.mock.mockImplementation(async () => ({ collections: [{ localDate: '2025-09-08', bins: ['Refuse (black bin)'] }, { localDate: '2025-09-15', bins: ['Recycling (blue bin)'] }] }));
+
+    await daily({ mode: 'digest' }, { awsRequestId: 'digest' });
+
+    assert.equal(gravesham.fetchCollections.mock.callCount(), 1);
+    assert.equal(sent.length, 1);
+    assert.match(sent[0].summaryLine, /15 Sep/);
+  });
+
+  describe('after the bins are marked as out', () => {
+    const reminders = [{ daysBefore: 1, atLocalTime: '12:00' }, { daysBefore: 0, atLocalTime: '06:30' }];
+    const markDone = () => markAcknowledged(addressHash, '2025-09-11', 'Sam', '2025-09-10T18:42:00.000Z', 0);
+
+    it('skips the later reminders by default', async () => {
+      writeConfig({ recipients: ['a@example.com'], notify: { reminders } });
+      await runAt('2025-09-10T12:05');
+      await markDone();
+      const morning = await runAt('2025-09-11T06:35');
+      assert.equal(sent.length, 1);
+      assert.deepEqual(morning.notifications, []);
+    });
+
+    it('sends them with a note when afterDone is note', async () => {
+      writeConfig({ recipients: ['a@example.com'], notify: { reminders, afterDone: 'note' } });
+      await runAt('2025-09-10T12:05');
+      await markDone();
+      await runAt('2025-09-11T06:35');
+      assert.deepEqual(sent.map(s => s.summaryLine), [
+        'Collection tomorrow for 10 Example Road (11th September 2025): Refuse',
+        'Collection today for 10 Example Road (11th September 2025): Refuse. Already handled - Sam put the bins out (Wed 7:42pm)'
+      ]);
+    });
+  });
+});
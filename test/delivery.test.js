@@ -0,0 +1,122 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const email = require('../lib/notifiers/email');
+const sms = require('../lib/notifiers/sms');
+const { sendToRecipients, recordOutcome } = require('../handler');
+const { fakeParameters } = require('./helpers');
+
+// Shaped like an axios error for a request the server answered with status
+function httpError(status, message) {
+  return Object.assign(new Error(message), { request: {}, response: { status } });
+}
+
+describe('sendToRecipients', () => {
+  const message = { subject: 'Refuse collection', text: 'Collection tomorrow', summaryLine: 'Collection tomorrow' };
+
+  beforeEach(() => {
+    for (const level of ['log', 'warn', 'error']) mock.method(console, level, () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('retries transient failures and reports delivered and failed recipients', async () => {
+    let emailCalls = 0;
+    mock.method(email, 'send', async () => {
+      emailCalls++;
+      if (emailCalls === 1) throw httpError(503, '503 from Gmail');
+    });
+    mock.method(sms, 'send', async () => {
+      throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    });
+
+    const outcome = await sendToRecipients(['a@example.com', '+447700900001'], message, { retryDelayMs: 1 });
+
+    assert.deepEqual(outcome.delivered.map(d => [d.recipient.to, d.attempts]), [['a@example.com', 2]]);
+    assert.deepEqual(outcome.failed.map(f => [f.recipient.to, f.attempts, f.error.message]), [['+447700900001', 3, 'socket hang up']]);
+  });
+
+  it('retries throttling but gives up at once on permanent failures', async () => {
+    const errors = [httpError(429, 'Too many requests'), httpError(400, 'Invalid number')];
+    mock.method(sms, 'send', async () => { throw errors.shift() || new Error('sent too often'); });
+    mock.method(email, 'send', async () => { throw new Error('Unknown webhook format: xml'); });
+
+    const outcome = await sendToRecipients(['+447700900001', 'a@example.com'], message, { retryDelayMs: 1 });
+
+    assert.equal(sms.send.mock.callCount(), 2);
+    assert.equal(email.send.mock.callCount(), 1);
+    assert.deepEqual(outcome.failed.map(f => [f.recipient.to, f.attempts, f.error.message]), [['+447700900001', 2, 'Invalid number'], ['a@example.com', 1, 'Unknown webhook format: xml']]);
+  });
+
+  it('fails rather than reporting delivery when credentials are missing', async () => {
+    fakeParameters({ 'gmail-client-id': 'id', 'sms-account-sid': 'sid' });
+
+    const outcome = await sendToRecipients(['a@example.com', '+447700900001'], message, { retryDelayMs: 1 });
+
+    assert.deepEqual(outcome.delivered, []);
+    assert.deepEqual(outcome.failed.map(f => [f.recipient.to, f.attempts, f.error.message]), [
+      ['a@example.com', 1, 'Gmail credentials are not configured: missing clientSecret, refreshToken, sender'],
+      ['+447700900001', 1, 'SMS credentials are not configured: missing authToken, from']
+    ]);
+  });
+
+  it('skips recipients that were already delivered', async () => {
+    const sent = [];
+    mock.method(email, 'send', async (to) => { sent.push(to); });
+
+    const outcome = await sendToRecipients(['a@example.com', 'b@example.com'], message, {
+      skip: (r) => r.to === 'a@example.com',
+      retryDelayMs: 1
+    });
+
+    assert.deepEqual(sent, ['b@example.com']);
+    assert.deepEqual(outcome.skipped.map(r => r.to), ['a@example.com']);
+  });
+
+  it('personalizes each message before sending', async () => {
+    const sent = [];
+    mock.method(email, 'send', async (to, m) => { sent.push([to, m.headers?.['List-Unsubscribe']]); });
+    mock.method(sms, 'send', async (to, m) => { sent.push([to, m.headers?.['List-Unsubscribe']]); });
+
+    await sendToRecipients(['a@example.com', '+447700900001'], message, {
+      personalize: (r, m) => (r.channel === 'email' ? { ...m, headers: { 'List-Unsubscribe': `<https://x/${r.to}>` } } : m),
+      retryDelayMs: 1
+    });
+
+    assert.deepEqual(sent, [['a@example.com', '<https://x/a@example.com>'], ['+447700900001', undefined]]);
+  });
+
+  it('composes but does not send in a dry run', async () => {
+    mock.method(email, 'send', async () => { throw new Error('should not send'); });
+
+    const outcome = await sendToRecipients(['a@example.com'], message, {
+      personalize: (r, m) => ({ ...m, subject: `${m.subject} for ${r.to}` }),
+      dryRun: true
+    });
+
+    assert.equal(email.send.mock.callCount(), 0);
+    assert.deepEqual(outcome.delivered.map(d => [d.recipient.to, d.attempts, d.subject]), [['a@example.com', 0, 'Refuse collection for a@example.com']]);
+  });
+});
+
+describe('recordOutcome', () => {
+  it('names recipients by key, never by address or webhook URL', () => {
+    const summary = { delivered: 0, failed: 0, notifications: [] };
+    const webhook = { to: 'https://hooks.example/T000/B000/secret-token', channel: 'webhook' };
+    recordOutcome(summary, { kind: 'reminder', localDate: '2025-09-11' }, {
+      delivered: [{ recipient: { to: 'a@example.com', channel: 'email' }, attempts: 1 }],
+      failed: [{ recipient: webhook, attempts: 1, error: new Error('Request failed with status code 404') }],
+      skipped: [{ to: '+447700900001', channel: 'sms' }]
+    });
+
+    assert.equal(summary.delivered, 1);
+    assert.equal(summary.failed, 1);
+    const [notification] = summary.notifications;
+    assert.doesNotMatch(JSON.stringify(notification), /example\.com|secret-token|7700900001/);
+    assert.match(notification.delivered[0], /^[0-9a-f]{16}$/);
+    assert.deepEqual(notification.failed, [{ recipient: notification.failed[0].recipient, channel: 'webhook', error: 'Request failed with status code 404' }]);
+    assert.notEqual(notification.failed[0].recipient, notification.delivered[0]);
+    assert.equal(notification.skipped.length, 1);
+  });
+});
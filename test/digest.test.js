@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DateTime } = require('luxon');
+const { digestWeek, digestWindow, digestRecipients, buildDigestMessage } = require('../lib/digest');
+const { validateConfig } = require('../lib/config-schema');
+
+const now = DateTime.fromISO('2025-09-07T18:00:00', { zone: 'Europe/London' });
+const range = digestWindow(now, 2);
+
+const schedule = (label, collections, error = null) => ({
+  address: { label, recipients: [] },
+  addressHash: `hash-${label.split(' ')[0]}`,
+  result: error ? null : { collections },
+  error
+});
+
+describe('digest window', () => {
+  it('covers N weeks from the send day, keyed by ISO week', () => {
+    assert.deepEqual(range, { from: '2025-09-07', until: '2025-09-20' });
+    assert.equal(digestWeek(now), '2025-W36');
+  });
+});
+
+describe('digestRecipients', () => {
+  const home = schedule('10 Example Road', [
+    { localDate: '2025-09-04', bins: ['Refuse'] },
+    { localDate: '2025-09-18', bins: ['Recycling (blue bin)', 'Garden waste'] },
+    { localDate: '2025-09-11', bins: ['Refuse (black bin)', 'Food waste'] },
+    { localDate: '2025-09-25', bins: ['Refuse'] }
+  ]);
+  home.address.recipients = ['a@example.com', { to: '+447700900001', binTypes: ['garden'] }, { to: 'b@example.com', digest: false }];
+  const flat = schedule('2 Other Street', null, new Error('timeout'));
+  flat.address.recipients = ['a@example.com'];
+
+  it('groups addresses per recipient and applies their filters', () => {
+    const recipients = digestRecipients([home, flat], range);
+    assert.deepEqual(recipients.map(r => [r.recipient.to, r.sections.map(s => s.label)]), [
+      ['a@example.com', ['10 Example Road', '2 Other Street']],
+      ['+447700900001', ['10 Example Road']]
+    ]);
+    assert.deepEqual(recipients[0].sections[0].collections.map(c => c.localDate), ['2025-09-11', '2025-09-18']);
+    assert.equal(recipients[0].sections[1].collections, null);
+    assert.deepEqual(recipients[1].sections[0].collections, [{ localDate: '2025-09-18', bins: ['Garden waste'] }]);
+  });
+});
+
+describe('buildDigestMessage', () => {
+  const sections = [
+    {
+      label: '10 Example Road',
+      collections: [
+        { localDate: '2025-09-11', bins: ['Refuse (black bin)', 'Food waste'] },
+        { localDate: '2025-09-18', bins: ['Recycling (blue bin)'] }
+      ]
+    },
+    { label: '2 Other Street', collections: null }
+  ];
+
+  it('lists dates per address in the text and summary line', () => {
+    const message = buildDigestMessage({ sections, ...range, weeks: 2, messageSuffix: 'Thanks' });
+    assert.equal(message.subject, 'Bin collections for the next 2 weeks');
+    assert.equal(message.text, [
+      'Bin collections for the next 2 weeks (Sun 7 Sep - Sat 20 Sep)',
+      '10 Example Road\n- Thu 11 Sep: Refuse, Food waste\n- Thu 18 Sep: Recycling',
+      '2 Other Street\n- Collection dates are unavailable this week - check the council website.',
+      'Thanks'
+    ].join('\n\n'));
+    assert.equal(message.summaryLine, 'Bins, the next 2 weeks: 10 Example Road: Thu 11 Sep Refuse, Food waste; Thu 18 Sep Recycling | 2 Other Street: unavailable');
+  });
+
+  it('renders a Monday-first calendar covering the window', () => {
+    const { html } = buildDigestMessage({ sections, ...range, weeks: 2 });
+    const rows = html.match(/<tr>/g).length;
+    assert.equal(rows, 4); // header + weeks starting 1, 8 and 15 September
+    assert.match(html, /<th[^>]*>Mon<\/th>/);
+    assert.match(html, /<div style="font-weight:bold">7 Sep<\/div>/);
+    assert.match(html, /<div style="font-size:11px;color:#555555">10 Example Road<\/div><span[^>]*background:#424242[^>]*>Refuse<\/span><span[^>]*>Food waste<\/span>/);
+    assert.match(html, /unavailable this week for 2 Other Street/);
+  });
+
+  it('names the address when there is only one', () => {
+    const message = buildDigestMessage({ sections: sections.slice(0, 1), ...range, weeks: 1 });
+    assert.equal(message.subject, 'Bin collections for the next week - 10 Example Road');
+    assert.doesNotMatch(message.html, /font-size:11px;color:#555555/);
+  });
+
+  it('escapes labels and the message suffix', () => {
+    const message = buildDigestMessage({ sections: [{ ...sections[0], label: `Flat "2" & 10 O'Neil Road` }], ...range, weeks: 1, messageSuffix: 'Reply "stop"\n<b>thanks</b>' });
+    assert.match(message.html, /for Flat &quot;2&quot; &amp; 10 O&#39;Neil Road/);
+    assert.match(message.html, /Reply &quot;stop&quot;<br>&lt;b&gt;thanks&lt;\/b&gt;/);
+  });
+});
+
+describe('digest config', () => {
+  it('accepts digest settings and per-recipient opt-out', () => {
+    const errors = validateConfig({
+      digest: { enabled: true, weeks: 3 },
+      addresses: [{ label: '10 Example Road', recipients: [{ to: 'a@example.com', digest: false }] }]
+    });
+    assert.deepEqual(errors, []);
+    const bad = validateConfig({ digest: { weeks: 12, enabeld: true }, addresses: [{ label: 'x', recipients: ['a@example.com'] }] });
+    assert.deepEqual(bad.map(e => e.path), ['$.digest.weeks', '$.digest.enabeld']);
+  });
+});
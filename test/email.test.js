@@ -0,0 +1,32 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { matches, buildMimeMessage } = require('../lib/notifiers/email');
+
+describe('email addresses', () => {
+  it('matches a single address and nothing around it', () => {
+    assert.equal(matches('someone@example.com'), true);
+    assert.equal(matches('victim@x.com\nBcc: a@b.com\n\nhello'), false);
+    assert.equal(matches('a@b.com, c@d.com'), false);
+    assert.equal(matches('not an address'), false);
+  });
+});
+
+describe('buildMimeMessage', () => {
+  const base = { from: 'bins@example.com', to: 'someone@example.com', subject: 'Refuse collection', text: 'Bins out' };
+
+  it('refuses line breaks in header values', () => {
+    for (const message of [
+      { ...base, to: 'victim@x.com\nBcc: a@b.com\n\nhello' },
+      { ...base, subject: 'Refuse\r\nBcc: a@b.com' },
+      { ...base, headers: { 'List-Unsubscribe': '<https://x>\nBcc: a@b.com' } },
+      { ...base, attachments: [{ filename: 'bins.ics"\nBcc: a@b.com', content: 'x' }] }
+    ]) {
+      assert.throws(() => buildMimeMessage(message), /Line break in email header/);
+    }
+  });
+
+  it('writes the headers it was given', () => {
+    const mime = buildMimeMessage({ ...base, headers: { 'List-Unsubscribe': '<https://x>' } });
+    assert.match(mime, /^From: bins@example.com\nTo: someone@example.com\nSubject: Refuse collection\nList-Unsubscribe: <https:\/\/x>\nMIME-Version: 1.0\n/);
+  });
+});
@@ -0,0 +1,94 @@
+process.env.TZ = 'Europe/London';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { launchBrowser } = require('../handler');
+const { waitForResultsTable, extractCollections } = require('../lib/providers/gravesham');
+const { loadFixturePage } = require('./helpers');
+
+describe('extractCollections', () => {
+  let browser;
+
+  before(async () => {
+    browser = await launchBrowser();
+  });
+
+  after(async () => {
+    if (browser) await browser.close();
+  });
+
+  async function extract(fixture) {
+    const page = await loadFixturePage(browser, fixture);
+    try {
+      return await extractCollections(page.mainFrame());
+    } finally {
+      await page.close();
+    }
+  }
+
+  it('reads #table2, skipping the header row and grouping bins by date', async () => {
+    const { collections, tableHtml } = await extract('after-results-table2.html');
+    assert.deepEqual(collections, [
+      { localDate: '2025-09-11', bins: ['Refuse (black bin)', 'Food waste'] },
+      { localDate: '2025-09-18', bins: ['Recycling (blue bin)', 'Food waste'] },
+      { localDate: '2025-09-25', bins: ['Garden waste'] }
+    ]);
+    assert.match(tableHtml, /^<table id="table2"/);
+  });
+
+  it('parses d/M/yy dates and drops duplicate rows', async () => {
+    const { collections } = await extract('after-results-short-year.html');
+    assert.deepEqual(collections, [
+      { localDate: '2026-01-02', bins: ['Refuse'] },
+      { localDate: '2026-01-09', bins: ['Recycling'] }
+    ]);
+  });
+
+  it('falls back to any table with two-column rows when #table2 is missing', async () => {
+    const { collections, tableHtml } = await extract('after-results-other-table.html');
+    assert.deepEqual(collections, [
+      { localDate: '2025-10-02', bins: ['Refuse'] },
+      { localDate: '2025-10-09', bins: ['Recycling'] }
+    ]);
+    assert.match(tableHtml, /class="repeatable"/);
+  });
+
+  it('falls back to body text with d LLL yyyy dates when there is no table', async () => {
+    const { collections, tableHtml } = await extract('after-results-text-only.html');
+    assert.deepEqual(collections, [
+      { localDate: '2025-10-16', bins: ['Refuse collection 16 Oct 2025 Recycling collection'] },
+      { localDate: '2025-10-23', bins: ['Recycling collection 23 Oct 2025 Garden waste collection'] }
+    ]);
+    assert.equal(tableHtml, null);
+  });
+});
+
+describe('waitForResultsTable', () => {
+  let browser;
+
+  before(async () => {
+    browser = await launchBrowser();
+  });
+
+  after(async () => {
+    if (browser) await browser.close();
+  });
+
+  it('resolves once #table2 has cells', async () => {
+    const page = await loadFixturePage(browser, 'after-results-table2.html');
+    try {
+      assert.equal(await waitForResultsTable(page.mainFrame(), 1000), true);
+    } finally {
+      await page.close();
+    }
+  });
+
+  it('returns false when the table never renders', async () => {
+    const page = await loadFixturePage(browser, 'after-results-text-only.html');
+    try {
+      assert.equal(await waitForResultsTable(page.mainFrame(), 200), false);
+    } finally {
+      await page.close();
+    }
+  });
+});
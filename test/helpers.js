@@ -0,0 +1,137 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { mock } = require('node:test');
+const { DynamoDBClient, ConditionalCheckFailedException } = require('@aws-sdk/client-dynamodb');
+const { SSMClient } = require('@aws-sdk/client-ssm');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf-8');
+}
+
+// Loads a saved frame (e.g. a debug-*-after-results.html dump) into a blank page
+async function loadFixturePage(browser, name) {
+  const page = await browser.newPage();
+  await page.setContent(readFixture(name), { waitUntil: 'load' });
+  return page;
+}
+
+// Stand-in for the AchieveForms host: replays recorded JSON responses per lookup id.
+// `lookups` maps lookup id -> fixture file under fixtures/achieveforms.
+function startAchieveFormsStub(lookups) {
+  const requests = [];
+  const replay = (name) => readFixture(path.join('achieveforms', name));
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://stub');
+      requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), cookie: req.headers.cookie, body: body ? JSON.parse(body) : null });
+      if (url.pathname === '/en/AchieveForms/') {
+        res.writeHead(200, { 'Content-Type': 'text/html', 'Set-Cookie': 'PHPSESSID=stub-session; path=/; HttpOnly' });
+        return res.end('<html><body><iframe id="fillform-frame-1"></iframe></body></html>');
+      }
+      if (url.pathname === '/authapi/isauthenticated') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(replay('isauthenticated.json'));
+      }
+      const fixture = lookups[url.searchParams.get('id')];
+      if (url.pathname === '/apibroker/runLookup' && fixture) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(replay(fixture));
+      }
+      res.writeHead(404);
+      res.end();
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}/en/AchieveForms/?form_uri=sandbox-publish://AF-Process-test/definition.json`,
+        requests,
+        close: () => new Promise(r => server.close(r))
+      });
+    });
+  });
+}
+
+// In-memory stand-in for the DynamoDB tables, covering the expressions lib/state.js and
+// lib/subscriptions.js use. Call inside a test (the mock is undone by mock.restoreAll()).
+// tables maps table name -> Map of JSON key -> item; beforeSend(command) runs first, so a
+// test can change the data between a read and a conditional write.
+function fakeDynamo({ beforeSend } = {}) {
+  const tables = new Map();
+  const table = (name) => {
+    if (!tables.has(name)) tables.set(name, new Map());
+    return tables.get(name);
+  };
+  const attr = (token, names) => (token.startsWith('#') ? names[token] : token);
+
+  function conditionHolds(condition, item, names, values) {
+    if (!condition) return true;
+    return condition.split(/\s+OR\s+/).some(clause => clause.split(/\s+AND\s+/).every((test) => {
+      const fn = test.trim().match(/^attribute_(not_)?exists\((\S+)\)$/);
+      if (fn) return (item?.[attr(fn[2], names)] === undefined) === !!fn[1];
+      const [left, right] = test.split('=').map(t => t.trim());
+      return JSON.stringify(item?.[attr(left, names)]) === JSON.stringify(values[right]);
+    }));
+  }
+
+  function update({ TableName, Key, UpdateExpression, ConditionExpression, ExpressionAttributeNames: names = {}, ExpressionAttributeValues: values = {}, ReturnValues }) {
+    const rows = table(TableName);
+    const id = JSON.stringify(Key);
+    const current = rows.get(id);
+    if (!conditionHolds(ConditionExpression, current, names, values)) {
+      throw new ConditionalCheckFailedException({ message: 'The conditional request failed', $metadata: {} });
+    }
+    const item = { ...(current || Key) };
+    for (const [, action, body] of UpdateExpression.matchAll(/\b(SET|REMOVE|ADD)\s+(.*?)(?=\s+(?:SET|REMOVE|ADD)\s|$)/g)) {
+      for (const part of body.split(/,(?![^(]*\))/).map(p => p.trim())) {
+        if (action === 'REMOVE') {
+          delete item[attr(part, names)];
+        } else if (action === 'ADD') {
+          const [name, value] = part.split(/\s+/);
+          item[attr(name, names)] = { N: String(Number(item[attr(name, names)]?.N || 0) + Number(values[value].N)) };
+        } else {
+          const [name, value] = part.split('=').map(t => t.trim());
+          const ifNotExists = value.match(/^if_not_exists\((\S+),\s*(\S+)\)$/);
+          item[attr(name, names)] = ifNotExists ? item[attr(ifNotExists[1], names)] ?? values[ifNotExists[2]] : values[value];
+        }
+      }
+    }
+    rows.set(id, item);
+    return ReturnValues ? { Attributes: item } : {};
+  }
+
+  mock.method(DynamoDBClient.prototype, 'send', async (command) => {
+    if (beforeSend) await beforeSend(command);
+    const input = command.input;
+    switch (command.constructor.name) {
+      case 'GetItemCommand': {
+        const item = table(input.TableName).get(JSON.stringify(input.Key));
+        return item ? { Item: item } : {};
+      }
+      case 'UpdateItemCommand':
+        return update(input);
+      case 'ScanCommand':
+        return { Items: Array.from(table(input.TableName).values()) };
+      default:
+        throw new Error(`fakeDynamo does not handle ${command.constructor.name}`);
+    }
+  });
+  return { tables, table };
+}
+
+// Serves Parameter Store values from a plain object; call inside a test
+function fakeParameters(values) {
+  mock.method(SSMClient.prototype, 'send', async (command) => ({
+    Parameters: command.input.Names
+      .map(name => ({ Name: name, Value: values[name.split('/').pop()] }))
+      .filter(p => p.Value !== undefined)
+  }));
+}
+
+module.exports = { FIXTURES_DIR, readFixture, loadFixturePage, startAchieveFormsStub, fakeDynamo, fakeParameters };
@@ -0,0 +1,80 @@
+process.env.TZ = 'Europe/London';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { scrapeNextCollectionsHttp } = require('../lib/http-scraper');
+const { ScrapeError } = require('../lib/errors');
+const { startAchieveFormsStub } = require('./helpers');
+
+const lookupIds = { addressLookupId: 'address-lookup', collectionsLookupId: 'collections-lookup' };
+
+describe('scrapeNextCollectionsHttp', () => {
+  let stub;
+
+  afterEach(async () => {
+    if (stub) await stub.close();
+    stub = null;
+  });
+
+  it('resolves the address and returns collections from lookup rows', async () => {
+    stub = await startAchieveFormsStub({ 'address-lookup': 'lookup-addresses.json', 'collections-lookup': 'lookup-collections.json' });
+    const result = await scrapeNextCollectionsHttp(stub.url, '10 Example Road', lookupIds);
+
+    assert.deepEqual(result.collections, [
+      { localDate: '2025-09-11', bins: ['Refuse (black bin)', 'Food waste'] },
+      { localDate: '2025-09-18', bins: ['Recycling (blue bin)'] }
+    ]);
+    assert.match(result.tableHtml, /^<table id="table2">/);
+
+    const lookups = stub.requests.filter(r => r.path === '/apibroker/runLookup');
+    assert.equal(lookups.length, 2);
+    assert.ok(lookups.every(r => r.query.sid === '9c1e5b7a-3f2d-4d8e-a1b0-6f5c2e9d7a41'));
+    assert.ok(lookups.every(r => r.cookie === 'PHPSESSID=stub-session'));
+    assert.deepEqual(lookups[0].body.formValues['Section 1'].AddressSearch, { value: '10 Example Road' });
+    assert.deepEqual(lookups[1].body.formValues['Section 1'].YourAddress, { value: '100062311234' });
+  });
+
+  it('parses collections lookups that return table HTML', async () => {
+    stub = await startAchieveFormsStub({ 'address-lookup': 'lookup-addresses.json', 'collections-lookup': 'lookup-collections-html.json' });
+    const result = await scrapeNextCollectionsHttp(stub.url, '10 Example Road', lookupIds);
+
+    assert.deepEqual(result.collections, [
+      { localDate: '2026-01-02', bins: ['Refuse'] },
+      { localDate: '2026-01-09', bins: ['Recycling'] }
+    ]);
+  });
+
+  it('fails at the address-select stage when the lookup has no matches', async () => {
+    stub = await startAchieveFormsStub({ 'address-lookup': 'lookup-empty.json', 'collections-lookup': 'lookup-collections.json' });
+    await assert.rejects(
+      scrapeNextCollectionsHttp(stub.url, 'Nowhere', lookupIds),
+      (error) => error instanceof ScrapeError && error.stage === ScrapeError.STAGES.ADDRESS_SELECT
+    );
+  });
+
+  it('uses the search and pinned uprn from the address entry', async () => {
+    stub = await startAchieveFormsStub({ 'address-lookup': 'lookup-addresses-flats.json', 'collections-lookup': 'lookup-collections.json' });
+    await scrapeNextCollectionsHttp(stub.url, { label: 'Home', search: '10 Example Road', uprn: 100062399002 }, lookupIds);
+
+    const lookups = stub.requests.filter(r => r.path === '/apibroker/runLookup');
+    assert.deepEqual(lookups[0].body.formValues['Section 1'].AddressSearch, { value: '10 Example Road' });
+    assert.deepEqual(lookups[1].body.formValues['Section 1'].YourAddress, { value: '100062399002' });
+  });
+
+  it('refuses to guess between flats matching the label equally', async () => {
+    stub = await startAchieveFormsStub({ 'address-lookup': 'lookup-addresses-flats.json', 'collections-lookup': 'lookup-collections.json' });
+    await assert.rejects(
+      scrapeNextCollectionsHttp(stub.url, '10 Example Road', lookupIds),
+      (error) => error.stage === ScrapeError.STAGES.ADDRESS_SELECT && error.code === 'AMBIGUOUS_ADDRESS' && error.diagnostics.candidates.length === 2
+    );
+    assert.equal(stub.requests.filter(r => r.path === '/apibroker/runLookup').length, 1);
+  });
+
+  it('fails at the results-table stage when no dated rows come back', async () => {
+    stub = await startAchieveFormsStub({ 'address-lookup': 'lookup-addresses.json', 'collections-lookup': 'lookup-empty.json' });
+    await assert.rejects(
+      scrapeNextCollectionsHttp(stub.url, '10 Example Road', lookupIds),
+      (error) => error instanceof ScrapeError && error.stage === ScrapeError.STAGES.RESULTS_TABLE
+    );
+  });
+});
@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DateTime } = require('luxon');
+const { buildCalendar, writeCalendarFile, eventUid } = require('../lib/ics');
+
+const collections = [
+  { localDate: '2025-09-18', bins: ['Recycling (blue bin)'] },
+  { localDate: '2025-09-11', bins: ['Refuse (black bin)', 'Food waste'] }
+];
+const options = { label: '10 Example Road', addressHash: 'abcdef0123456789ffff', now: DateTime.fromISO('2025-09-10T17:00:00Z') };
+
+// RFC 5545 unfolding: a CRLF followed by one space continues the previous line
+const unfold = ics => ics.replace(/\r\n /g, '');
+const property = (ics, name) => unfold(ics).split('\r\n').filter(l => l.startsWith(`${name}:`) || l.startsWith(`${name};`));
+
+describe('buildCalendar', () => {
+  it('writes one all-day event per collection date, in date order', () => {
+    const ics = buildCalendar(collections, options);
+    assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.doesNotMatch(ics.replace(/\r\n/g, ''), /\n/);
+    assert.deepEqual(property(ics, 'DTSTART'), ['DTSTART;VALUE=DATE:20250911', 'DTSTART;VALUE=DATE:20250918']);
+    assert.deepEqual(property(ics, 'DTEND'), ['DTEND;VALUE=DATE:20250912', 'DTEND;VALUE=DATE:20250919']);
+    assert.deepEqual(property(ics, 'DTSTAMP'), ['DTSTAMP:20250910T170000Z', 'DTSTAMP:20250910T170000Z']);
+  });
+
+  it('escapes commas, semicolons, backslashes and newlines in text', () => {
+    const ics = buildCalendar([{ localDate: '2025-09-11', bins: ['Refuse; black\\grey', 'Food\nwaste'] }], { ...options, label: 'Flat 2, 10 Example Road' });
+    assert.deepEqual(property(ics, 'SUMMARY'), ['SUMMARY:Refuse\\; black\\\\grey\\, Food\\nwaste collection']);
+    assert.deepEqual(property(ics, 'LOCATION'), ['LOCATION:Flat 2\\, 10 Example Road']);
+    assert.deepEqual(property(ics, 'X-WR-CALNAME'), ['X-WR-CALNAME:Bin days - Flat 2\\, 10 Example Road']);
+  });
+
+  it('folds lines at 75 octets without splitting multi-byte characters', () => {
+    const label = `Ty Ñewydd, ${'Ffordd y Bryn '.repeat(4)}— Cwm Ŵy 🗑`;
+    const ics = buildCalendar(collections, { ...options, label });
+    for (const line of ics.split('\r\n')) {
+      assert.ok(Buffer.byteLength(line, 'utf8') <= 75, `${Buffer.byteLength(line, 'utf8')} octets: ${line}`);
+      assert.doesNotMatch(line, /�/);
+    }
+    assert.match(ics, /\r\n /);
+    assert.deepEqual(property(ics, 'LOCATION'), [`LOCATION:${label.replace(/,/g, '\\,')}`, `LOCATION:${label.replace(/,/g, '\\,')}`]);
+  });
+
+  it('keeps UIDs stable across runs so re-imports update in place', () => {
+    const first = buildCalendar(collections, options);
+    const later = buildCalendar([...collections].reverse(), { ...options, now: DateTime.fromISO('2025-09-14T06:00:00Z') });
+    assert.deepEqual(property(first, 'UID'), property(later, 'UID'));
+    assert.deepEqual(property(first, 'UID'), [`UID:${eventUid(options.addressHash, '2025-09-11')}`, `UID:${eventUid(options.addressHash, '2025-09-18')}`]);
+    assert.equal(eventUid(options.addressHash, '2025-09-11'), '2025-09-11-abcdef0123456789@gravesham-bin-days');
+    assert.notEqual(eventUid('0123456789abcdef', '2025-09-11'), eventUid(options.addressHash, '2025-09-11'));
+  });
+
+  it('skips dates that do not parse', () => {
+    const ics = buildCalendar([{ localDate: 'not-a-date', bins: ['Refuse'] }, ...collections], options);
+    assert.equal(property(ics, 'UID').length, 2);
+  });
+});
+
+describe('writeCalendarFile', () => {
+  it('writes <addressHash>.ics, creating the directory', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bin-days-ics-'));
+    try {
+      const ics = buildCalendar(collections, options);
+      const file = writeCalendarFile(path.join(dir, 'feeds'), options.addressHash, ics);
+      assert.equal(file, path.join(dir, 'feeds', `${options.addressHash}.ics`));
+      assert.equal(fs.readFileSync(file, 'utf-8'), ics);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger, setRunContext, redact } = require('../lib/logger');
+const { putMetric, flushMetrics } = require('../lib/metrics');
+
+describe('structured logger', () => {
+  let lines;
+
+  beforeEach(() => {
+    lines = [];
+    for (const level of ['log', 'warn', 'error']) {
+      mock.method(console, level, (line) => lines.push({ stream: level, entry: JSON.parse(line) }));
+    }
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    setRunContext({});
+  });
+
+  it('writes one JSON line per call with run context and level', () => {
+    setRunContext({ runId: 'run-1', fn: 'daily' });
+    const log = createLogger().child({ addressHash: 'abc' });
+    log.info('Scraped collections', { collections: 3 });
+    log.error('Failed', { err: new Error('boom') });
+
+    assert.equal(lines.length, 2);
+    assert.equal(lines[0].stream, 'log');
+    assert.deepEqual({ ...lines[0].entry, time: undefined }, {
+      level: 'info', time: undefined, msg: 'Scraped collections', runId: 'run-1', fn: 'daily', addressHash: 'abc', collections: 3
+    });
+    assert.equal(lines[1].stream, 'error');
+    assert.equal(lines[1].entry.err.message, 'boom');
+  });
+
+  it('drops lines below LOG_LEVEL', () => {
+    createLogger().debug('hidden');
+    assert.equal(lines.length, 0);
+  });
+});
+
+describe('redact', () => {
+  it('masks email addresses and phone numbers but not dates or hashes', () => {
+    assert.equal(
+      redact('to someone@example.com and +44 7700 900001 or 07700 900001 on 2025-09-11'),
+      'to [email] and [phone] or [phone] on 2025-09-11'
+    );
+    assert.deepEqual(redact({ nested: ['a@b.co'], hash: '9c1e5b7a3f2d4d8e' }), { nested: ['[email]'], hash: '9c1e5b7a3f2d4d8e' });
+  });
+});
+
+describe('embedded metrics', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('groups values by dimension set into EMF log lines', () => {
+    const lines = [];
+    mock.method(console, 'log', line => lines.push(JSON.parse(line)));
+    putMetric('NotificationsSent', 1, 'Count', { Channel: 'email' });
+    putMetric('NotificationsSent', 1, 'Count', { Channel: 'email' });
+    putMetric('ScrapeDuration', 1234, 'Milliseconds', { Scraper: 'http' });
+
+    assert.equal(flushMetrics(1000), 2);
+    assert.deepEqual(lines[0], {
+      _aws: {
+        Timestamp: 1000,
+        CloudWatchMetrics: [{
+          Namespace: 'GraveshamBinDays',
+          Dimensions: [['Service', 'Channel']],
+          Metrics: [{ Name: 'NotificationsSent', Unit: 'Count' }]
+        }]
+      },
+      Service: 'gravesham-bin-days',
+      Channel: 'email',
+      NotificationsSent: [1, 1]
+    });
+    assert.equal(lines[1].ScrapeDuration, 1234);
+    assert.equal(flushMetrics(), 0);
+  });
+});
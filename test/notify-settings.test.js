@@ -0,0 +1,107 @@
+process.env.TZ = 'Europe/London';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DateTime } = require('luxon');
+const { resolveNotifySettings, isSendTimeDue, dueReminders, buildReminderMessage } = require('../handler');
+const { validateConfig } = require('../lib/config-schema');
+
+describe('resolveNotifySettings', () => {
+  it('defaults to noon, one day ahead', () => {
+    const settings = resolveNotifySettings({ addresses: [] }, { label: 'a' });
+    assert.equal(settings.atLocalTime, '12:00');
+    assert.deepEqual(settings.lookaheadDays, [1]);
+  });
+
+  it('expands a numeric lookahead and lets the address override it', () => {
+    const config = { notify: { daysLookahead: 3, atLocalTime: '18:00' } };
+    assert.deepEqual(resolveNotifySettings(config, {}).lookaheadDays, [1, 2, 3]);
+    const settings = resolveNotifySettings(config, { notify: { daysLookahead: [2, 1, 2] } });
+    assert.deepEqual(settings.lookaheadDays, [1, 2]);
+    assert.equal(settings.atLocalTime, '18:00');
+  });
+
+  it('turns the lookahead into reminders at atLocalTime unless reminders are listed', () => {
+    const config = { notify: { daysLookahead: 2, atLocalTime: '18:00', messageSuffix: 'Bins out tonight.' } };
+    assert.deepEqual(resolveNotifySettings(config, {}).reminders, [
+      { daysBefore: 1, atLocalTime: '18:00', messageSuffix: 'Bins out tonight.' },
+      { daysBefore: 2, atLocalTime: '18:00', messageSuffix: 'Bins out tonight.' }
+    ]);
+    const settings = resolveNotifySettings(config, {
+      notify: { reminders: [{ daysBefore: 1 }, { daysBefore: 0, atLocalTime: '06:30', messageSuffix: 'Bins out now!' }] },
+      recipients: [{ to: 'a@example.com', reminders: [{ daysBefore: 3 }] }]
+    });
+    assert.deepEqual(settings.reminders, [
+      { daysBefore: 1, atLocalTime: '18:00', messageSuffix: 'Bins out tonight.' },
+      { daysBefore: 0, atLocalTime: '06:30', messageSuffix: 'Bins out now!' }
+    ]);
+    assert.deepEqual(settings.lookaheadDays, [0, 1, 3]);
+  });
+});
+
+describe('dueReminders', () => {
+  const at = (iso) => DateTime.fromISO(iso, { zone: 'Europe/London' });
+  const address = {
+    label: '10 Example Road',
+    notify: { reminders: [{ daysBefore: 1, atLocalTime: '12:00' }, { daysBefore: 0, atLocalTime: '06:30' }], windowMinutes: 120 },
+    recipients: ['a@example.com', { to: 'b@example.com', reminders: [{ daysBefore: 1, atLocalTime: '19:00' }] }]
+  };
+  const settings = resolveNotifySettings({}, address);
+  const to = entry => (typeof entry === 'string' ? entry : entry.to);
+  const due = (iso, options) => Array.from(dueReminders(at(iso), address, settings, options))
+    .map(([daysBefore, targets]) => [daysBefore, targets.map(t => to(t.entry))]);
+
+  it('picks the offsets whose send time window is open, per recipient', () => {
+    assert.deepEqual(due('2025-09-10T06:45'), [[0, ['a@example.com']]]);
+    assert.deepEqual(due('2025-09-10T12:00'), [[1, ['a@example.com']]]);
+    assert.deepEqual(due('2025-09-10T19:30'), [[1, ['b@example.com']]]);
+    assert.deepEqual(due('2025-09-10T15:00'), []);
+  });
+
+  it('treats every reminder as due when forced', () => {
+    assert.deepEqual(due('2025-09-10T15:00', { force: true }), [[1, ['a@example.com', 'b@example.com']], [0, ['a@example.com']]]);
+  });
+
+  it('accepts reminder lists and rejects two reminders on the same day', () => {
+    assert.deepEqual(validateConfig({ addresses: [address] }), []);
+    const errors = validateConfig({
+      notify: { reminders: [{ daysBefore: 1, atLocalTime: '6:30' }] },
+      addresses: [{ label: 'x', recipients: [{ to: 'a@example.com', reminders: [{ daysBefore: 0 }, { daysBefore: 0, atLocalTime: '07:00' }] }] }]
+    });
+    assert.deepEqual(errors.map(e => e.path), ['$.notify.reminders[0].atLocalTime', '$.addresses[0].recipients[0].reminders[1].daysBefore']);
+  });
+});
+
+describe('isSendTimeDue', () => {
+  const at = (iso) => DateTime.fromISO(iso, { zone: 'Europe/London' });
+  const settings = { atLocalTime: '12:00', windowMinutes: 60 };
+
+  it('is due within the window after the send time', () => {
+    assert.equal(isSendTimeDue(at('2025-09-10T12:00'), settings), true);
+    assert.equal(isSendTimeDue(at('2025-09-10T12:59'), settings), true);
+  });
+
+  it('is not due before the send time or after the window', () => {
+    assert.equal(isSendTimeDue(at('2025-09-10T11:59'), settings), false);
+    assert.equal(isSendTimeDue(at('2025-09-10T13:00'), settings), false);
+  });
+});
+
+describe('buildReminderMessage', () => {
+  const collections = [{ localDate: '2025-09-11', bins: ['Refuse', 'Food waste'] }];
+
+  it('says "today" on the day, "tomorrow" one day ahead and the date further out', () => {
+    const base = { label: '10 Example Road', collections, localDate: '2025-09-11', messageSuffix: 'Bins out tonight.' };
+    const tomorrow = buildReminderMessage({ ...base, daysBefore: 1 });
+    assert.equal(tomorrow.summaryLine, 'Collection tomorrow for 10 Example Road (11th September 2025): Refuse, Food waste');
+    assert.equal(tomorrow.subject, 'Refuse, Food waste collection on 11th September 2025 - 10 Example Road');
+    assert.equal(tomorrow.text, `${tomorrow.summaryLine}\n\nBins out tonight.`);
+
+    const later = buildReminderMessage({ ...base, daysBefore: 2 });
+    assert.match(later.summaryLine, /^Collection on 11th September 2025 for/);
+
+    const today = buildReminderMessage({ ...base, daysBefore: 0 });
+    assert.equal(today.summaryLine, 'Collection today for 10 Example Road (11th September 2025): Refuse, Food waste');
+    assert.equal(today.subject, 'Refuse, Food waste collection today - 10 Example Road');
+  });
+});
@@ -0,0 +1,35 @@
+process.env.TZ = 'Europe/London';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDateToLocal } = require('../handler');
+
+describe('parseDateToLocal', () => {
+  const iso = (s) => parseDateToLocal(s)?.toISODate() ?? null;
+
+  it('parses d/M/yyyy and d/M/yy', () => {
+    assert.equal(iso('11/09/2025'), '2025-09-11');
+    assert.equal(iso('2/1/26'), '2026-01-02');
+  });
+
+  it('parses d LLL yyyy and ISO dates', () => {
+    assert.equal(iso('16 Oct 2025'), '2025-10-16');
+    assert.equal(iso('2025-12-24'), '2025-12-24');
+  });
+
+  it('finds a d/M/yyyy date inside surrounding text', () => {
+    assert.equal(iso('Thursday 02/10/2025'), '2025-10-02');
+  });
+
+  it('returns start of day in the local zone', () => {
+    const dt = parseDateToLocal('29/03/2026');
+    assert.equal(dt.zoneName, 'Europe/London');
+    assert.equal(dt.hour, 0);
+  });
+
+  it('returns null for text without a date', () => {
+    assert.equal(parseDateToLocal('Collection Date'), null);
+    assert.equal(parseDateToLocal(''), null);
+    assert.equal(parseDateToLocal(undefined), null);
+  });
+});
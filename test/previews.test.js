@@ -0,0 +1,88 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const email = require('../lib/notifiers/email');
+const { createPreviewWriter } = require('../lib/previews');
+const { sendToRecipients } = require('../handler');
+
+const message = {
+  subject: 'Refuse collection on 11th September 2025 - 10 Example Road',
+  text: 'Collection tomorrow for 10 Example Road: Refuse\n\nPut bins out after 7pm – thanks',
+  html: '<p>Collection tomorrow for 10 Example Road: Refuse</p>',
+  summaryLine: 'Collection tomorrow for 10 Example Road: Refuse',
+  attachments: [{ filename: 'bin-days.ics', contentType: 'text/calendar; charset=utf-8', content: 'BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n' }],
+  headers: { 'List-Unsubscribe': '<https://bins.example/unsubscribe?token=t>' }
+};
+
+describe('dry-run previews', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bin-days-test-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    for (const level of ['log', 'warn', 'error']) mock.method(console, level, () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('renders emails as RFC 822 messages with CRLF line endings', () => {
+    const { extension, content } = email.preview('a@example.com', { ...message, subject: '⚠️ Bin days could not scrape 1 address' }, {
+      from: 'bins@example.com',
+      date: new Date('2025-09-10T11:00:00Z')
+    });
+    assert.equal(extension, 'eml');
+    assert.doesNotMatch(content, /[^\r]\n/);
+    const [head] = content.split('\r\n\r\n');
+    assert.match(head, /^From: bins@example.com\r\nTo: a@example.com\r\nSubject: =\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=/);
+    assert.match(head, /\r\nDate: Wed, 10 Sep 2025 11:00:00 GMT\r\nMessage-ID: <[\w-]+@bin-days.preview>\r\nList-Unsubscribe: <https:\/\/bins.example\/unsubscribe\?token=t>/);
+    assert.match(content, /Content-Type: multipart\/mixed/);
+    assert.match(content, /Content-Type: text\/plain; charset=utf-8\r\nContent-Transfer-Encoding: 8bit/);
+    assert.match(content, /Content-Disposition: attachment; filename="bin-days.ics"/);
+  });
+
+  it('writes one file per recipient, plus an HTML preview for email, without sending', async () => {
+    mock.method(email, 'send', async () => { throw new Error('should not send'); });
+    const previews = createPreviewWriter(dir);
+
+    const outcome = await sendToRecipients(['a@example.com', '+447700900001'], message, {
+      dryRun: true,
+      preview: previews.for('reminder-2025-09-11-1d-abcdef01')
+    });
+
+    assert.equal(email.send.mock.callCount(), 0);
+    assert.deepEqual(fs.readdirSync(dir).sort(), [
+      '001-reminder-2025-09-11-1d-abcdef01-email.eml',
+      '001-reminder-2025-09-11-1d-abcdef01-email.html',
+      '002-reminder-2025-09-11-1d-abcdef01-sms.txt'
+    ]);
+    assert.deepEqual(outcome.delivered.map(d => path.basename(d.preview)), [
+      '001-reminder-2025-09-11-1d-abcdef01-email.eml',
+      '002-reminder-2025-09-11-1d-abcdef01-sms.txt'
+    ]);
+    const html = fs.readFileSync(path.join(dir, '001-reminder-2025-09-11-1d-abcdef01-email.html'), 'utf-8');
+    assert.match(html, /<th[^>]*>Attachments<\/th><td>bin-days.ics<\/td>/);
+    assert.match(html, /<p>Collection tomorrow for 10 Example Road: Refuse<\/p>/);
+    assert.equal(
+      fs.readFileSync(path.join(dir, '002-reminder-2025-09-11-1d-abcdef01-sms.txt'), 'utf-8'),
+      'To: +447700900001\n\nCollection tomorrow for 10 Example Road: Refuse\n'
+    );
+  });
+
+  it('escapes the subject and recipient in the HTML preview', async () => {
+    const write = createPreviewWriter(path.join(dir, 'escaped')).for('reminder');
+    await write({ to: 'a@example.com', channel: 'email' }, { ...message, subject: `Bins for "Flat 2" & O'Neil's <b>` });
+    const html = fs.readFileSync(path.join(dir, 'escaped', '001-reminder-email.html'), 'utf-8');
+    assert.match(html, /<title>Bins for &quot;Flat 2&quot; &amp; O&#39;Neil&#39;s &lt;b&gt;<\/title>/);
+    assert.doesNotMatch(html, /<b>/);
+  });
+});
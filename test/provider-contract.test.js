@@ -0,0 +1,109 @@
+process.env.TZ = 'Europe/London';
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { PROVIDERS, providerFor } = require('../lib/providers');
+const { ScrapeError } = require('../lib/errors');
+const { validateConfig } = require('../lib/config-schema');
+
+// Every council adapter must pass this suite. Its fixtures live in
+// test/providers/<id>.js, which exports:
+//   search    a lookup string that finds the fixture address
+//   address   a config entry that selects exactly one option
+//   expected  the collections the fixtures hold for that address
+//   start()   serves the fixtures; resolves to { context, stop() }
+
+const noBrowser = {
+  get: () => Promise.reject(new Error('The contract suite runs against recorded fixtures; start() must supply a browser if the adapter needs one'))
+};
+
+const isoDate = /^\d{4}-\d{2}-\d{2}$/;
+
+describe('provider registry', () => {
+  it('has contract fixtures for every provider', () => {
+    for (const provider of PROVIDERS) {
+      assert.ok(fs.existsSync(path.join(__dirname, 'providers', `${provider.id}.js`)), `test/providers/${provider.id}.js is missing`);
+    }
+  });
+
+  it('uses the Gravesham adapter for addresses that name no provider', () => {
+    assert.equal(providerFor({ label: '10 Example Road' }).id, 'gravesham');
+    assert.equal(providerFor('10 Example Road').id, 'gravesham');
+    assert.throws(() => providerFor({ label: 'x', provider: 'atlantis' }), /Unknown provider: atlantis/);
+  });
+
+  it('validates the provider named by an address', () => {
+    const config = provider => ({ addresses: [{ label: '10 Example Road', provider, recipients: ['a@example.com'] }] });
+    assert.deepEqual(validateConfig(config('gravesham')), []);
+    assert.deepEqual(validateConfig(config('gravesam')).map(e => e.message), ['must be one of "gravesham", got "gravesam" (did you mean "gravesham"?)']);
+  });
+});
+
+for (const provider of PROVIDERS) {
+  describe(`provider contract: ${provider.id}`, () => {
+    const fixtures = require(`./providers/${provider.id}`);
+    let server;
+    let context;
+
+    before(async () => {
+      server = await fixtures.start();
+      context = { browser: noBrowser, ...server.context };
+    });
+
+    after(async () => {
+      if (server) await server.stop();
+    });
+
+    beforeEach(() => {
+      for (const level of ['log', 'warn', 'error']) mock.method(console, level, () => {});
+    });
+
+    afterEach(() => {
+      mock.restoreAll();
+    });
+
+    it('describes itself', () => {
+      assert.equal(typeof provider.name, 'string');
+      assert.ok(provider.name.length > 0);
+      assert.equal(typeof provider.lookupAddresses, 'function');
+      assert.equal(typeof provider.fetchCollections, 'function');
+    });
+
+    it('lists address options as { value, text } strings', async () => {
+      const options = await provider.lookupAddresses(fixtures.search, context);
+      assert.ok(options.length > 0);
+      for (const option of options) {
+        assert.equal(typeof option.value, 'string');
+        assert.equal(typeof option.text, 'string');
+        assert.ok(option.value && option.text);
+      }
+    });
+
+    it('returns one entry per date with the bins collected', async () => {
+      const result = await provider.fetchCollections(fixtures.address, context);
+      assert.deepEqual(result.collections, fixtures.expected);
+      assert.equal(new Set(result.collections.map(c => c.localDate)).size, result.collections.length);
+      for (const c of result.collections) {
+        assert.match(c.localDate, isoDate);
+        assert.ok(c.bins.length > 0 && c.bins.every(bin => typeof bin === 'string' && bin.trim()));
+      }
+      assert.ok(result.tableHtml === null || typeof result.tableHtml === 'string');
+    });
+
+    it('fails at the address-select stage, without retrying, for an unknown address', async () => {
+      await assert.rejects(
+        provider.fetchCollections({ label: 'Nowhere Lane', search: fixtures.search }, context),
+        error => error instanceof ScrapeError && error.stage === ScrapeError.STAGES.ADDRESS_SELECT && error.transient === false
+      );
+    });
+
+    it('honours a pinned uprn', async () => {
+      await assert.rejects(
+        provider.fetchCollections({ ...fixtures.address, uprn: '999999999999' }, context),
+        error => error instanceof ScrapeError && error.stage === ScrapeError.STAGES.ADDRESS_SELECT
+      );
+    });
+  });
+}
@@ -0,0 +1,37 @@
+const { startAchieveFormsStub } = require('../helpers');
+
+// Contract fixtures for the Gravesham adapter: recorded AchieveForms lookup
+// responses, served locally and reached through the same environment the
+// adapter reads in production (HTTP scraper only, so no browser is needed)
+
+const ENV = {
+  SCRAPER: 'http',
+  ACHIEVEFORMS_ADDRESS_LOOKUP_ID: 'address-lookup',
+  ACHIEVEFORMS_COLLECTIONS_LOOKUP_ID: 'collections-lookup'
+};
+
+module.exports = {
+  search: '10 Example Road',
+  address: { label: '10 Example Road' },
+  expected: [
+    { localDate: '2025-09-11', bins: ['Refuse (black bin)', 'Food waste'] },
+    { localDate: '2025-09-18', bins: ['Recycling (blue bin)'] }
+  ],
+
+  async start() {
+    const stub = await startAchieveFormsStub({ 'address-lookup': 'lookup-addresses.json', 'collections-lookup': 'lookup-collections.json' });
+    const vars = { ...ENV, SOURCE_URL: stub.url };
+    const saved = Object.fromEntries(Object.keys(vars).map(k => [k, process.env[k]]));
+    Object.assign(process.env, vars);
+    return {
+      context: {},
+      async stop() {
+        for (const [k, v] of Object.entries(saved)) {
+          if (v === undefined) delete process.env[k];
+          else process.env[k] = v;
+        }
+        await stub.close();
+      }
+    };
+  }
+};
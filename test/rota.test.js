@@ -0,0 +1,249 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { assignDuty, swapDuty, dutyNote } = require('../lib/rota');
+const { getRota, saveRota } = require('../lib/state');
+const { signToken, verifyToken } = require('../lib/signed-links');
+const { normalizeRecipient } = require('../lib/notifiers');
+const { validateConfig } = require('../lib/config-schema');
+const { buildReminderMessage, swapLinks, assignRota, subscriptions } = require('../handler');
+const { fakeDynamo, fakeParameters } = require('./helpers');
+
+const household = { members: ['Sam', 'Alex', 'Jo'] };
+
+// Runs the rota over several collections, carrying the state between them as the state table does
+function assignAll(rota, dates, bins = ['Refuse (black bin)'], state = null) {
+  const duties = [];
+  for (const date of dates) {
+    const next = assignDuty(state, rota, date, bins);
+    state = next.state;
+    duties.push(next.duty);
+  }
+  return { state, duties };
+}
+
+describe('rota assignment', () => {
+  it('takes whole collections in turn and keeps a date once assigned', () => {
+    const { state, duties } = assignAll(household, ['2025-09-11', '2025-09-18', '2025-09-25', '2025-10-02']);
+    assert.deepEqual(duties.map(d => d.collection), ['Sam', 'Alex', 'Jo', 'Sam']);
+    const again = assignDuty(state, household, '2025-09-18', ['Refuse (black bin)']);
+    assert.equal(again.changed, false);
+    assert.deepEqual(again.duty, { collection: 'Alex' });
+  });
+
+  it('only moves on when a collection is assigned, so missed weeks skip nobody', () => {
+    const { duties } = assignAll(household, ['2025-09-11', '2025-10-02']);
+    assert.deepEqual(duties.map(d => d.collection), ['Sam', 'Alex']);
+  });
+
+  it('follows config changes to the members', () => {
+    const { state } = assignAll(household, ['2025-09-11', '2025-09-18']);
+    const { duties } = assignAll({ members: ['Sam', 'Alex', 'Kim'] }, ['2025-09-18', '2025-09-25', '2025-10-02', '2025-10-09'], undefined, state);
+    // Jo drops out and Kim joins the end of the queue
+    assert.deepEqual(duties.map(d => d.collection), ['Alex', 'Sam', 'Alex', 'Kim']);
+  });
+
+  it('rotates each bin type separately', () => {
+    const rota = { members: ['Sam', 'Alex'], rotate: 'binType' };
+    let state = assignDuty(null, rota, '2025-09-11', ['Refuse (black bin)', 'Food waste']).state;
+    const next = assignDuty(state, rota, '2025-09-18', ['Recycling (blue bin)', 'Food waste']);
+    state = next.state;
+    assert.deepEqual(next.duty, { recycling: 'Sam', food: 'Alex' });
+    assert.deepEqual(assignDuty(state, rota, '2025-09-25', ['Refuse (black bin)']).duty, { refuse: 'Alex' });
+  });
+
+  it('drops assignments once the collection is long past', () => {
+    const { state } = assignAll(household, ['2025-07-01', '2025-09-11']);
+    assert.deepEqual(Object.keys(state.assigned), ['2025-09-11']);
+  });
+});
+
+describe('rota swaps', () => {
+  it('hands the turn to the next in line, who gives up their next turn', () => {
+    const { state } = assignAll(household, ['2025-09-11']);
+    const { state: swapped, swapped: turns } = swapDuty(state, '2025-09-11', 'Sam');
+    assert.deepEqual(turns, [{ turn: 'collection', with: 'Alex' }]);
+    assert.deepEqual(swapped.assigned['2025-09-11'], { collection: 'Alex' });
+    const { duties } = assignAll(household, ['2025-09-18', '2025-09-25', '2025-10-02'], undefined, swapped);
+    assert.deepEqual(duties.map(d => d.collection), ['Sam', 'Jo', 'Alex']);
+  });
+
+  it('swaps nothing for a member who is not on duty', () => {
+    const { state } = assignAll(household, ['2025-09-11']);
+    assert.deepEqual(swapDuty(state, '2025-09-11', 'Jo').swapped, []);
+    assert.deepEqual(swapDuty(state, '2025-09-18', 'Sam').swapped, []);
+  });
+});
+
+describe('rota messages', () => {
+  const base = {
+    label: '10 Example Road',
+    addressHash: 'abc123',
+    collections: [{ localDate: '2025-09-11', bins: ['Refuse (black bin)'] }],
+    localDate: '2025-09-11',
+    daysBefore: 1,
+    duty: { collection: 'Sam' }
+  };
+
+  it('addresses the member on duty and names them to everyone else', () => {
+    const mine = buildReminderMessage({ ...base, member: 'Sam' });
+    assert.equal(mine.subject, 'Your turn: Refuse collection on 11th September 2025 - 10 Example Road');
+    assert.match(mine.summaryLine, /: Refuse\. Your turn to put the bins out$/);
+    assert.match(mine.html, /^<p style="[^"]+"><strong>Your turn to put the bins out<\/strong><\/p>/);
+    assert.deepEqual(mine.data.rota, { collection: 'Sam' });
+
+    const theirs = buildReminderMessage(base);
+    assert.equal(theirs.subject, 'Refuse collection on 11th September 2025 - 10 Example Road');
+    assert.match(theirs.summaryLine, /: Refuse\. Sam is putting the bins out$/);
+    assert.doesNotMatch(theirs.html, /<strong>/);
+  });
+
+  it('splits per-bin duty between members', () => {
+    const duty = { refuse: 'Sam', recycling: 'Alex' };
+    assert.equal(dutyNote(duty, 'Sam'), 'Your turn to put out Refuse, Alex has Recycling');
+    assert.equal(dutyNote(duty, 'Jo'), 'Sam has Refuse, Alex has Recycling');
+    assert.equal(dutyNote(null, 'Sam'), '');
+  });
+
+  it('offers the member on duty a signed swap link', () => {
+    const secret = 'test-secret';
+    const links = (pathname, payload) => `https://links.example${pathname}?token=${signToken(payload, secret)}`;
+    const { state } = assignAll(household, ['2025-09-11']);
+    const withSwap = swapLinks(links, { label: '10 Example Road', localDate: '2025-09-11', state });
+    const message = buildReminderMessage({ ...base, member: 'Sam' });
+
+    const out = withSwap(normalizeRecipient({ to: 'sam@example.com', name: 'Sam' }), message);
+    const [, url] = out.text.match(/Swap with Alex: (\S+)/);
+    const payload = verifyToken(new URL(url).searchParams.get('token'), secret, 'swap', Date.parse('2025-09-11T12:00:00Z'));
+    assert.deepEqual({ a: payload.a, d: payload.d, m: payload.m }, { a: '10 Example Road', d: '2025-09-11', m: 'Sam' });
+    assert.match(out.html, /Swap with Alex<\/a>/);
+
+    assert.equal(withSwap(normalizeRecipient({ to: 'alex@example.com', name: 'Alex' }), message), message);
+    assert.equal(withSwap(normalizeRecipient({ to: '+447700900001', name: 'Sam' }), message), message);
+  });
+});
+
+describe('rota config', () => {
+  const config = rota => ({ addresses: [{ label: 'a', recipients: [{ to: 'sam@example.com', name: 'Sam' }, { to: '+447700900001', name: 'Alex' }], rota }] });
+
+  it('accepts members and a rotation rule', () => {
+    assert.deepEqual(validateConfig(config({ members: ['Sam', 'Alex'] })), []);
+    assert.deepEqual(validateConfig(config({ members: ['Sam', 'Alex'], rotate: 'binType' })), []);
+  });
+
+  it('rejects short, repeated or unknown settings', () => {
+    assert.deepEqual(validateConfig(config({ members: ['Sam'] })).map(e => e.path), ['$.addresses[0].rota.members']);
+    assert.deepEqual(validateConfig(config({ members: ['Sam', 'Sam'] })).map(e => e.message), ['repeats "Sam"']);
+    assert.deepEqual(validateConfig(config({ members: ['Sam', 'Alex'], rotate: 'weekly' })).map(e => e.path), ['$.addresses[0].rota.rotate']);
+  });
+
+  it('rejects members who are not named recipients', () => {
+    assert.deepEqual(validateConfig(config({ members: ['Sam', 'Alec'] })), [
+      { path: '$.addresses[0].rota.members[1]', message: '"Alec" is not the name of any recipient of this address (did you mean "Alex"?)' }
+    ]);
+    const unnamed = { addresses: [{ label: 'a', recipients: ['sam@example.com', { to: 'jo@example.com', name: 'Jo' }], rota: { members: ['Sam', 'Jo'] } }] };
+    assert.deepEqual(validateConfig(unnamed).map(e => e.path), ['$.addresses[0].rota.members[0]']);
+  });
+});
+
+describe('rota state and swap route', () => {
+  const secret = 'test-secret';
+  const addressHash = crypto.createHash('sha256').update('10 Example Road').digest('hex');
+  const swapToken = member => signToken({ act: 'swap', a: '10 Example Road', d: '2025-09-11', m: member, exp: Math.floor(Date.now() / 1000) + 3600 }, secret);
+  const tap = (method, member) => subscriptions({ rawPath: '/swap', requestContext: { http: { method } }, queryStringParameters: { token: swapToken(member) } });
+  const isRotaWrite = command => command.constructor.name === 'UpdateItemCommand' && command.input.Key.addressHash.S === `${addressHash}#rota`;
+  let saved;
+  // Runs once before the next rota write, standing in for another request saving first
+  let race;
+
+  before(() => {
+    saved = process.env.STATE_TABLE;
+    process.env.STATE_TABLE = 'state';
+  });
+
+  after(() => {
+    if (saved === undefined) delete process.env.STATE_TABLE;
+    else process.env.STATE_TABLE = saved;
+  });
+
+  beforeEach(async () => {
+    for (const level of ['log', 'warn', 'error']) mock.method(console, level, () => {});
+    race = null;
+    fakeDynamo({
+      beforeSend: async (command) => {
+        if (!race || !isRotaWrite(command)) return;
+        const run = race;
+        race = null;
+        await run();
+      }
+    });
+    fakeParameters({ 'link-signing-secret': secret });
+    await saveRota(addressHash, assignAll(household, ['2025-09-11']).state, 0);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('swaps on POST after showing who takes over', async () => {
+    const page = await tap('GET', 'Sam');
+    assert.equal(page.statusCode, 200);
+    assert.match(page.body, /Hand your bin duty for Thursday 11 September to Alex\?/);
+    assert.deepEqual((await getRota(addressHash)).rota.assigned['2025-09-11'], { collection: 'Sam' });
+
+    const res = await tap('POST', 'Sam');
+    assert.equal(res.statusCode, 200);
+    assert.match(res.body, /Alex now has bin duty/);
+    const { rota, version } = await getRota(addressHash);
+    assert.deepEqual(rota.assigned['2025-09-11'], { collection: 'Alex' });
+    assert.deepEqual(rota.order.collection, ['Sam', 'Jo', 'Alex']);
+    assert.equal(version, 2);
+  });
+
+  it('swaps nothing for a member who is not on duty', async () => {
+    for (const method of ['GET', 'POST']) {
+      const res = await tap(method, 'Jo');
+      assert.equal(res.statusCode, 200);
+      assert.match(res.body, /Nothing to swap/);
+    }
+    assert.equal((await getRota(addressHash)).version, 1);
+  });
+
+  it('refuses a swap when the rota changed since it was read', async () => {
+    race = async () => {
+      const { rota, version } = await getRota(addressHash);
+      await saveRota(addressHash, assignDuty(rota, household, '2025-09-18', ['Refuse']).state, version);
+    };
+    const res = await tap('POST', 'Sam');
+    assert.equal(res.statusCode, 409);
+    const { rota } = await getRota(addressHash);
+    assert.deepEqual(rota.assigned['2025-09-11'], { collection: 'Sam' });
+    assert.deepEqual(rota.assigned['2025-09-18'], { collection: 'Alex' });
+  });
+
+  it('assigns again from a swap saved while it was assigning', async () => {
+    race = async () => {
+      const { rota, version } = await getRota(addressHash);
+      await saveRota(addressHash, swapDuty(rota, '2025-09-11', 'Sam').state, version);
+    };
+    const { duty } = await assignRota(addressHash, household, '2025-09-18', ['Refuse']);
+    // Sam swapped away the 11th, so takes Alex's next turn
+    assert.deepEqual(duty, { collection: 'Sam' });
+    const { rota, version } = await getRota(addressHash);
+    assert.deepEqual(rota.assigned, { '2025-09-11': { collection: 'Alex' }, '2025-09-18': { collection: 'Sam' } });
+    assert.equal(version, 3);
+  });
+
+  it('gives up after repeated conflicts', async () => {
+    let conflicts = 0;
+    const bump = async () => {
+      conflicts++;
+      const { rota, version } = await getRota(addressHash);
+      await saveRota(addressHash, rota, version);
+      race = conflicts < 3 ? bump : null;
+    };
+    race = bump;
+    await assert.rejects(assignRota(addressHash, household, '2025-09-18', ['Refuse']), { name: 'ConditionalCheckFailedException' });
+    assert.equal(conflicts, 3);
+  });
+});
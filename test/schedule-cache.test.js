@@ -0,0 +1,34 @@
+process.env.TZ = 'Europe/London';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DateTime } = require('luxon');
+const { isCachedScheduleUsable } = require('../handler');
+
+describe('isCachedScheduleUsable', () => {
+  const now = DateTime.fromISO('2025-09-10T12:00', { zone: 'Europe/London' });
+  const cached = {
+    scrapedAt: now.minus({ hours: 20 }).toUTC().toISO(),
+    collections: [
+      { localDate: '2025-09-11', bins: ['Refuse'] },
+      { localDate: '2025-09-18', bins: ['Recycling'] }
+    ]
+  };
+  const options = { now, maxAgeHours: 48, coverUntil: '2025-09-11' };
+
+  it('uses a fresh cache that extends past the lookahead window', () => {
+    assert.equal(isCachedScheduleUsable(cached, options), true);
+  });
+
+  it('re-scrapes once the cache is older than maxAgeHours', () => {
+    assert.equal(isCachedScheduleUsable(cached, { ...options, maxAgeHours: 12 }), false);
+  });
+
+  it('re-scrapes when the cached dates run out before the window ends', () => {
+    assert.equal(isCachedScheduleUsable(cached, { ...options, coverUntil: '2025-09-19' }), false);
+  });
+
+  it('re-scrapes when there is no cache', () => {
+    assert.equal(isCachedScheduleUsable(null, options), false);
+  });
+});
@@ -0,0 +1,95 @@
+process.env.TZ = 'Europe/London';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffSchedules } = require('../lib/schedule-diff');
+const { buildChangeMessage } = require('../handler');
+
+describe('diffSchedules', () => {
+  const previous = [
+    { localDate: '2025-12-18', bins: ['Refuse'] },
+    { localDate: '2025-12-25', bins: ['Recycling', 'Food waste'] },
+    { localDate: '2026-01-01', bins: ['Refuse', 'Food waste'] }
+  ];
+
+  it('reports nothing when the schedule is unchanged', () => {
+    assert.deepEqual(diffSchedules(previous, previous, '2025-12-10'), []);
+  });
+
+  it('reports bank holiday shifts as moves per bin', () => {
+    const next = [
+      { localDate: '2025-12-18', bins: ['Refuse'] },
+      { localDate: '2025-12-27', bins: ['Recycling', 'Food waste'] },
+      { localDate: '2026-01-02', bins: ['Refuse', 'Food waste'] }
+    ];
+    assert.deepEqual(diffSchedules(previous, next, '2025-12-10'), [
+      { kind: 'moved', bin: 'Food waste', from: '2025-12-25', to: '2025-12-27' },
+      { kind: 'moved', bin: 'Recycling', from: '2025-12-25', to: '2025-12-27' },
+      { kind: 'moved', bin: 'Food waste', from: '2026-01-01', to: '2026-01-02' },
+      { kind: 'moved', bin: 'Refuse', from: '2026-01-01', to: '2026-01-02' }
+    ]);
+  });
+
+  it('reports a changed bin type on the same date', () => {
+    const next = [
+      { localDate: '2025-12-18', bins: ['Garden waste'] },
+      ...previous.slice(1)
+    ];
+    assert.deepEqual(diffSchedules(previous, next, '2025-12-10'), [
+      { kind: 'added', bin: 'Garden waste', to: '2025-12-18' },
+      { kind: 'removed', bin: 'Refuse', from: '2025-12-18' }
+    ]);
+  });
+
+  it('treats reworded bins of the same type as unchanged', () => {
+    const next = [
+      { localDate: '2025-12-18', bins: ['General waste (black bin)'] },
+      { localDate: '2025-12-25', bins: ['Mixed recycling', 'Food caddy'] },
+      { localDate: '2026-01-01', bins: ['General waste (black bin)', 'Food caddy'] }
+    ];
+    assert.deepEqual(diffSchedules(previous, next, '2025-12-10'), []);
+  });
+
+  it('reports a reworded bin that moved under its new wording', () => {
+    const next = [
+      { localDate: '2025-12-18', bins: ['Refuse'] },
+      { localDate: '2025-12-27', bins: ['Mixed recycling', 'Food waste'] },
+      { localDate: '2026-01-01', bins: ['Refuse', 'Food waste'] }
+    ];
+    assert.deepEqual(diffSchedules(previous, next, '2025-12-10'), [
+      { kind: 'moved', bin: 'Food waste', from: '2025-12-25', to: '2025-12-27' },
+      { kind: 'moved', bin: 'Mixed recycling', from: '2025-12-25', to: '2025-12-27' }
+    ]);
+  });
+
+  it('compares unrecognised bins by their wording', () => {
+    const withBulky = [...previous, { localDate: '2025-12-22', bins: ['Bulky items'] }];
+    assert.deepEqual(diffSchedules(withBulky, withBulky, '2025-12-10'), []);
+    const next = [...previous, { localDate: '2025-12-22', bins: ['Textiles'] }];
+    assert.deepEqual(diffSchedules(withBulky, next, '2025-12-10'), [
+      { kind: 'removed', bin: 'Bulky items', from: '2025-12-22' },
+      { kind: 'added', bin: 'Textiles', to: '2025-12-22' }
+    ]);
+  });
+
+  it('ignores past dates and dates outside the shared coverage', () => {
+    const next = [
+      { localDate: '2025-12-25', bins: ['Recycling', 'Food waste'] },
+      { localDate: '2026-01-01', bins: ['Refuse', 'Food waste'] },
+      { localDate: '2026-01-08', bins: ['Recycling'] }
+    ];
+    assert.deepEqual(diffSchedules(previous, next, '2025-12-19'), []);
+  });
+});
+
+describe('buildChangeMessage', () => {
+  it('lists old and new dates', () => {
+    const message = buildChangeMessage({
+      label: '10 Example Road',
+      changes: [{ kind: 'moved', bin: 'Recycling', from: '2025-12-25', to: '2025-12-27' }]
+    });
+    assert.equal(message.subject, 'Your bin collection has changed - 10 Example Road');
+    assert.match(message.text, /- Recycling moved from Thursday 25th December 2025 to Saturday 27th December 2025/);
+    assert.match(message.html, /<td>Recycling<\/td><td>Thursday 25th December 2025<\/td><td>Saturday 27th December 2025<\/td>/);
+  });
+});
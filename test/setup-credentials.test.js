@@ -0,0 +1,66 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { credentialParameters, linkSigningSecret } = require('../setup-credentials');
+const { fakeParameters } = require('./helpers');
+
+const gmail = { clientId: 'id', clientSecret: 'secret', refreshToken: 'token', sender: 'bins@example.com' };
+
+describe('credentialParameters', () => {
+  it('writes the Gmail parameters and the link signing secret', () => {
+    const parameters = credentialParameters('svc', { ...gmail, linkSigningSecret: 'link-secret' });
+    assert.deepEqual(parameters.map(p => [p.name, p.value]), [
+      ['/svc/gmail-client-id', 'id'],
+      ['/svc/gmail-client-secret', 'secret'],
+      ['/svc/gmail-refresh-token', 'token'],
+      ['/svc/gmail-sender', 'bins@example.com'],
+      ['/svc/link-signing-secret', 'link-secret']
+    ]);
+  });
+
+  it('writes the SMS parameters when given', () => {
+    const parameters = credentialParameters('svc', { ...gmail, smsAccountSid: 'AC123', smsAuthToken: 'auth', smsFrom: '+447700900000' });
+    assert.deepEqual(parameters.slice(4).map(p => [p.name, p.value]), [
+      ['/svc/sms-account-sid', 'AC123'],
+      ['/svc/sms-auth-token', 'auth'],
+      ['/svc/sms-from', '+447700900000']
+    ]);
+  });
+
+  it('skips SMS when left blank, but not when only partly given', () => {
+    const names = credentialParameters('svc', { ...gmail, smsAccountSid: '', smsAuthToken: '', smsFrom: '' }).map(p => p.name);
+    assert.deepEqual(names.filter(n => n.includes('/sms-')), []);
+    assert.throws(() => credentialParameters('svc', { ...gmail, smsAccountSid: 'AC123', smsAuthToken: 'auth' }), /SMS needs the account SID, auth token and sender number together/);
+  });
+
+  it('leaves out a link signing secret that is being kept', () => {
+    const names = credentialParameters('svc', { ...gmail, linkSigningSecret: null }).map(p => p.name);
+    assert.ok(!names.includes('/svc/link-signing-secret'));
+  });
+});
+
+describe('linkSigningSecret', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('uses the secret given', async () => {
+    fakeParameters({});
+    assert.equal(await linkSigningSecret('svc', 'given'), 'given');
+  });
+
+  it('generates a secret when none is stored', async () => {
+    fakeParameters({});
+    const first = await linkSigningSecret('svc', '');
+    assert.match(first, /^[0-9a-f]{64}$/);
+    assert.notEqual(await linkSigningSecret('svc', ''), first);
+  });
+
+  it('keeps the stored secret rather than invalidating links already sent', async () => {
+    fakeParameters({ 'link-signing-secret': 'stored' });
+    assert.equal(await linkSigningSecret('svc', ''), null);
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { fitSmsText, smsLength, buildSmsText } = require('../lib/notifiers/sms');
+
+describe('smsLength', () => {
+  it('counts extension characters as two septets', () => {
+    assert.equal(smsLength('Bins out'), 8);
+    assert.equal(smsLength('[Refuse] {food} ~ | ^ \\ €'), 34);
+  });
+
+  it('counts UTF-16 code units once any character needs UCS-2', () => {
+    assert.equal(smsLength('Bins out 🗑'), 11);
+    assert.equal(smsLength('Łódź {x}'), 8);
+  });
+});
+
+describe('fitSmsText', () => {
+  it('fills one segment of 160 septets', () => {
+    assert.equal(fitSmsText(['a'.repeat(160)]), 'a'.repeat(160));
+    const cut = fitSmsText(['a'.repeat(161)]);
+    assert.equal(cut, `${'a'.repeat(157)}...`);
+    assert.equal(smsLength(cut), 160);
+  });
+
+  it('leaves room for extension characters', () => {
+    const text = `${'a'.repeat(155)} {x}`;
+    assert.equal(text.length, 159);
+    const cut = fitSmsText([text]);
+    assert.ok(smsLength(cut) <= 160, `${smsLength(cut)} septets`);
+    assert.equal(cut, `${'a'.repeat(155)}...`);
+  });
+
+  it('drops trailing parts that would overflow', () => {
+    assert.equal(fitSmsText(['Refuse tomorrow', '€'.repeat(73)]), 'Refuse tomorrow');
+    assert.equal(fitSmsText(['Refuse tomorrow', '€'.repeat(72)]), `Refuse tomorrow ${'€'.repeat(72)}`);
+  });
+
+  it('falls back to 70 UCS-2 characters without splitting an emoji', () => {
+    assert.equal(fitSmsText(['🗑'.repeat(35)]), '🗑'.repeat(35));
+    assert.equal(fitSmsText([`${'a'.repeat(67)}🗑🗑`]), `${'a'.repeat(67)}...`);
+    const cut = fitSmsText(['🗑'.repeat(40)]);
+    assert.equal(cut, `${'🗑'.repeat(33)}...`);
+    assert.equal(smsLength(cut), 69);
+  });
+
+  it('uses the concatenated segment size over several segments', () => {
+    assert.equal(fitSmsText(['a'.repeat(306)], 2), 'a'.repeat(306));
+    assert.equal(fitSmsText(['a'.repeat(307)], 2).length, 306);
+    assert.equal(fitSmsText(['ł'.repeat(134)], 2), 'ł'.repeat(134));
+    assert.equal(fitSmsText(['ł'.repeat(135)], 2), `${'ł'.repeat(131)}...`);
+  });
+});
+
+describe('buildSmsText', () => {
+  const saved = process.env.SMS_MAX_SEGMENTS;
+
+  afterEach(() => {
+    if (saved === undefined) delete process.env.SMS_MAX_SEGMENTS;
+    else process.env.SMS_MAX_SEGMENTS = saved;
+  });
+
+  it('fits the summary line and suffix to SMS_MAX_SEGMENTS', () => {
+    const message = { summaryLine: 'a'.repeat(150), messageSuffix: 'b'.repeat(20) };
+    assert.equal(buildSmsText(message), 'a'.repeat(150));
+    process.env.SMS_MAX_SEGMENTS = '2';
+    assert.equal(buildSmsText(message), `${'a'.repeat(150)} ${'b'.repeat(20)}`);
+  });
+
+  it('sends smsText whole', () => {
+    const smsText = `Confirm: https://links.example/confirm?token=${'t'.repeat(200)}`;
+    assert.equal(buildSmsText({ summaryLine: 'ignored', smsText }), smsText);
+  });
+});
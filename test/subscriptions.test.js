@@ -0,0 +1,206 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { signToken, verifyToken } = require('../lib/signed-links');
+const { mergeSubscriptions, subscriptionId, listSubscriptions } = require('../lib/subscriptions');
+const { normalizeRecipient } = require('../lib/notifiers');
+const email = require('../lib/notifiers/email');
+const sms = require('../lib/notifiers/sms');
+const { subscriptions } = require('../handler');
+const { fakeDynamo, fakeParameters } = require('./helpers');
+
+describe('signed links', () => {
+  const secret = 'test-secret';
+
+  it('round-trips a payload for the matching action', () => {
+    const token = signToken({ act: 'unsubscribe', a: '10 Example Road', c: 'email', t: 'a@example.com' }, secret);
+    assert.equal(verifyToken(token, secret, 'unsubscribe').t, 'a@example.com');
+  });
+
+  it('rejects tampered tokens, other actions, other secrets and expired links', () => {
+    const token = signToken({ act: 'confirm', a: '10 Example Road', exp: 1000 }, secret);
+    const [data, signature] = token.split('.');
+    const forged = signToken({ act: 'confirm', a: '11 Example Road', exp: 1000 }, 'other').split('.')[0];
+
+    assert.ok(verifyToken(token, secret, 'confirm', 999 * 1000));
+    assert.equal(verifyToken(`${forged}.${signature}`, secret, 'confirm', 999 * 1000), null);
+    assert.equal(verifyToken(`${data}.${signature}`, secret, 'unsubscribe', 999 * 1000), null);
+    assert.equal(verifyToken(token, 'other', 'confirm', 999 * 1000), null);
+    assert.equal(verifyToken(token, secret, 'confirm', 1001 * 1000), null);
+    assert.equal(verifyToken('garbage', secret, 'confirm'), null);
+  });
+});
+
+describe('mergeSubscriptions', () => {
+  const addresses = [
+    { label: '10 Example Road', recipients: ['a@example.com', '+447700900001'] }
+  ];
+  const sub = (addressLabel, channel, to, status) => ({
+    subscriptionId: subscriptionId(addressLabel, channel, to), addressLabel, channel, recipient: to, status
+  });
+
+  it('adds active subscriptions and drops unsubscribed config recipients', () => {
+    const merged = mergeSubscriptions(addresses, [
+      sub('10 Example Road', 'email', 'a@example.com', 'unsubscribed'),
+      sub('10 Example Road', 'email', 'b@example.com', 'active'),
+      sub('10 Example Road', 'email', 'c@example.com', 'pending')
+    ], normalizeRecipient);
+
+    assert.deepEqual(merged[0].recipients, ['+447700900001', { to: 'b@example.com', channel: 'email' }]);
+    assert.deepEqual(addresses[0].recipients, ['a@example.com', '+447700900001']);
+  });
+
+  it('ignores stored preferences that would change the confirmed recipient', () => {
+    const merged = mergeSubscriptions(addresses, [{
+      ...sub('10 Example Road', 'email', 'b@example.com', 'active'),
+      preferences: { to: 'http://169.254.169.254/latest/meta-data', channel: 'webhook', format: 'json', binTypes: ['refuse'] }
+    }], normalizeRecipient);
+
+    assert.deepEqual(merged[0].recipients[2], { to: 'b@example.com', channel: 'email', binTypes: ['refuse'] });
+  });
+
+  it('ignores addresses that are not configured and drops emptied ones', () => {
+    const merged = mergeSubscriptions(addresses, [
+      sub('10 Example Road', 'email', 'a@example.com', 'unsubscribed'),
+      sub('10 Example Road', 'sms', '+447700900001', 'unsubscribed'),
+      sub('12 Example Road', 'email', 'd@example.com', 'active')
+    ], normalizeRecipient);
+
+    assert.deepEqual(merged, []);
+  });
+});
+
+describe('subscriptions handler', () => {
+  const secret = 'handler-secret';
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bin-days-subscriptions-'));
+  const ENV = {
+    SUBSCRIPTIONS_TABLE: 'subs',
+    STATE_TABLE: 'state',
+    PUBLIC_BASE_URL: 'https://links.example',
+    CONFIG_PATH: path.join(dir, 'recipients.json')
+  };
+  let saved;
+  let db;
+  let sent;
+
+  const request = (method, route, { token, body } = {}) => subscriptions({
+    rawPath: `/${route}`,
+    requestContext: { http: { method } },
+    queryStringParameters: token ? { token } : undefined,
+    headers: { 'content-type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const tokenIn = text => new URL(text.match(/https:\/\/links\.example\S+/)[0]).searchParams.get('token');
+  const stored = () => Array.from(db.table('subs').values());
+
+  before(() => {
+    saved = Object.fromEntries(Object.keys(ENV).map(k => [k, process.env[k]]));
+    Object.assign(process.env, ENV);
+    fs.writeFileSync(ENV.CONFIG_PATH, JSON.stringify({ addresses: [{ label: '10 Example Road', recipients: ['a@example.com'] }] }));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  });
+
+  beforeEach(() => {
+    for (const level of ['log', 'warn', 'error']) mock.method(console, level, () => {});
+    db = fakeDynamo();
+    fakeParameters({ 'link-signing-secret': secret });
+    sent = [];
+    mock.method(email, 'send', async (to, message) => { sent.push({ to, message }); });
+    mock.method(sms, 'send', async (to, message) => { sent.push({ to, message, body: sms.buildSmsText(message) }); });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('texts a confirmation link that survives the SMS length limit', async () => {
+    const res = await request('POST', 'subscribe', { body: { address: '10 Example Road', to: '+447700900001' } });
+    assert.equal(res.statusCode, 202);
+    assert.equal(sent.length, 1);
+    const payload = verifyToken(tokenIn(sent[0].body), secret, 'confirm');
+    assert.deepEqual({ a: payload.a, c: payload.c, t: payload.t }, { a: '10 Example Road', c: 'sms', t: '+447700900001' });
+  });
+
+  it('only takes configured addresses, stored under their configured label', async () => {
+    const res = await request('POST', 'subscribe', { body: { address: '99 Nowhere Lane', to: 'b@example.com' } });
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(stored(), []);
+    assert.equal(sent.length, 0);
+
+    assert.equal((await request('POST', 'subscribe', { body: { address: '10 example road ', to: 'b@example.com' } })).statusCode, 202);
+    assert.equal(stored()[0].addressLabel.S, '10 Example Road');
+  });
+
+  it('limits confirmation messages per recipient and per address', async () => {
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await request('POST', 'subscribe', { body: { address: '10 Example Road', to: '+447700900001' } })).statusCode, 202);
+    }
+    const res = await request('POST', 'subscribe', { body: { address: '10 Example Road', to: '+447700900001' } });
+    assert.equal(res.statusCode, 429);
+    assert.equal(sent.length, 3);
+
+    // The refused request above counts towards the address's 20 as well
+    for (let i = 0; i < 16; i++) {
+      assert.equal((await request('POST', 'subscribe', { body: { address: '10 Example Road', to: `person${i}@example.com` } })).statusCode, 202);
+    }
+    assert.equal((await request('POST', 'subscribe', { body: { address: '10 Example Road', to: 'late@example.com' } })).statusCode, 429);
+    assert.equal(sent.length, 19);
+  });
+
+  it('never turns a self-service subscription into a webhook', async () => {
+    const hook = await request('POST', 'subscribe', { body: { address: '10 Example Road', to: 'http://169.254.169.254/latest', channel: 'webhook' } });
+    assert.equal(hook.statusCode, 400);
+
+    await request('POST', 'subscribe', {
+      body: { address: '10 Example Road', to: 'b@example.com', preferences: { to: 'http://169.254.169.254/latest', channel: 'webhook', binTypes: ['refuse'] } }
+    });
+    await request('POST', 'confirm', { token: tokenIn(sent[0].message.text) });
+    const [address] = mergeSubscriptions([{ label: '10 Example Road', recipients: ['a@example.com'] }], await listSubscriptions(), normalizeRecipient);
+    assert.deepEqual(address.recipients.map(normalizeRecipient).map(r => r.channel), ['email', 'email']);
+    assert.deepEqual(address.recipients[1], { to: 'b@example.com', channel: 'email', binTypes: ['refuse'] });
+  });
+
+  it('refuses a "to" that would add email headers', async () => {
+    for (const channel of [undefined, 'email']) {
+      const res = await request('POST', 'subscribe', { body: { address: '10 Example Road', to: 'victim@x.com\nBcc: a@b.com\n\nhello', channel } });
+      assert.equal(res.statusCode, 400);
+    }
+    assert.equal(sent.length, 0);
+    assert.deepEqual(stored(), []);
+  });
+
+  it('stores nothing when links are not configured', async () => {
+    delete process.env.PUBLIC_BASE_URL;
+    try {
+      const res = await request('POST', 'subscribe', { body: { address: '10 Example Road', to: 'b@example.com' } });
+      assert.equal(res.statusCode, 500);
+      assert.deepEqual(stored(), []);
+    } finally {
+      process.env.PUBLIC_BASE_URL = ENV.PUBLIC_BASE_URL;
+    }
+  });
+
+  it('only activates a subscription when the confirm page is submitted', async () => {
+    await request('POST', 'subscribe', { body: { address: '10 Example Road', to: 'b@example.com' } });
+    const token = tokenIn(sent[0].message.text);
+
+    const page = await request('GET', 'confirm', { token });
+    assert.equal(page.statusCode, 200);
+    assert.match(page.body, /<form method="post">/);
+    assert.equal(stored()[0].status.S, 'pending');
+
+    const done = await request('POST', 'confirm', { token });
+    assert.equal(done.statusCode, 200);
+    assert.equal(stored()[0].status.S, 'active');
+    assert.equal((await request('POST', 'confirm', { token: `${token}x` })).statusCode, 400);
+  });
+});
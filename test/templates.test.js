@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderTemplate, resolveTemplates, escapeHtml } = require('../lib/templates');
+const { validateConfig } = require('../lib/config-schema');
+const { buildReminderMessage } = require('../handler');
+
+describe('renderTemplate', () => {
+  it('escapes in HTML unless triple-braced and drops lines that render empty', () => {
+    const template = '<p>{{label}}</p>\n{{{table}}}\n{{#joke}}<p>{{joke}}</p>{{/joke}}\n{{^joke}}<p>No joke</p>{{/joke}}';
+    const html = renderTemplate(template, { label: 'A & B', table: '', joke: '' }, { html: true });
+    assert.equal(html, '<p>A &amp; B</p>\n<p>No joke</p>');
+  });
+
+  it('collapses the blank lines left around a dropped line', () => {
+    assert.equal(renderTemplate('{{a}}\n\n{{b}}\n\n{{c}}', { a: 'one', b: '', c: 'three' }), 'one\n\nthree');
+  });
+
+  it('keeps line breaks in escaped values', () => {
+    assert.equal(renderTemplate('<p>{{suffix}}</p>', { suffix: 'Bins out\n"by 7am"' }, { html: true }), '<p>Bins out<br>&quot;by 7am&quot;</p>');
+  });
+});
+
+describe('escapeHtml', () => {
+  it('escapes quotes so values are safe in attributes', () => {
+    assert.equal(escapeHtml(`<a href="x" title='y'>&</a>`), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+    assert.equal(escapeHtml(undefined), '');
+  });
+});
+
+describe('reminder templates', () => {
+  const collections = [{ localDate: '2025-09-11', bins: ['Refuse', 'Recycling'] }];
+  const base = { label: '10 Example Road', collections, localDate: '2025-09-11', daysBefore: 1, messageSuffix: 'Bins out after 7pm' };
+
+  it('lets an address override single templates and merge extras', () => {
+    const config = {
+      templates: { subject: '{{extras.icon}} {{bins}} {{when}} ({{weekday}})', extras: { icon: '🗑', street: 'Example Road' } },
+      addresses: []
+    };
+    const address = { templates: { summary: '{{bins}} {{when}} at {{extras.street}}', extras: { street: 'Other Road' } } };
+    const message = buildReminderMessage({ ...base, templates: resolveTemplates(config, address) });
+
+    assert.equal(message.subject, '🗑 Refuse, Recycling tomorrow (Thursday)');
+    assert.equal(message.summaryLine, 'Refuse, Recycling tomorrow at Other Road');
+    assert.equal(message.text, 'Refuse, Recycling tomorrow at Other Road\n\nBins out after 7pm');
+  });
+
+  it('reports bad templates when the config is validated', () => {
+    const problems = validateConfig({
+      templates: { subject: '{{bin}} on {{date}}', text: '{{#joke}}{{joke}}' },
+      addresses: [{ label: 'a', recipients: ['a@example.com'], templates: { summary: '{{extras.street}}' } }]
+    });
+    assert.deepEqual(problems.map(p => p.path), ['$.templates.subject', '$.templates.text']);
+    assert.match(problems[0].message, /unknown placeholder \{\{bin\}\}/);
+
+    const extras = validateConfig({ addresses: [{ label: 'a', recipients: ['a@example.com'], templates: { summary: '{{extras.street}}' } }] });
+    assert.deepEqual(extras, [{ path: '$.addresses[0]', message: 'templates use {{extras.street}} but no templates.extras.street is set' }]);
+  });
+});
@@ -0,0 +1,145 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const webhook = require('../lib/notifiers/webhook');
+const { detectChannel, normalizeRecipient } = require('../lib/notifiers');
+const { validateConfig } = require('../lib/config-schema');
+const { buildReminderMessage, sendToRecipients } = require('../handler');
+
+const now = new Date('2025-09-10T17:00:00Z');
+const message = buildReminderMessage({
+  label: '10 Example Road',
+  addressHash: 'abc123',
+  collections: [
+    { localDate: '2025-09-11', bins: ['Refuse (black bin)', 'Food waste'] },
+    { localDate: '2025-09-18', bins: ['Recycling (blue bin)'] }
+  ],
+  localDate: '2025-09-11',
+  daysBefore: 1
+});
+
+describe('webhook payloads', () => {
+  it('carries the structured collections in the json format', () => {
+    const { url, headers, body } = webhook.buildWebhookRequest('https://ha.example/api/webhook/bins', message, {}, { now });
+    assert.equal(url, 'https://ha.example/api/webhook/bins');
+    assert.equal(headers['Content-Type'], 'application/json; charset=utf-8');
+    const payload = JSON.parse(body);
+    assert.equal(payload.kind, 'reminder');
+    assert.equal(payload.addressHash, 'abc123');
+    assert.equal(payload.date, '2025-09-11');
+    assert.equal(payload.daysBefore, 1);
+    assert.equal(payload.sentAt, '2025-09-10T17:00:00.000Z');
+    assert.deepEqual(payload.bins.map(b => b.type), ['refuse', 'food']);
+    assert.deepEqual(payload.collections.map(c => [c.date, c.bins.map(b => b.name)]), [
+      ['2025-09-11', ['Refuse', 'Food waste']],
+      ['2025-09-18', ['Recycling']]
+    ]);
+  });
+
+  it('renders Slack blocks, a Discord embed and an ntfy publish', () => {
+    const slack = JSON.parse(webhook.buildWebhookRequest('https://hooks.slack.com/services/T/B/x', message, { format: 'slack' }, { now }).body);
+    assert.equal(slack.text, message.summaryLine);
+    assert.deepEqual(slack.blocks.map(b => b.type), ['header', 'section']);
+    assert.equal(slack.blocks[0].text.text, message.subject);
+
+    const discord = JSON.parse(webhook.buildWebhookRequest('https://discord.com/api/webhooks/1/x', message, { format: 'discord' }, { now }).body);
+    assert.equal(discord.embeds[0].title, message.subject);
+    assert.equal(discord.embeds[0].color, 0x424242);
+
+    const ntfy = webhook.buildWebhookRequest('https://ntfy.sh/our-bins', message, { format: 'ntfy' }, { now });
+    assert.equal(ntfy.url, 'https://ntfy.sh/');
+    assert.deepEqual(JSON.parse(ntfy.body), { topic: 'our-bins', title: message.subject, message: message.text, tags: ['wastebasket'] });
+  });
+
+  it('signs the timestamp and exact body with the shared secret', () => {
+    const { headers, body } = webhook.buildWebhookRequest('https://ha.example/hook', message, { secret: 's3cret', headers: { Authorization: 'Bearer t' } }, { now });
+    const timestamp = headers[webhook.TIMESTAMP_HEADER];
+    assert.equal(timestamp, String(now.getTime() / 1000));
+    const expected = crypto.createHmac('sha256', 's3cret').update(`${timestamp}.${body}`).digest('hex');
+    assert.equal(headers[webhook.SIGNATURE_HEADER], `sha256=${expected}`);
+    assert.equal(headers.Authorization, 'Bearer t');
+  });
+});
+
+describe('webhook delivery', () => {
+  let server;
+  let baseUrl;
+  const requests = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+        res.writeHead(req.url === '/broken' ? 500 : 204);
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    requests.length = 0;
+    for (const level of ['log', 'warn', 'error']) mock.method(console, level, () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('routes URL recipients to the webhook channel with their options', async () => {
+    assert.equal(detectChannel(`${baseUrl}/hook`), 'webhook');
+    const recipient = { to: `${baseUrl}/hook`, format: 'json', headers: { 'X-Home': 'yes' } };
+    const outcome = await sendToRecipients([recipient, `${baseUrl}/broken`], message, { retryDelayMs: 0 });
+    assert.deepEqual(outcome.delivered.map(d => d.recipient.to), [`${baseUrl}/hook`]);
+    assert.equal(outcome.failed.length, 1);
+    assert.equal(requests[0].headers['x-home'], 'yes');
+    assert.equal(requests[0].body.addressHash, 'abc123');
+    assert.equal(requests.filter(r => r.path === '/broken').length, 3);
+  });
+
+  it('previews the request instead of posting on dry runs', () => {
+    const { extension, content } = webhook.preview('https://ntfy.sh/our-bins', message, normalizeRecipient({ to: 'https://ntfy.sh/our-bins', format: 'ntfy' }));
+    assert.equal(extension, 'json');
+    const request = JSON.parse(content);
+    assert.equal(request.method, 'POST');
+    assert.equal(request.url, 'https://ntfy.sh/');
+    assert.equal(request.body.topic, 'our-bins');
+    assert.equal(requests.length, 0);
+  });
+});
+
+describe('webhook config', () => {
+  it('accepts webhook recipients and rejects webhook options elsewhere', () => {
+    const errors = validateConfig({
+      addresses: [{
+        label: '10 Example Road',
+        recipients: [
+          'https://ha.example/api/webhook/bins',
+          { to: 'https://hooks.slack.com/services/T/B/x', format: 'slack', secret: 'abc', headers: { Authorization: 'Bearer t' } }
+        ]
+      }]
+    });
+    assert.deepEqual(errors, []);
+    const bad = validateConfig({
+      addresses: [{
+        label: '10 Example Road',
+        recipients: [
+          { to: 'https://ntfy.sh/bins', format: 'teams' },
+          { to: 'a@example.com', format: 'slack' },
+          { to: 'https://ha.example/hook', headers: { 'Bad Header': 'x' } }
+        ]
+      }]
+    });
+    assert.deepEqual(bad.map(e => e.path), [
+      '$.addresses[0].recipients[0].format',
+      '$.addresses[0].recipients[1].format',
+      '$.addresses[0].recipients[2].headers.Bad Header'
+    ]);
+  });
+});
@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+
+/**
+ * Validates config/recipients.json (or the path given) before deploying
+ *
+ * Usage:
+ *   node validate-config.js [path/to/recipients.json]
+ *
+ * Exits with status 1 and lists every problem with its JSON path.
+ */
+
+const path = require('path');
+const { loadConfig } = require('./handler');
+const { ConfigError } = require('./lib/errors');
+
+function main() {
+  const file = path.resolve(process.argv[2] || path.join(__dirname, 'config', 'recipients.json'));
+  try {
+    const config = loadConfig(file);
+    console.log(`✓ ${file} is valid (${config.addresses.length} addresses)`);
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      console.error(`✗ ${file} has ${error.problems.length} problem${error.problems.length === 1 ? '' : 's'}:`);
+      error.problems.forEach(p => console.error(`  ${p.path}: ${p.message}`));
+    } else {
+      console.error(`✗ Could not read ${file}: ${error.message}`);
+    }
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}